@@ -1,6 +1,7 @@
 const express = require('express');
 const cors = require('cors');
 const routes = require('./routes'); // Import main routes
+const { trackAuditContext } = require('./middlewares/audit.middleware');
 // const { notFound, errorHandler } = require('./middlewares'); // Import error middlewares
 
 const app = express();
@@ -8,6 +9,7 @@ const app = express();
 // Middleware
 app.use(express.json());
 app.use(cors());
+app.use(trackAuditContext);
 
 // Routes
 app.use('/api', routes);
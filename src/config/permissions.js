@@ -0,0 +1,60 @@
+// Named permissions checked by route files (see role.middleware requirePermission).
+// Roles are sets of these names; ADMIN always holds all of them.
+const PERMISSIONS = {
+    'booking.view': 'View bookings, calendars and availability',
+    'booking.create': 'Create bookings and hold slots',
+    'booking.edit': 'Change booking times and customer details, mark no-shows',
+    'booking.cancel': 'Cancel bookings',
+    'booking.delete': 'Delete bookings (they go to the trash)',
+    'booking.override': 'Full booking edits, including prices, discounts and status changes',
+    'recurring.manage': 'Create and manage recurring bookings',
+    'waitlist.manage': 'Manage the waitlist and convert offers into bookings',
+    'payment.view': 'View payments and their ledger',
+    'payment.collect': 'Record payments and change payment modes',
+    'payment.refund': 'Waive cancellation fees (full refund)',
+    'court.view': 'View courts and blackouts',
+    'court.manage': 'Create, edit and deactivate courts',
+    'blackout.manage': 'Create and edit court blackouts and venue closures',
+    'customer.view': 'View customers and their history',
+    'customer.edit': 'Create and edit customers',
+    'customer.blacklist': 'Blacklist customers',
+    'promo.manage': 'Manage promo codes',
+    'dashboard.view': 'View the staff dashboard',
+    'reports.view': 'View reports and the admin dashboard',
+    'settings.view': 'View venue settings',
+    'settings.edit': 'Change venue settings',
+    'users.manage': 'Manage users and roles',
+    'audit.view': 'View the audit log of changes',
+    'trash.manage': 'View the trash and restore deleted bookings and recurring rules'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Built-in roles. STAFF keeps the access the front desk had before permissions existed,
+// and can be customised by saving a STAFF role; ADMIN cannot be changed.
+const DEFAULT_ROLE_PERMISSIONS = {
+    ADMIN: ALL_PERMISSIONS,
+    STAFF: [
+        'booking.view',
+        'booking.create',
+        'booking.edit',
+        'booking.cancel',
+        'booking.delete',
+        'recurring.manage',
+        'waitlist.manage',
+        'payment.view',
+        'payment.collect',
+        'payment.refund',
+        'court.view',
+        'blackout.manage',
+        'customer.view',
+        'customer.edit',
+        'dashboard.view'
+    ]
+};
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    DEFAULT_ROLE_PERMISSIONS
+};
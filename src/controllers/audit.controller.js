@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const AuditLog = require('../models/AuditLog.model');
+
+const ACTIONS = ['CREATE', 'UPDATE', 'DELETE'];
+const ACTOR_TYPES = ['USER', 'CUSTOMER', 'PUBLIC', 'SYSTEM'];
+
+// @desc    Query the audit log, newest first
+// @route   GET /api/admin/audit-logs
+// @access  Private (Admin only)
+// Query: entityType, entityId, actorId, actorType, action, requestId, from, to (YYYY-MM-DD), page, limit
+const getAuditLogs = async (req, res) => {
+    try {
+        const { entityType, entityId, actorId, actorType, action, requestId, from, to, page = 1, limit = 50 } = req.query;
+        const query = {};
+
+        if (entityType) query.entityType = entityType;
+        if (requestId) query.requestId = requestId;
+
+        if (entityId) {
+            if (!mongoose.Types.ObjectId.isValid(entityId)) {
+                return res.status(400).json({ message: 'Invalid entity ID' });
+            }
+            query.entityId = entityId;
+        }
+        if (actorId) {
+            if (!mongoose.Types.ObjectId.isValid(actorId)) {
+                return res.status(400).json({ message: 'Invalid actor ID' });
+            }
+            query.actorId = actorId;
+        }
+        if (actorType) {
+            if (!ACTOR_TYPES.includes(actorType)) {
+                return res.status(400).json({ message: `Actor type must be one of ${ACTOR_TYPES.join(', ')}` });
+            }
+            query.actorType = actorType;
+        }
+        if (action) {
+            if (!ACTIONS.includes(action)) {
+                return res.status(400).json({ message: `Action must be one of ${ACTIONS.join(', ')}` });
+            }
+            query.action = action;
+        }
+        if (from || to) {
+            query.createdAt = {};
+            if (from) query.createdAt.$gte = moment(from).startOf('day').toDate();
+            if (to) query.createdAt.$lte = moment(to).endOf('day').toDate();
+        }
+
+        const pageSize = Math.min(parseInt(limit) || 50, 200);
+        const skip = (Math.max(parseInt(page) || 1, 1) - 1) * pageSize;
+
+        const [logs, total] = await Promise.all([
+            AuditLog.find(query).sort({ createdAt: -1 }).skip(skip).limit(pageSize).lean(),
+            AuditLog.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            total,
+            page: parseInt(page) || 1,
+            data: logs
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Get a single audit log entry
+// @route   GET /api/admin/audit-logs/:id
+// @access  Private (Admin only)
+const getAuditLogById = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ message: 'Invalid audit log ID' });
+        }
+
+        const log = await AuditLog.findById(req.params.id).lean();
+        if (!log) {
+            return res.status(404).json({ message: 'Audit log entry not found' });
+        }
+
+        res.status(200).json({ success: true, data: log });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+module.exports = {
+    getAuditLogs,
+    getAuditLogById
+};
@@ -1,6 +1,7 @@
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const User = require('../models/User.model');
+const { getRolePermissions } = require('../services/role.service');
 
 // Generate JWT Token
 const generateToken = (id, role) => {
@@ -53,6 +54,7 @@ const login = async (req, res) => {
                 name: user.name,
                 email: user.email,
                 role: user.role,
+                permissions: await getRolePermissions(user.role),
             },
         });
     } catch (error) {
@@ -0,0 +1,185 @@
+const Blackout = require('../models/Blackout.model');
+const Court = require('../models/Court.model');
+const { findAffectedBookings } = require('../services/blackout.service');
+const { normalizeToMidnight } = require('../utils/dateUtils');
+
+const EDITABLE_FIELDS = ['courtId', 'startDate', 'endDate', 'startTime', 'endTime', 'reason'];
+
+/**
+ * Normalizes request fields: dates to midnight, empty court/time to null (whole venue / whole day).
+ */
+const pickBlackoutFields = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field] || null;
+    });
+    if (data.startDate) data.startDate = normalizeToMidnight(data.startDate);
+    if (data.endDate) data.endDate = normalizeToMidnight(data.endDate);
+    return data;
+};
+
+/**
+ * Summarizes bookings that overlap a blackout.
+ */
+const formatAffectedBookings = (bookings) => bookings.map(b => ({
+    bookingId: b._id,
+    customerName: b.customerName,
+    customerPhone: b.customerPhone,
+    court: b.courtId ? b.courtId.name : 'Unknown',
+    bookingDate: b.bookingDate,
+    startTime: b.startTime,
+    endTime: b.endTime
+}));
+
+// @desc    Create court blackout or venue closure
+// @route   POST /api/blackouts
+// @access  Private (Admin, Staff)
+const createBlackout = async (req, res) => {
+    try {
+        const data = pickBlackoutFields(req.body);
+
+        if (data.courtId) {
+            const court = await Court.findById(data.courtId);
+            if (!court) {
+                return res.status(404).json({ message: 'Court not found' });
+            }
+        }
+
+        const blackout = await Blackout.create({ ...data, createdBy: req.user._id });
+
+        // Existing bookings are not cancelled automatically, only reported
+        const affectedBookings = await findAffectedBookings(blackout);
+
+        res.status(201).json({
+            success: true,
+            message: 'Blackout created successfully',
+            blackout,
+            affectedBookings: formatAffectedBookings(affectedBookings)
+        });
+    } catch (error) {
+        console.error(error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Get blackouts
+// @route   GET /api/blackouts
+// @access  Private (Admin, Staff)
+// Query: courtId, from, to (YYYY-MM-DD)
+const getBlackouts = async (req, res) => {
+    try {
+        const { courtId, from, to } = req.query;
+        const query = {};
+
+        if (courtId) {
+            query.courtId = { $in: [courtId, null] };
+        }
+        if (from) {
+            query.endDate = { $gte: normalizeToMidnight(from) };
+        }
+        if (to) {
+            query.startDate = { $lte: normalizeToMidnight(to) };
+        }
+
+        const blackouts = await Blackout.find(query)
+            .populate('courtId', 'name sportType')
+            .populate('createdBy', 'name')
+            .sort({ startDate: 1 });
+
+        res.status(200).json(blackouts);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Get single blackout with the bookings it overlaps
+// @route   GET /api/blackouts/:id
+// @access  Private (Admin, Staff)
+const getBlackoutById = async (req, res) => {
+    try {
+        const blackout = await Blackout.findById(req.params.id)
+            .populate('courtId', 'name sportType')
+            .populate('createdBy', 'name');
+
+        if (!blackout) {
+            return res.status(404).json({ message: 'Blackout not found' });
+        }
+
+        const affectedBookings = await findAffectedBookings({
+            ...blackout.toObject(),
+            courtId: blackout.courtId ? blackout.courtId._id : null
+        });
+
+        res.status(200).json({
+            ...blackout.toObject(),
+            affectedBookings: formatAffectedBookings(affectedBookings)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Update blackout
+// @route   PUT /api/blackouts/:id
+// @access  Private (Admin, Staff)
+const updateBlackout = async (req, res) => {
+    try {
+        const blackout = await Blackout.findById(req.params.id);
+
+        if (!blackout) {
+            return res.status(404).json({ message: 'Blackout not found' });
+        }
+
+        Object.assign(blackout, pickBlackoutFields(req.body));
+
+        const updatedBlackout = await blackout.save();
+        const affectedBookings = await findAffectedBookings(updatedBlackout);
+
+        res.status(200).json({
+            success: true,
+            message: 'Blackout updated successfully',
+            blackout: updatedBlackout,
+            affectedBookings: formatAffectedBookings(affectedBookings)
+        });
+    } catch (error) {
+        console.error(error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Delete blackout
+// @route   DELETE /api/blackouts/:id
+// @access  Private (Admin, Staff)
+const deleteBlackout = async (req, res) => {
+    try {
+        const blackout = await Blackout.findById(req.params.id);
+
+        if (!blackout) {
+            return res.status(404).json({ message: 'Blackout not found' });
+        }
+
+        await blackout.deleteOne();
+        res.status(200).json({ message: 'Blackout removed' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+module.exports = {
+    createBlackout,
+    getBlackouts,
+    getBlackoutById,
+    updateBlackout,
+    deleteBlackout,
+};
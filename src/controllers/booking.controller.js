@@ -3,13 +3,23 @@ const moment = require('moment');
 const BookingSlot = require('../models/BookingSlot.model');
 const Payment = require('../models/Payment.model');
 const Court = require('../models/Court.model');
-const { generateSlots } = require('../services/slotGenerator.service');
-const { calculatePrice } = require('../services/pricing.service');
+const Settings = require('../models/Settings.model');
+const { generateSlots, generateDatedSlots, buildSlotFilter, getSlotDuration } = require('../services/slotGenerator.service');
+const { calculatePrice, getPriceBreakdown } = require('../services/pricing.service');
 const mongoose = require('mongoose');
-const { normalizeToMidnight } = require('../utils/dateUtils');
+const { normalizeToMidnight, getBookingEnd } = require('../utils/dateUtils');
 
-const { createSingleBooking } = require('../services/bookingCore.service');
+const { createSingleBooking, quoteBooking } = require('../services/bookingCore.service');
 const { checkSlotAvailability, throwConflictError } = require('../services/slotValidation.service');
+const { setCollectedAmount } = require('../services/paymentLedger.service');
+const { applyCancellationPolicy } = require('../services/cancellation.service');
+const { getBlackoutConflicts, formatBlackouts } = require('../services/blackout.service');
+const { assertWithinOperatingHours } = require('../services/operatingHours.service');
+const { resolveCustomer } = require('../services/customer.service');
+const { offerFreedSlots } = require('../services/waitlist.service');
+const { findAlternativeSlots } = require('../services/slotSuggestion.service');
+const { softDeleteBookings } = require('../services/trash.service');
+const { moveBooking } = require('../services/reschedule.service');
 
 // @desc    Create new booking
 // @route   POST /api/admin/bookings
@@ -21,6 +31,8 @@ const createBooking = async (req, res) => {
     try {
         const booking = await createSingleBooking({
             ...req.body,
+            // Fixed prices are only set through recurring occurrence overrides
+            priceOverride: null,
             createdBy: req.user._id
         }, session);
 
@@ -43,7 +55,7 @@ const createBooking = async (req, res) => {
         if (error.code === 11000) {
             return res.status(409).json({ message: 'Slot already booked (Race Condition Detected)' });
         }
-        res.status(400).json({ message: error.message || 'Server Error' });
+        res.status(400).json({ message: error.message || 'Server Error', alternatives: error.alternatives });
     }
 };
 
@@ -53,23 +65,27 @@ const createBooking = async (req, res) => {
 const checkAvailability = async (req, res) => {
     try {
         const { courtId, bookingDate, startTime, endTime } = req.body;
-        const normalizedDate = normalizeToMidnight(bookingDate);
-        const slots = generateSlots(startTime, endTime);
+        const datedSlots = generateDatedSlots(bookingDate, startTime, endTime);
 
         const rawConflicts = await BookingSlot.find({
             courtId,
-            bookingDate: normalizedDate,
-            slotTime: { $in: slots }
+            ...buildSlotFilter(datedSlots)
         }).populate('bookingId');
 
+        const now = new Date();
         const activeConflicts = rawConflicts.filter(slot =>
-            slot.bookingId && slot.bookingId.status === 'BOOKED'
+            (slot.bookingId && slot.bookingId.status === 'BOOKED') ||
+            (slot.status === 'HELD' && slot.holdExpiresAt > now)
         );
 
-        if (activeConflicts.length > 0) {
+        const blackouts = await getBlackoutConflicts(courtId, bookingDate, startTime, endTime);
+
+        if (activeConflicts.length > 0 || blackouts.length > 0) {
             return res.status(200).json({
                 available: false,
-                conflictingSlots: [...new Set(activeConflicts.map(s => s.slotTime))]
+                conflictingSlots: [...new Set(activeConflicts.map(s => s.slotTime))],
+                blackouts: formatBlackouts(blackouts),
+                alternatives: await findAlternativeSlots({ courtId, bookingDate, startTime, endTime })
             });
         }
 
@@ -81,6 +97,37 @@ const checkAvailability = async (req, res) => {
     }
 };
 
+// @desc    Preview the full price of a booking before creating it
+// @route   POST /api/admin/bookings/quote
+// @route   POST /api/staff/bookings/quote
+// @access  Private (Admin, Staff)
+const getBookingQuote = async (req, res) => {
+    try {
+        const { courtId, bookingDate, startTime, endTime, discountType, discountValue, advancePaid, promoCode, customerPhone } = req.body;
+
+        if (!courtId || !bookingDate || !startTime || !endTime) {
+            return res.status(400).json({ message: 'Court, date, start time and end time are required' });
+        }
+
+        const quote = await quoteBooking({
+            courtId,
+            bookingDate,
+            startTime,
+            endTime,
+            discountType,
+            discountValue,
+            advancePaid,
+            promoCode,
+            customerPhone
+        });
+
+        res.status(200).json({ success: true, data: quote });
+
+    } catch (error) {
+        console.error(error);
+        res.status(400).json({ message: error.message || 'Server Error' });
+    }
+};
 
 // @desc    Get all bookings with filters
 // @route   GET /api/admin/bookings
@@ -145,7 +192,7 @@ const getAllBookings = async (req, res) => {
             let displayStatus = booking.status;
             if (booking.status === 'BOOKED') {
                 const now = moment();
-                const bookingEnd = moment(moment(booking.bookingDate).format('YYYY-MM-DD') + ' ' + booking.endTime, 'YYYY-MM-DD HH:mm');
+                const bookingEnd = getBookingEnd(booking.bookingDate, booking.startTime, booking.endTime);
                 if (now.isAfter(bookingEnd)) {
                     displayStatus = 'COMPLETED';
                 }
@@ -189,6 +236,9 @@ const updateBookingStatus = async (req, res) => {
         if (!booking) {
             throw new Error('Booking not found');
         }
+        if (status === 'CANCELLED' && req.body.waiveFee && !req.permissions.includes('payment.refund')) {
+            throw new Error('Not authorized to waive the cancellation fee');
+        }
 
         // Update slots status instead of deleting to maintain history/audit
         if (status === 'CANCELLED' || status === 'COMPLETED') {
@@ -209,7 +259,7 @@ const updateBookingStatus = async (req, res) => {
                 booking._id
             );
             if (!availability.available) {
-                throwConflictError(availability.conflicts);
+                throwConflictError(availability.conflicts, availability.blackouts);
             }
             await BookingSlot.updateMany(
                 { bookingId: booking._id },
@@ -223,13 +273,26 @@ const updateBookingStatus = async (req, res) => {
         // For now, let's assume Admin knows what they are doing or simple status update.
         // PRO TIP: Re-booking a cancelled slot is complex, let's assume this is mostly for valid flows.
 
+        const wasCancelled = booking.status === 'CANCELLED';
         booking.status = status;
         await booking.save({ session });
 
+        // Compute cancellation fee, record any refund due and offer the freed slots to the waitlist
+        let cancellation = null;
+        let waitlistOffers = [];
+        if (status === 'CANCELLED' && !wasCancelled) {
+            cancellation = await applyCancellationPolicy(booking, {
+                cancelledBy: req.user._id,
+                refundMode: req.body.refundMode,
+                waiveFee: req.body.waiveFee
+            }, session);
+            waitlistOffers = await offerFreedSlots(booking, req.user._id, session);
+        }
+
         await session.commitTransaction();
         session.endSession();
 
-        res.status(200).json({ message: 'Booking status updated', booking });
+        res.status(200).json({ message: 'Booking status updated', booking, cancellation, waitlistOffers });
 
     } catch (error) {
         await session.abortTransaction();
@@ -239,7 +302,56 @@ const updateBookingStatus = async (req, res) => {
     }
 };
 
-// @desc    Delete booking
+// @desc    Mark a booking as a no-show (or clear the flag)
+// @route   PATCH /api/admin/bookings/:id/no-show
+// @route   PATCH /api/staff/bookings/:id/no-show
+// @access  Private (Admin, Staff)
+const markNoShow = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const noShow = req.body.noShow !== false;
+        const booking = await Booking.findById(req.params.id).session(session);
+
+        if (!booking) {
+            throw new Error('Booking not found');
+        }
+        if (booking.status === 'CANCELLED') {
+            throw new Error('Cannot mark a cancelled booking as no-show');
+        }
+
+        const bookingStart = moment(moment(booking.bookingDate).format('YYYY-MM-DD') + ' ' + booking.startTime, 'YYYY-MM-DD HH:mm');
+        if (noShow && moment().isBefore(bookingStart)) {
+            throw new Error('Cannot mark a booking as no-show before it starts');
+        }
+
+        booking.noShow = noShow;
+
+        // The slot time is over for a no-show, so the booking is completed (payment is kept)
+        if (noShow && booking.status === 'BOOKED') {
+            booking.status = 'COMPLETED';
+            await BookingSlot.updateMany(
+                { bookingId: booking._id },
+                { status: 'COMPLETED' },
+                { session }
+            );
+        }
+
+        await booking.save({ session });
+        await session.commitTransaction();
+
+        res.status(200).json({ message: noShow ? 'Booking marked as no-show' : 'No-show cleared', booking });
+    } catch (error) {
+        await session.abortTransaction();
+        console.error(error);
+        res.status(400).json({ message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Delete booking (moves it to the trash, see /api/admin/trash)
 // @route   DELETE /api/admin/bookings/:id
 // @access  Private (Admin only)
 const deleteBooking = async (req, res) => {
@@ -253,19 +365,16 @@ const deleteBooking = async (req, res) => {
             throw new Error('Booking not found');
         }
 
-        // 1. Delete Slots
-        await BookingSlot.deleteMany({ bookingId: booking._id }).session(session);
-
-        // 2. Delete Payment
-        await Payment.deleteMany({ bookingId: booking._id }).session(session);
+        // 1. Move the booking and its payments to the trash and free the slots
+        await softDeleteBookings([booking._id], req.user._id, session);
 
-        // 3. Delete Booking
-        await Booking.deleteOne({ _id: booking._id }).session(session);
+        // 2. Offer the freed slots to the waitlist
+        const waitlistOffers = await offerFreedSlots(booking, req.user._id, session);
 
         await session.commitTransaction();
         session.endSession();
 
-        res.status(200).json({ message: 'Booking deleted successfully' });
+        res.status(200).json({ message: 'Booking moved to trash', waitlistOffers });
 
     } catch (error) {
         await session.abortTransaction();
@@ -297,7 +406,8 @@ const updateBooking = async (req, res) => {
             paymentMode,
             paymentNotes,
             status,
-            paymentStatus // Added explicit payment status
+            paymentStatus, // Added explicit payment status
+            waiveFee
         } = req.body;
 
         const normalizedDate = normalizeToMidnight(bookingDate);
@@ -306,6 +416,18 @@ const updateBooking = async (req, res) => {
         if (!booking) {
             throw new Error('Booking not found');
         }
+        if (status === 'CANCELLED' && waiveFee && !req.permissions.includes('payment.refund')) {
+            throw new Error('Not authorized to waive the cancellation fee');
+        }
+
+        // The slots a cancellation frees are those of the schedule before this update
+        const previous = {
+            _id: booking._id,
+            courtId: booking.courtId,
+            bookingDate: booking.bookingDate,
+            startTime: booking.startTime,
+            endTime: booking.endTime
+        };
 
         // --- 1. Handle Schedule/Court Changes & Slot Management ---
         const isScheduleChanged =
@@ -321,13 +443,17 @@ const updateBooking = async (req, res) => {
         let finalAmount = booking.finalAmount;
         let baseAmount = booking.baseAmount;
         let totalSlots = booking.totalSlots;
+        let priceBreakdown = booking.priceBreakdown;
 
         // Helper to recalculate params
         const court = await Court.findById(courtId);
         if (!court || court.status !== 'ACTIVE') throw new Error('Invalid or Inactive Court');
-        const potentialSlots = generateSlots(startTime, endTime);
+        const settings = await Settings.getSettings();
+        const slotDuration = getSlotDuration(court, settings);
+        const potentialSlots = generateSlots(startTime, endTime, slotDuration);
         if (potentialSlots.length === 0) throw new Error('Invalid time range');
-        const calculatedBaseAmount = calculatePrice(court, potentialSlots.length, new Date(bookingDate));
+        const calculatedBaseAmount = calculatePrice(court, potentialSlots, new Date(bookingDate), settings.weekendDays, slotDuration);
+        const calculatedBreakdown = getPriceBreakdown(court, potentialSlots, new Date(bookingDate), settings.weekendDays, slotDuration);
 
         // Logic Branch
         if (isActiveStatus) {
@@ -337,15 +463,22 @@ const updateBooking = async (req, res) => {
             // 2. OR The booking was previously Inactive (meaning it has no slots, so we must reserve them now)
 
             if (isScheduleChanged || !wasActiveStatus) {
+                await assertWithinOperatingHours(court, normalizedDate, startTime, endTime, settings);
+
                 // A1. Check Conflicts (Exclude THIS booking's slots)
                 const availability = await checkSlotAvailability(courtId, normalizedDate, startTime, endTime, session, booking._id);
                 if (!availability.available) {
-                    throwConflictError(availability.conflicts);
+                    const alternatives = await findAlternativeSlots({
+                        courtId, bookingDate: normalizedDate, startTime, endTime, excludeBookingId: booking._id
+                    }, {}, session);
+                    throwConflictError(availability.conflicts, availability.blackouts, alternatives);
                 }
 
                 // A2. Update Amounts based on new schedule
                 baseAmount = calculatedBaseAmount;
+                priceBreakdown = calculatedBreakdown;
                 totalSlots = potentialSlots.length;
+                booking.slotDuration = slotDuration;
                 finalSlots = potentialSlots;
 
                 // A3. Apply Discount
@@ -361,12 +494,12 @@ const updateBooking = async (req, res) => {
                 // First delete any existing (from old schedule or if inconsistent)
                 await BookingSlot.deleteMany({ bookingId: booking._id }).session(session);
 
-                // Insert new
-                const bookingSlotDocs = potentialSlots.map(time => ({
+                // Insert new (slots after midnight belong to the next day)
+                const bookingSlotDocs = generateDatedSlots(normalizedDate, startTime, endTime).map(slot => ({
                     bookingId: booking._id,
                     courtId,
-                    bookingDate: new Date(bookingDate),
-                    slotTime: time,
+                    bookingDate: slot.bookingDate,
+                    slotTime: slot.slotTime,
                     status: 'BOOKED'
                 }));
                 await BookingSlot.insertMany(bookingSlotDocs, { session });
@@ -394,7 +527,9 @@ const updateBooking = async (req, res) => {
             // C2. Update metadata (amounts) if schedule changed, just for record keeping
             if (isScheduleChanged) {
                 baseAmount = calculatedBaseAmount;
+                priceBreakdown = calculatedBreakdown;
                 totalSlots = potentialSlots.length;
+                booking.slotDuration = slotDuration;
 
                 let priceAfterDiscount = baseAmount;
                 if (discountType === 'PERCENT') {
@@ -418,6 +553,10 @@ const updateBooking = async (req, res) => {
         }
 
         // --- 2. Update Booking Record ---
+        if (customerPhone !== booking.customerPhone || !booking.customerId) {
+            const customer = await resolveCustomer({ name: customerName, phone: customerPhone }, req.user._id, session);
+            booking.customerId = customer._id;
+        }
         booking.customerName = customerName;
         booking.customerPhone = customerPhone;
         booking.sportType = sportType;
@@ -427,6 +566,7 @@ const updateBooking = async (req, res) => {
         booking.endTime = endTime;
         booking.totalSlots = totalSlots;
         booking.baseAmount = baseAmount;
+        booking.priceBreakdown = priceBreakdown;
         booking.discountType = discountType;
         booking.discountValue = discountValue;
         booking.finalAmount = finalAmount;
@@ -435,57 +575,124 @@ const updateBooking = async (req, res) => {
         await booking.save({ session });
 
         // --- 3. Update Payment Record ---
+        // A cancellation settles the payment through the cancellation policy instead
+        const isBeingCancelled = status === 'CANCELLED' && wasActiveStatus;
+        let waitlistOffers = [];
+        if (isBeingCancelled) {
+            await applyCancellationPolicy(booking, {
+                cancelledBy: req.user._id,
+                refundMode: paymentMode,
+                waiveFee
+            }, session);
+            waitlistOffers = await offerFreedSlots(previous, req.user._id, session);
+        }
+
         // Find payment for this booking
         let payment = await Payment.findOne({ bookingId: booking._id }).session(session);
-        if (payment) {
+        if (payment && !isBeingCancelled) {
             payment.totalAmount = finalAmount;
             // Bidirectional Synchronization Logic:
+            // The target collected amount is recorded as a ledger adjustment; status and balance are derived.
+            let targetCollected = advancePaid || 0;
 
             // 1. If Status is explicitly set:
-            if (paymentStatus) {
-                if (paymentStatus === 'PAID') {
-                    // If Admin says PAID, ensure full amount is captured
-                    payment.advancePaid = finalAmount;
-                } else if (paymentStatus === 'PENDING') {
-                    // If Admin says PENDING, reset advance to 0 (optional, but logical)
-                    payment.advancePaid = 0;
-                } else {
-                    // PARTIAL: Keep entered advancePaid
-                    payment.advancePaid = advancePaid || 0;
-                }
-                payment.status = paymentStatus;
+            if (paymentStatus === 'PAID') {
+                // If Admin says PAID, ensure full amount is captured
+                targetCollected = finalAmount;
+            } else if (paymentStatus === 'PENDING') {
+                // If Admin says PENDING, reset advance to 0 (optional, but logical)
+                targetCollected = 0;
             }
-            // 2. If Status is NOT set, derive from Advance Paid:
-            else {
-                payment.advancePaid = advancePaid || 0;
-                payment.status = (payment.advancePaid <= 0) ? 'PENDING' :
-                    (payment.advancePaid >= finalAmount) ? 'PAID' : 'PARTIAL';
-            }
-
-            // Recalculate Balance
-            payment.balanceAmount = Math.max(0, finalAmount - payment.advancePaid);
+            // 2. PARTIAL or not set: Keep entered advancePaid
 
-            await payment.save({ session });
+            await setCollectedAmount(payment, targetCollected, {
+                mode: paymentMode,
+                collectedBy: req.user._id
+            }, session);
         }
 
         await session.commitTransaction();
         session.endSession();
 
-        res.status(200).json({ success: true, message: 'Booking updated successfully', booking });
+        res.status(200).json({ success: true, message: 'Booking updated successfully', booking, waitlistOffers });
 
     } catch (error) {
         await session.abortTransaction();
         session.endSession();
         console.error(error);
-        res.status(400).json({ message: error.message || 'Update failed' });
+        res.status(400).json({ message: error.message || 'Update failed', alternatives: error.alternatives });
+    }
+};
+
+// @desc    Move a booking to another court, date or time in one step
+// @route   POST /api/admin/bookings/:id/reschedule (also /api/staff/bookings/:id/reschedule)
+// @access  Private (booking.edit; keeping the original price needs booking.override)
+// Body: { courtId, bookingDate, startTime, endTime, keepPrice, reason } - omitted fields stay unchanged
+const rescheduleBooking = async (req, res) => {
+    const { courtId, bookingDate, startTime, endTime, keepPrice = false, reason } = req.body;
+
+    if (keepPrice && !req.permissions.includes('booking.override')) {
+        return res.status(403).json({ message: 'Keeping the original price requires the booking.override permission' });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const result = await moveBooking(
+            req.params.id,
+            { courtId, bookingDate, startTime, endTime, keepPrice, reason },
+            req.user._id,
+            session
+        );
+
+        // Offer the time the booking left to the waitlist (any part it still covers is skipped)
+        const waitlistOffers = await offerFreedSlots(
+            { _id: result.booking._id, ...result.previous },
+            req.user._id,
+            session
+        );
+
+        await session.commitTransaction();
+
+        res.status(200).json({
+            success: true,
+            message: 'Booking rescheduled successfully',
+            booking: result.booking,
+            previous: {
+                ...result.previous,
+                bookingDate: moment(result.previous.bookingDate).format('YYYY-MM-DD')
+            },
+            priceDifference: result.priceDifference,
+            refundDue: result.refundDue,
+            payment: result.payment ? {
+                totalAmount: result.payment.totalAmount,
+                advancePaid: result.payment.advancePaid,
+                balanceAmount: result.payment.balanceAmount,
+                status: result.payment.status
+            } : null,
+            waitlistOffers
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Slot already booked (Race Condition Detected)' });
+        }
+        res.status(error.status || 400).json({ message: error.message, alternatives: error.alternatives });
+    } finally {
+        session.endSession();
     }
 };
 
 module.exports = {
     createBooking,
     checkAvailability,
+    getBookingQuote,
     getAllBookings,
     updateBookingStatus,
+    markNoShow,
     deleteBooking,
-    updateBooking
+    updateBooking,
+    rescheduleBooking
 };
@@ -5,9 +5,17 @@ const BookingSlot = require('../models/BookingSlot.model');
 const Court = require('../models/Court.model');
 const Payment = require('../models/Payment.model');
 const Settings = require('../models/Settings.model');
-const { generateSlots } = require('../services/slotGenerator.service');
-const { calculatePrice } = require('../services/pricing.service');
-const { checkSlotAvailability, throwConflictError } = require('../services/slotValidation.service');
+const { generateSlots, generateDatedSlots, buildSlotFilter, getSlotDuration } = require('../services/slotGenerator.service');
+const { calculatePrice, getPriceBreakdown } = require('../services/pricing.service');
+const { setCollectedAmount, syncPaymentFromLedger } = require('../services/paymentLedger.service');
+const { applyCancellationPolicy } = require('../services/cancellation.service');
+const { getBlackoutConflicts } = require('../services/blackout.service');
+const { assertWithinOperatingHours } = require('../services/operatingHours.service');
+const { resolveCustomer } = require('../services/customer.service');
+const { createSingleBooking } = require('../services/bookingCore.service');
+const { offerFreedSlots } = require('../services/waitlist.service');
+const { softDeleteBookings } = require('../services/trash.service');
+const { getBookingEnd } = require('../utils/dateUtils');
 
 /**
  * @desc    Get Bookings List (Staff View)
@@ -72,7 +80,7 @@ const getBookingsList = async (req, res) => {
             let displayStatus = b.status;
             if (b.status === 'BOOKED') {
                 const now = moment();
-                const bookingEnd = moment(moment(b.bookingDate).format('YYYY-MM-DD') + ' ' + b.endTime, 'YYYY-MM-DD HH:mm');
+                const bookingEnd = getBookingEnd(b.bookingDate, b.startTime, b.endTime);
                 if (now.isAfter(bookingEnd)) {
                     displayStatus = 'COMPLETED';
                 }
@@ -119,7 +127,7 @@ const getBookingsList = async (req, res) => {
 const getBookingDetails = async (req, res) => {
     try {
         const booking = await Booking.findById(req.params.id)
-            .populate('courtId', 'name sportType weekdayPrice weekendPrice')
+            .populate('courtId', 'name sportType weekdayPrice weekendPrice dayPrices')
             .populate('createdBy', 'name email');
 
         if (!booking) {
@@ -143,108 +151,67 @@ const getBookingDetails = async (req, res) => {
 /**
  * @desc    Create new booking by Staff/Admin
  * @route   POST /api/staff/bookings
+ * Priced by createSingleBooking, so it always matches POST /api/staff/bookings/quote for the same
+ * court, time, discount, promo code and advance.
  */
 const createStaffBooking = async (req, res) => {
+    const {
+        customerName,
+        phoneNumber,
+        bookingDate,
+        startTime,
+        endTime,
+        courtId,
+        sport,
+        advancePaid,
+        paymentMode,
+        discountType,
+        discountValue,
+        promoCode
+    } = req.body;
+
+    // Validation logic same as before but ensuring bookingSource: 'MANUAL'
+    if (!customerName || !phoneNumber || !bookingDate || !startTime || !endTime || !courtId || !sport) {
+        return res.status(400).json({ message: 'All fields are required' });
+    }
+
+    if (!/^\d{10}$/.test(phoneNumber)) {
+        return res.status(400).json({ message: 'Please provide a valid 10-digit phone number' });
+    }
+
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
-        const {
-            customerName,
-            phoneNumber,
-            bookingDate,
-            startTime,
-            endTime,
-            courtId,
-            sport,
-            advancePaid,
-            remainingBalance,
-            paymentMode
-        } = req.body;
-
-        // Validation logic same as before but ensuring bookingSource: 'MANUAL'
-        if (!customerName || !phoneNumber || !bookingDate || !startTime || !endTime || !courtId || !sport) {
-            return res.status(400).json({ message: 'All fields are required' });
-        }
-
-        if (!/^\d{10}$/.test(phoneNumber)) {
-            return res.status(400).json({ message: 'Please provide a valid 10-digit phone number' });
-        }
-
-        const settings = await Settings.getSettings();
-        const start = moment(startTime, 'HH:mm');
-        const end = moment(endTime, 'HH:mm');
-        const open = moment(settings.openingTime, 'HH:mm');
-        const close = moment(settings.closingTime, 'HH:mm');
-
-        if (start.isBefore(open) || end.isAfter(close)) {
-            return res.status(400).json({
-                message: `Booking must be within operating hours (${settings.openingTime} - ${settings.closingTime})`
-            });
-        }
-
-        const court = await Court.findById(courtId).session(session);
-        if (!court || court.status !== 'ACTIVE') {
-            throw new Error('Court not found or inactive');
-        }
-
-        const slots = generateSlots(startTime, endTime);
-        const bDate = new Date(bookingDate);
-        bDate.setHours(0, 0, 0, 0);
-
-        // Global Slot Validation
-        const availability = await checkSlotAvailability(courtId, bDate, startTime, endTime, session);
-        if (!availability.available) {
-            return res.status(409).json({ message: `This slot is already booked. Please select another time. (Conflicts: ${availability.conflicts.join(', ')})` });
-        }
-
-        const baseAmount = calculatePrice(court, slots.length, bDate);
-        const totalAmount = Math.ceil(baseAmount);
-        const calculatedRemaining = Math.max(0, totalAmount - (advancePaid || 0));
-
-        const booking = await Booking.create([{
+        const booking = await createSingleBooking({
             customerName,
             customerPhone: phoneNumber,
             sportType: sport,
             courtId,
-            bookingDate: bDate,
+            bookingDate,
             startTime,
             endTime,
-            totalSlots: slots.length,
-            baseAmount: totalAmount,
-            discountType: 'NONE',
-            discountValue: 0,
-            finalAmount: totalAmount,
+            discountType,
+            discountValue,
+            promoCode,
+            advancePaid,
+            paymentMode,
             createdBy: req.user._id,
-            status: 'BOOKED',
             source: 'MANUAL'
-        }], { session });
-
-        await BookingSlot.insertMany(slots.map(time => ({
-            bookingId: booking[0]._id,
-            courtId,
-            bookingDate: bDate,
-            slotTime: time
-        })), { session });
-
-        await Payment.create([{
-            bookingId: booking[0]._id,
-            totalAmount,
-            advancePaid: advancePaid || 0,
-            balanceAmount: calculatedRemaining,
-            paymentMode: paymentMode || 'CASH',
-            status: calculatedRemaining === 0 ? 'PAID' : (advancePaid > 0 ? 'PARTIAL' : 'PENDING')
-        }], { session });
+        }, session);
 
         await session.commitTransaction();
-        session.endSession();
 
-        res.status(201).json({ success: true, message: 'Booking created successfully', booking: booking[0] });
+        res.status(201).json({ success: true, message: 'Booking created successfully', booking });
 
     } catch (error) {
         await session.abortTransaction();
+        if (error.code === 11000) {
+            return res.status(409).json({ message: 'Slot already booked (Race Condition Detected)' });
+        }
+        res.status(error.status || 400).json({ message: error.message, alternatives: error.alternatives });
+    } finally {
         session.endSession();
-        res.status(500).json({ message: error.message });
     }
 };
 
@@ -267,17 +234,25 @@ const updateBooking = async (req, res) => {
 
         // Only update allowed fields
         if (customerName) booking.customerName = customerName;
-        if (customerPhone) booking.customerPhone = customerPhone;
+        if (customerPhone && customerPhone !== booking.customerPhone) {
+            const customer = await resolveCustomer({ name: booking.customerName, phone: customerPhone }, req.user._id, session);
+            booking.customerPhone = customerPhone;
+            booking.customerId = customer._id;
+        }
 
         // Time Slot change logic
         if (startTime && endTime && (startTime !== booking.startTime || endTime !== booking.endTime)) {
-            const slots = generateSlots(startTime, endTime);
+            const court = await Court.findById(booking.courtId).session(session);
+            const settings = await Settings.getSettings();
+            const slotDuration = getSlotDuration(court, settings);
+            const slots = generateSlots(startTime, endTime, slotDuration);
+            const datedSlots = generateDatedSlots(booking.bookingDate, startTime, endTime);
+            await assertWithinOperatingHours(court, booking.bookingDate, startTime, endTime, settings);
 
             // Check conflicts (excluding current booking)
             const conflicts = await BookingSlot.find({
                 courtId: booking.courtId,
-                bookingDate: booking.bookingDate,
-                slotTime: { $in: slots },
+                ...buildSlotFilter(datedSlots),
                 bookingId: { $ne: booking._id }
             }).populate('bookingId').session(session);
 
@@ -286,23 +261,29 @@ const updateBooking = async (req, res) => {
                 throw new Error('New time slot overlaps with another booking');
             }
 
+            const blackouts = await getBlackoutConflicts(booking.courtId, booking.bookingDate, startTime, endTime, session);
+            if (blackouts.length > 0) {
+                throw new Error(`New time slot is blocked (${blackouts.map(b => b.reason).join(', ')})`);
+            }
+
             // Update slots
             await BookingSlot.deleteMany({ bookingId: booking._id }).session(session);
-            await BookingSlot.insertMany(slots.map(s => ({
+            await BookingSlot.insertMany(datedSlots.map(slot => ({
                 bookingId: booking._id,
                 courtId: booking.courtId,
-                bookingDate: booking.bookingDate,
-                slotTime: s
+                bookingDate: slot.bookingDate,
+                slotTime: slot.slotTime
             })), { session });
 
             booking.startTime = startTime;
             booking.endTime = endTime;
             booking.totalSlots = slots.length;
+            booking.slotDuration = slotDuration;
 
             // Recalculate price if slots count changed
-            const court = await Court.findById(booking.courtId).session(session);
-            const newBase = calculatePrice(court, slots.length, booking.bookingDate);
+            const newBase = calculatePrice(court, slots, booking.bookingDate, settings.weekendDays, slotDuration);
             booking.baseAmount = newBase;
+            booking.priceBreakdown = getPriceBreakdown(court, slots, booking.bookingDate, settings.weekendDays, slotDuration);
             booking.finalAmount = newBase; // No discount for staff updates
         }
 
@@ -312,10 +293,11 @@ const updateBooking = async (req, res) => {
         const payment = await Payment.findOne({ bookingId: booking._id }).session(session);
         if (payment) {
             payment.totalAmount = booking.finalAmount;
-            if (advancePaid !== undefined) payment.advancePaid = advancePaid;
-            payment.balanceAmount = payment.totalAmount - payment.advancePaid;
-            payment.status = payment.balanceAmount === 0 ? 'PAID' : (payment.advancePaid > 0 ? 'PARTIAL' : 'PENDING');
-            await payment.save({ session });
+            if (advancePaid !== undefined) {
+                await setCollectedAmount(payment, advancePaid, { collectedBy: req.user._id }, session);
+            } else {
+                await syncPaymentFromLedger(payment, session);
+            }
         }
 
         await session.commitTransaction();
@@ -341,6 +323,9 @@ const cancelBooking = async (req, res) => {
         const booking = await Booking.findById(req.params.id).session(session);
         if (!booking) throw new Error('Booking not found');
         if (booking.status === 'CANCELLED') throw new Error('Booking already cancelled');
+        if (req.body.waiveFee && !req.permissions.includes('payment.refund')) {
+            throw new Error('Not authorized to waive the cancellation fee');
+        }
 
         booking.status = 'CANCELLED';
         await booking.save({ session });
@@ -351,6 +336,14 @@ const cancelBooking = async (req, res) => {
             { status: 'CANCELLED' }
         ).session(session);
 
+        // Compute cancellation fee and record any refund due
+        const { refundMode, waiveFee } = req.body;
+        const charges = await applyCancellationPolicy(booking, {
+            cancelledBy: req.user._id,
+            refundMode,
+            waiveFee
+        }, session);
+
         // Keep payment record for audit, but maybe update notes
         const payment = await Payment.findOne({ bookingId: booking._id }).session(session);
         if (payment) {
@@ -358,8 +351,11 @@ const cancelBooking = async (req, res) => {
             await payment.save({ session });
         }
 
+        // Offer the freed slots to the waitlist
+        const waitlistOffers = await offerFreedSlots(booking, req.user._id, session);
+
         await session.commitTransaction();
-        res.status(200).json({ success: true, message: 'Booking cancelled successfully' });
+        res.status(200).json({ success: true, message: 'Booking cancelled successfully', cancellation: charges, waitlistOffers });
 
     } catch (error) {
         await session.abortTransaction();
@@ -370,7 +366,7 @@ const cancelBooking = async (req, res) => {
 };
 
 /**
- * @desc    Delete Booking (Full Deletion)
+ * @desc    Delete Booking (moves it to the trash; an admin can restore it)
  * @route   DELETE /api/staff/bookings/:id
  */
 const deleteBooking = async (req, res) => {
@@ -381,17 +377,14 @@ const deleteBooking = async (req, res) => {
         const booking = await Booking.findById(req.params.id).session(session);
         if (!booking) throw new Error('Booking not found');
 
-        // 1. Delete Slots
-        await BookingSlot.deleteMany({ bookingId: booking._id }).session(session);
-
-        // 2. Delete Payment
-        await Payment.deleteMany({ bookingId: booking._id }).session(session);
+        // 1. Move the booking and its payments to the trash and free the slots
+        await softDeleteBookings([booking._id], req.user._id, session);
 
-        // 3. Delete Booking
-        await Booking.deleteOne({ _id: booking._id }).session(session);
+        // 2. Offer the freed slots to the waitlist
+        const waitlistOffers = await offerFreedSlots(booking, req.user._id, session);
 
         await session.commitTransaction();
-        res.status(200).json({ success: true, message: 'Booking deleted permanently' });
+        res.status(200).json({ success: true, message: 'Booking moved to trash', waitlistOffers });
 
     } catch (error) {
         await session.abortTransaction();
@@ -3,6 +3,9 @@ const Court = require('../models/Court.model');
 const Payment = require('../models/Payment.model');
 
 const moment = require('moment');
+const { isOvernight, getBookingEnd } = require('../utils/dateUtils');
+const { findBlackouts, getBlockedBands } = require('../services/blackout.service');
+const { getAvailabilityGrid } = require('../services/availability.service');
 
 /**
  * @desc    Get all bookings for a specific day grouped by court
@@ -27,16 +30,32 @@ const getDayCalendar = async (req, res) => {
         const endOfDay = new Date(date);
         endOfDay.setHours(23, 59, 59, 999);
 
-        // 1. Fetch all active courts
+        const previousDay = new Date(startOfDay);
+        previousDay.setDate(previousDay.getDate() - 1);
+
+        // 1. Fetch all active courts and the blackouts/closures of the day
         const courts = await Court.find({ status: 'ACTIVE' }).lean();
+        const blackouts = await findBlackouts(null, startOfDay, startOfDay);
 
-        // 2. Fetch all bookings for the selected date
+        // 2. Fetch all bookings for the selected date, plus overnight bookings
+        // from the previous day that run past midnight into it.
         // We exclude CANCELLED bookings as they don't occupy slots
         const bookings = await Booking.find({
-            bookingDate: {
-                $gte: startOfDay,
-                $lte: endOfDay
-            },
+            $or: [
+                {
+                    bookingDate: {
+                        $gte: startOfDay,
+                        $lte: endOfDay
+                    }
+                },
+                {
+                    bookingDate: {
+                        $gte: previousDay,
+                        $lt: startOfDay
+                    },
+                    $expr: { $lt: ['$endTime', '$startTime'] }
+                }
+            ],
             status: { $ne: 'CANCELLED' }
         }).populate('courtId', 'name sportType').lean();
 
@@ -58,12 +77,14 @@ const getDayCalendar = async (req, res) => {
                 .filter(b => b.courtId._id.toString() === court._id.toString())
                 .map(b => {
                     const payment = paymentMap[b._id.toString()];
+                    const overnight = isOvernight(b.startTime, b.endTime);
+                    const fromPreviousDay = b.bookingDate < startOfDay;
 
                     // Dynamic Status Logic
                     let displayStatus = b.status;
                     if (b.status === 'BOOKED') {
                         const now = moment();
-                        const bookingEnd = moment(moment(b.bookingDate).format('YYYY-MM-DD') + ' ' + b.endTime, 'YYYY-MM-DD HH:mm');
+                        const bookingEnd = getBookingEnd(b.bookingDate, b.startTime, b.endTime);
                         if (now.isAfter(bookingEnd)) {
                             displayStatus = 'COMPLETED';
                         }
@@ -78,6 +99,11 @@ const getDayCalendar = async (req, res) => {
                         bookingDate: b.bookingDate,
                         startTime: b.startTime,
                         endTime: b.endTime,
+                        // Portion of the booking that falls on this day (differs for overnight bookings)
+                        dayStartTime: fromPreviousDay ? '00:00' : b.startTime,
+                        dayEndTime: overnight && !fromPreviousDay ? '24:00' : b.endTime,
+                        isOvernight: overnight,
+                        continuesFromPreviousDay: fromPreviousDay,
                         discountType: b.discountType,
                         discountValue: b.discountValue,
                         paymentStatus: payment ? payment.status : 'PENDING',
@@ -98,7 +124,8 @@ const getDayCalendar = async (req, res) => {
                 courtId: court._id,
                 courtName: court.name,
                 sportType: court.sportType,
-                slots: courtBookings // These are the booked slots
+                slots: courtBookings, // These are the booked slots
+                blocked: getBlockedBands(blackouts, court._id, startOfDay) // Blackouts and closures
             };
         });
 
@@ -117,6 +144,24 @@ const getDayCalendar = async (req, res) => {
     }
 };
 
+/**
+ * @desc    Free/booked/blocked slot grid for a court or all courts of a sport over up to 14 days
+ * @route   GET /api/calendar/availability?from=YYYY-MM-DD&to=YYYY-MM-DD&courtId=|sportType=
+ * @route   GET /api/portal/availability
+ * @access  Public (no customer or payment data)
+ */
+const getAvailability = async (req, res) => {
+    try {
+        const { courtId, sportType, from, to } = req.query;
+        const grid = await getAvailabilityGrid({ courtId, sportType, from, to });
+
+        res.status(200).json({ success: true, ...grid });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+};
+
 module.exports = {
-    getDayCalendar
+    getDayCalendar,
+    getAvailability
 };
@@ -1,11 +1,12 @@
 const Court = require('../models/Court.model');
+const { findBookingsOutsideHours } = require('../services/operatingHours.service');
 
 // @desc    Create new court
 // @route   POST /api/courts
 // @access  Private (Admin only)
 const createCourt = async (req, res) => {
     try {
-        const { name, sportType, weekdayPrice, weekendPrice, status } = req.body;
+        const { name, sportType, weekdayPrice, weekendPrice, dayPrices, pricingRules, slotDuration, openingTime, closingTime, weeklyHours, status } = req.body;
 
         const courtExists = await Court.findOne({ name, sportType });
 
@@ -18,6 +19,12 @@ const createCourt = async (req, res) => {
             sportType,
             weekdayPrice,
             weekendPrice,
+            dayPrices,
+            pricingRules,
+            slotDuration: slotDuration || null,
+            openingTime: openingTime || null,
+            closingTime: closingTime || null,
+            weeklyHours,
             status: status || 'ACTIVE',
         });
 
@@ -78,6 +85,25 @@ const updateCourt = async (req, res) => {
             court.name = req.body.name || court.name;
             court.weekdayPrice = req.body.weekdayPrice !== undefined ? req.body.weekdayPrice : court.weekdayPrice;
             court.weekendPrice = req.body.weekendPrice !== undefined ? req.body.weekendPrice : court.weekendPrice;
+            if (req.body.dayPrices !== undefined) {
+                court.dayPrices = req.body.dayPrices || {};
+            }
+            if (req.body.pricingRules !== undefined) {
+                court.pricingRules = req.body.pricingRules || [];
+            }
+            if (req.body.slotDuration !== undefined) {
+                court.slotDuration = req.body.slotDuration || null;
+            }
+            if (req.body.openingTime !== undefined) {
+                court.openingTime = req.body.openingTime || null;
+            }
+            if (req.body.closingTime !== undefined) {
+                court.closingTime = req.body.closingTime || null;
+            }
+            if (req.body.weeklyHours !== undefined) {
+                court.weeklyHours = req.body.weeklyHours || {};
+            }
+            const hoursChanged = court.isModified('openingTime') || court.isModified('closingTime') || court.isModified('weeklyHours');
 
             // Allow status update here as well or keep specific route, logic: keep flexible
             if (req.body.status) {
@@ -87,10 +113,17 @@ const updateCourt = async (req, res) => {
             // Optional: Prevent sportType update if needed, currently not restricted but usually static
 
             const updatedCourt = await court.save();
+
+            // Report upcoming bookings that the new hours exclude
+            const bookingsOutsideHours = hoursChanged
+                ? await findBookingsOutsideHours({ courtId: court._id })
+                : [];
+
             res.status(200).json({
                 success: true,
                 message: 'Court updated successfully',
                 court: updatedCourt,
+                bookingsOutsideHours,
             });
         } else {
             res.status(404).json({ message: 'Court not found' });
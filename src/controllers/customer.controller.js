@@ -0,0 +1,279 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const Customer = require('../models/Customer.model');
+const Booking = require('../models/Booking.model');
+const RecurringBooking = require('../models/RecurringBooking.model');
+const Payment = require('../models/Payment.model');
+const { normalizePhone, getCustomerStats } = require('../services/customer.service');
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// @desc    Search customers
+// @route   GET /api/customers
+// @access  Private (Admin, Staff)
+// Query: search (name or phone), tag, blacklisted (true/false), page, limit
+const getCustomers = async (req, res) => {
+    try {
+        const { search, tag, blacklisted, page = 1, limit = 20 } = req.query;
+        const query = {};
+
+        if (search) {
+            const or = [{ name: { $regex: escapeRegex(search), $options: 'i' } }];
+            const digits = normalizePhone(search);
+            if (digits) {
+                or.push({ phone: { $regex: escapeRegex(digits) } });
+            }
+            query.$or = or;
+        }
+        if (tag) {
+            query.tags = tag;
+        }
+        if (blacklisted !== undefined) {
+            query.isBlacklisted = blacklisted === 'true';
+        }
+
+        const skip = (page - 1) * limit;
+        const [customers, total] = await Promise.all([
+            Customer.find(query).sort({ name: 1 }).skip(skip).limit(parseInt(limit)),
+            Customer.countDocuments(query)
+        ]);
+
+        res.status(200).json({
+            success: true,
+            total,
+            page: parseInt(page),
+            data: customers
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Create customer
+// @route   POST /api/customers
+// @access  Private (Admin, Staff)
+const createCustomer = async (req, res) => {
+    try {
+        const { name, phone, email, notes, tags } = req.body;
+        const normalizedPhone = normalizePhone(phone);
+
+        if (!name || !normalizedPhone) {
+            return res.status(400).json({ message: 'Name and phone are required' });
+        }
+
+        const customerExists = await Customer.findOne({ phone: normalizedPhone });
+        if (customerExists) {
+            return res.status(400).json({ message: 'A customer with this phone number already exists', customer: customerExists });
+        }
+
+        const customer = await Customer.create({
+            name,
+            phone: normalizedPhone,
+            email,
+            notes,
+            tags,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Customer created successfully',
+            customer
+        });
+    } catch (error) {
+        console.error(error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Get customer profile with booking statistics
+// @route   GET /api/customers/:id
+// @access  Private (Admin, Staff)
+const getCustomerById = async (req, res) => {
+    try {
+        const customer = await Customer.findById(req.params.id);
+
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const stats = await getCustomerStats(customer._id);
+        const recurringRules = await RecurringBooking.find({ customerId: customer._id })
+            .populate('courtId', 'name sportType')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            ...customer.toObject(),
+            stats,
+            recurringRules
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Get booking history of a customer
+// @route   GET /api/customers/:id/bookings
+// @access  Private (Admin, Staff)
+// Query: status, page, limit
+const getCustomerBookings = async (req, res) => {
+    try {
+        const { status, page = 1, limit = 20 } = req.query;
+        const customer = await Customer.findById(req.params.id);
+
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        const query = { customerId: customer._id };
+        if (status) {
+            query.status = status;
+        }
+
+        const skip = (page - 1) * limit;
+        const [bookings, total] = await Promise.all([
+            Booking.find(query)
+                .populate('courtId', 'name sportType')
+                .sort({ bookingDate: -1, startTime: -1 })
+                .skip(skip)
+                .limit(parseInt(limit))
+                .lean(),
+            Booking.countDocuments(query)
+        ]);
+
+        const payments = await Payment.find({ bookingId: { $in: bookings.map(b => b._id) } }).lean();
+        const paymentMap = payments.reduce((acc, payment) => {
+            acc[payment.bookingId.toString()] = payment;
+            return acc;
+        }, {});
+
+        const data = bookings.map(b => {
+            const payment = paymentMap[b._id.toString()];
+            return {
+                bookingId: b._id,
+                court: b.courtId ? `${b.courtId.sportType} - ${b.courtId.name}` : 'N/A',
+                bookingDate: moment(b.bookingDate).format('YYYY-MM-DD'),
+                startTime: b.startTime,
+                endTime: b.endTime,
+                status: b.status,
+                noShow: b.noShow,
+                source: b.source,
+                finalAmount: b.finalAmount,
+                paid: payment ? payment.advancePaid : 0,
+                balance: payment ? payment.balanceAmount : b.finalAmount,
+                paymentStatus: payment ? payment.status : 'PENDING'
+            };
+        });
+
+        res.status(200).json({
+            success: true,
+            total,
+            page: parseInt(page),
+            data
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Update customer (name and phone changes are copied to all their bookings)
+// @route   PUT /api/customers/:id
+// @access  Private (Admin, Staff)
+const updateCustomer = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const customer = await Customer.findById(req.params.id).session(session);
+        if (!customer) {
+            throw new Error('Customer not found');
+        }
+
+        const { name, phone, email, notes, tags } = req.body;
+
+        if (phone !== undefined) {
+            const normalizedPhone = normalizePhone(phone);
+            if (!normalizedPhone) {
+                throw new Error('Please provide a valid phone number');
+            }
+            if (normalizedPhone !== customer.phone) {
+                const phoneTaken = await Customer.findOne({ phone: normalizedPhone }).session(session);
+                if (phoneTaken) {
+                    throw new Error('Another customer already uses this phone number');
+                }
+                customer.phone = normalizedPhone;
+            }
+        }
+        if (name) customer.name = name;
+        if (email !== undefined) customer.email = email;
+        if (notes !== undefined) customer.notes = notes;
+        if (tags !== undefined) customer.tags = tags;
+
+        const identityChanged = customer.isModified('name') || customer.isModified('phone');
+        await customer.save({ session });
+
+        // Keep the copies on bookings and recurring rules in sync
+        if (identityChanged) {
+            const identity = { customerName: customer.name, customerPhone: customer.phone };
+            await Booking.updateMany({ customerId: customer._id }, identity, { session });
+            await RecurringBooking.updateMany({ customerId: customer._id }, identity, { session });
+        }
+
+        await session.commitTransaction();
+
+        res.status(200).json({
+            success: true,
+            message: 'Customer updated successfully',
+            customer
+        });
+    } catch (error) {
+        await session.abortTransaction();
+        console.error(error);
+        res.status(400).json({ message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Blacklist or reinstate a customer
+// @route   PATCH /api/customers/:id/blacklist
+// @access  Private (Admin only)
+const setCustomerBlacklist = async (req, res) => {
+    try {
+        const { isBlacklisted, reason } = req.body;
+        const customer = await Customer.findById(req.params.id);
+
+        if (!customer) {
+            return res.status(404).json({ message: 'Customer not found' });
+        }
+
+        customer.isBlacklisted = !!isBlacklisted;
+        customer.blacklistReason = customer.isBlacklisted ? reason : undefined;
+        await customer.save();
+
+        res.status(200).json({
+            success: true,
+            message: customer.isBlacklisted ? 'Customer blacklisted' : 'Customer removed from blacklist',
+            customer
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+module.exports = {
+    getCustomers,
+    createCustomer,
+    getCustomerById,
+    getCustomerBookings,
+    updateCustomer,
+    setCustomerBlacklist,
+};
@@ -1,7 +1,9 @@
 const Payment = require('../models/Payment.model');
 const Booking = require('../models/Booking.model');
 const Court = require('../models/Court.model');
+const PaymentTransaction = require('../models/PaymentTransaction.model');
 const mongoose = require('mongoose');
+const { recordInstallment } = require('../services/paymentLedger.service');
 
 /**
  * GET /api/payments
@@ -75,27 +77,103 @@ const getPaymentsList = async (req, res) => {
  * Access: STAFF, ADMIN
  */
 const markAsPaid = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
     try {
         const { id } = req.params;
-        const { paymentMode, paymentDate } = req.body;
+        const { paymentMode, paymentDate, referenceNumber } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(id)) {
+            await session.abortTransaction();
             return res.status(400).json({ message: 'Invalid Payment ID' });
         }
 
-        const payment = await Payment.findById(id);
+        const payment = await Payment.findById(id).session(session);
         if (!payment) {
+            await session.abortTransaction();
             return res.status(404).json({ message: 'Payment record not found' });
         }
 
-        payment.balanceAmount = 0;
-        payment.status = 'PAID';
-        if (paymentMode) payment.paymentMode = paymentMode;
-        if (paymentDate) payment.paymentDate = new Date(paymentDate);
-
-        await payment.save();
+        // Record the remaining balance as a ledger entry so we keep when and how it was paid
+        if (payment.balanceAmount > 0) {
+            await recordInstallment(payment, [{
+                amount: payment.balanceAmount,
+                mode: paymentMode || payment.paymentMode,
+                referenceNumber,
+                paidAt: paymentDate,
+                notes: 'Balance settled'
+            }], req.user._id, session);
+        }
 
+        await session.commitTransaction();
         res.json({ message: 'Payment marked as paid successfully', payment });
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(500).json({ message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * POST /api/payments/:id/transactions
+ * Record an installment. Split tender is sent as { tenders: [{ amount, mode, referenceNumber }] }
+ * Access: STAFF, ADMIN
+ */
+const addPaymentTransaction = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { id } = req.params;
+        const { tenders, amount, mode, referenceNumber, notes, paidAt } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            await session.abortTransaction();
+            return res.status(400).json({ message: 'Invalid Payment ID' });
+        }
+
+        const payment = await Payment.findById(id).session(session);
+        if (!payment) {
+            await session.abortTransaction();
+            return res.status(404).json({ message: 'Payment record not found' });
+        }
+
+        const entries = Array.isArray(tenders) ? tenders : [{ amount, mode, referenceNumber, notes, paidAt }];
+        const result = await recordInstallment(payment, entries, req.user._id, session);
+
+        await session.commitTransaction();
+        res.status(201).json({
+            message: 'Payment recorded successfully',
+            payment: result.payment,
+            transactions: result.transactions
+        });
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400).json({ message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * GET /api/payments/:id/transactions
+ * Access: STAFF, ADMIN
+ */
+const getPaymentTransactions = async (req, res) => {
+    try {
+        const { id } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({ message: 'Invalid Payment ID' });
+        }
+
+        const transactions = await PaymentTransaction.find({ paymentId: id })
+            .populate('collectedBy', 'name')
+            .sort({ paidAt: 1 });
+
+        res.json(transactions);
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -151,7 +229,11 @@ const getPaymentById = async (req, res) => {
             return res.status(404).json({ message: 'Payment record not found' });
         }
 
-        res.json(payment);
+        const transactions = await PaymentTransaction.find({ paymentId: payment._id })
+            .populate('collectedBy', 'name')
+            .sort({ paidAt: 1 });
+
+        res.json({ ...payment.toObject(), transactions });
     } catch (error) {
         res.status(500).json({ message: error.message });
     }
@@ -160,6 +242,8 @@ const getPaymentById = async (req, res) => {
 module.exports = {
     getPaymentsList,
     markAsPaid,
+    addPaymentTransaction,
+    getPaymentTransactions,
     updatePaymentMode,
     getPaymentById
 };
@@ -0,0 +1,292 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const jwt = require('jsonwebtoken');
+const Booking = require('../models/Booking.model');
+const BookingSlot = require('../models/BookingSlot.model');
+const Court = require('../models/Court.model');
+const Customer = require('../models/Customer.model');
+const Payment = require('../models/Payment.model');
+const { requestOtp, verifyOtp } = require('../services/otp.service');
+const { resolveCustomer } = require('../services/customer.service');
+const { createSingleBooking } = require('../services/bookingCore.service');
+const { applyCancellationPolicy } = require('../services/cancellation.service');
+const { offerFreedSlots } = require('../services/waitlist.service');
+
+// Generate a customer portal token. The type claim keeps it out of staff routes (see auth.middleware).
+const generateCustomerToken = (id) => {
+    return jwt.sign({ id, type: 'CUSTOMER' }, process.env.JWT_SECRET, {
+        expiresIn: '7d',
+    });
+};
+
+const getStartMoment = (booking) =>
+    moment(moment(booking.bookingDate).format('YYYY-MM-DD') + ' ' + booking.startTime, 'YYYY-MM-DD HH:mm');
+
+/**
+ * @desc    Send a login code to a phone number
+ * @route   POST /api/portal/auth/request-otp
+ * @access  Public
+ */
+const requestLoginCode = async (req, res) => {
+    try {
+        const { phone } = req.body;
+        if (!phone) {
+            return res.status(400).json({ success: false, message: 'Please provide a phone number' });
+        }
+
+        const { expiresAt } = await requestOtp(phone);
+        res.status(200).json({ success: true, message: 'Login code sent', expiresAt });
+    } catch (error) {
+        res.status(error.status || 400).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @desc    Log in with the code; first-time customers also provide their name
+ * @route   POST /api/portal/auth/verify-otp
+ * @access  Public
+ */
+const verifyLoginCode = async (req, res) => {
+    try {
+        const { phone, code, name } = req.body;
+        if (!phone || !code) {
+            return res.status(400).json({ success: false, message: 'Please provide phone and code' });
+        }
+
+        // Check the code before looking at the customer, so the reply does not tell whether the
+        // phone is registered; it is only used up once the name of a new customer is known
+        const normalizedPhone = await verifyOtp(phone, code, { consume: false });
+        const existing = await Customer.findOne({ phone: normalizedPhone });
+        if (!existing && !name) {
+            return res.status(400).json({ success: false, message: 'Please provide your name' });
+        }
+
+        await verifyOtp(phone, code);
+
+        let customer;
+        try {
+            customer = await resolveCustomer({ name, phone: normalizedPhone });
+        } catch (blacklistError) {
+            return res.status(403).json({ success: false, message: blacklistError.message });
+        }
+
+        res.status(200).json({
+            success: true,
+            token: generateCustomerToken(customer._id),
+            customer: {
+                id: customer._id,
+                name: customer.name,
+                phone: customer.phone,
+                email: customer.email
+            }
+        });
+    } catch (error) {
+        res.status(401).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @desc    Active courts that can be booked
+ * @route   GET /api/portal/courts
+ * @access  Public
+ */
+const getCourts = async (req, res) => {
+    try {
+        const query = { status: 'ACTIVE' };
+        if (req.query.sportType) query.sportType = req.query.sportType;
+
+        const courts = await Court.find(query)
+            .select('name sportType slotDuration')
+            .sort({ name: 1 })
+            .lean();
+
+        res.status(200).json({ success: true, count: courts.length, data: courts });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @desc    Logged-in customer's profile
+ * @route   GET /api/portal/me
+ * @access  Private (Customer)
+ */
+const getProfile = async (req, res) => {
+    const { _id, name, phone, email } = req.customer;
+    res.status(200).json({ success: true, data: { id: _id, name, phone, email } });
+};
+
+/**
+ * @desc    Book a court. Payment is collected at the venue.
+ * @route   POST /api/portal/bookings
+ * @access  Private (Customer)
+ */
+const createMyBooking = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { courtId, bookingDate, startTime, endTime, promoCode } = req.body;
+
+        if (!courtId || !bookingDate || !startTime || !endTime) {
+            throw new Error('Court, date, start time and end time are required');
+        }
+        if (!getStartMoment({ bookingDate, startTime }).isAfter(moment())) {
+            throw new Error('Cannot book a time that has already started');
+        }
+
+        const court = await Court.findById(courtId).session(session);
+        if (!court || court.status !== 'ACTIVE') {
+            throw new Error('Court not found or inactive');
+        }
+
+        // Only scheduling fields come from the customer; pricing is always the court's own
+        const booking = await createSingleBooking({
+            customerName: req.customer.name,
+            customerPhone: req.customer.phone,
+            sportType: court.sportType,
+            courtId,
+            bookingDate,
+            startTime,
+            endTime,
+            promoCode,
+            paymentMode: 'CASH',
+            createdBy: null,
+            source: 'ONLINE'
+        }, session);
+
+        await session.commitTransaction();
+        res.status(201).json({
+            success: true,
+            message: 'Booking created successfully',
+            data: {
+                bookingId: booking._id,
+                bookingDate: moment(booking.bookingDate).format('YYYY-MM-DD'),
+                startTime: booking.startTime,
+                endTime: booking.endTime,
+                finalAmount: booking.finalAmount
+            }
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Slot already booked (Race Condition Detected)' });
+        }
+        res.status(error.status || 400).json({ success: false, message: error.message, alternatives: error.alternatives });
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * @desc    Logged-in customer's bookings, newest first
+ * @route   GET /api/portal/bookings?status=
+ * @access  Private (Customer)
+ */
+const getMyBookings = async (req, res) => {
+    try {
+        const query = { customerId: req.customer._id };
+        if (req.query.status) query.status = req.query.status;
+
+        const bookings = await Booking.find(query)
+            .select('courtId sportType bookingDate startTime endTime status finalAmount cancellation source')
+            .populate('courtId', 'name')
+            .sort({ bookingDate: -1, startTime: -1 })
+            .lean();
+
+        const payments = await Payment.find({ bookingId: { $in: bookings.map(b => b._id) } })
+            .select('bookingId advancePaid balanceAmount status')
+            .lean();
+        const paymentMap = payments.reduce((acc, payment) => {
+            acc[payment.bookingId.toString()] = payment;
+            return acc;
+        }, {});
+
+        const data = bookings.map(b => {
+            const payment = paymentMap[b._id.toString()];
+            return {
+                bookingId: b._id,
+                courtName: b.courtId ? b.courtId.name : null,
+                sportType: b.sportType,
+                bookingDate: moment(b.bookingDate).format('YYYY-MM-DD'),
+                startTime: b.startTime,
+                endTime: b.endTime,
+                status: b.status,
+                finalAmount: b.finalAmount,
+                amountPaid: payment ? payment.advancePaid : 0,
+                balanceAmount: payment ? payment.balanceAmount : b.finalAmount,
+                paymentStatus: payment ? payment.status : 'PENDING',
+                refundAmount: b.cancellation ? b.cancellation.refundAmount : undefined,
+                canCancel: b.status === 'BOOKED' && b.source !== 'RECURRING' && getStartMoment(b).isAfter(moment())
+            };
+        });
+
+        res.status(200).json({ success: true, count: data.length, data });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @desc    Cancel one of the customer's bookings; the cancellation policy decides the refund
+ * @route   PATCH /api/portal/bookings/:id/cancel
+ * @access  Private (Customer)
+ */
+const cancelMyBooking = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const booking = await Booking.findOne({
+            _id: req.params.id,
+            customerId: req.customer._id
+        }).session(session);
+
+        if (!booking) throw new Error('Booking not found');
+        if (booking.status !== 'BOOKED') throw new Error(`Booking is already ${booking.status.toLowerCase()}`);
+        if (booking.source === 'RECURRING') throw new Error('Recurring bookings can only be cancelled at the venue');
+        if (!getStartMoment(booking).isAfter(moment())) throw new Error('Cannot cancel a booking that has already started');
+
+        booking.status = 'CANCELLED';
+        await booking.save({ session });
+
+        await BookingSlot.updateMany(
+            { bookingId: booking._id },
+            { status: 'CANCELLED' },
+            { session }
+        );
+
+        const charges = await applyCancellationPolicy(booking, { cancelledByCustomer: true }, session);
+
+        // Offer the freed slots to the waitlist
+        await offerFreedSlots(booking, null, session);
+
+        await session.commitTransaction();
+        res.status(200).json({
+            success: true,
+            message: 'Booking cancelled successfully',
+            cancellation: {
+                refundPercent: charges.refundPercent,
+                cancellationFee: charges.cancellationFee,
+                refundAmount: charges.refundAmount
+            }
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400).json({ success: false, message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    requestLoginCode,
+    verifyLoginCode,
+    getCourts,
+    getProfile,
+    createMyBooking,
+    getMyBookings,
+    cancelMyBooking
+};
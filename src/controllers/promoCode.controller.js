@@ -0,0 +1,157 @@
+const PromoCode = require('../models/PromoCode.model');
+const PromoRedemption = require('../models/PromoRedemption.model');
+
+const EDITABLE_FIELDS = [
+    'code', 'description', 'discountType', 'discountValue', 'validFrom', 'validTo',
+    'usageLimit', 'perCustomerLimit', 'minSpend', 'allowedCourts', 'allowedSports', 'status'
+];
+
+// @desc    Create promo code
+// @route   POST /api/admin/promo-codes
+// @access  Private (Admin only)
+const createPromoCode = async (req, res) => {
+    try {
+        const data = {};
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) data[field] = req.body[field];
+        });
+
+        if (data.code) {
+            const codeExists = await PromoCode.findOne({ code: String(data.code).trim().toUpperCase() });
+            if (codeExists) {
+                return res.status(400).json({ message: 'Promo code already exists' });
+            }
+        }
+
+        const promoCode = await PromoCode.create({ ...data, createdBy: req.user._id });
+
+        res.status(201).json({
+            success: true,
+            message: 'Promo code created successfully',
+            promoCode,
+        });
+    } catch (error) {
+        console.error(error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Get all promo codes
+// @route   GET /api/admin/promo-codes
+// @access  Private (Admin only)
+const getAllPromoCodes = async (req, res) => {
+    try {
+        const query = {};
+        if (req.query.status) query.status = req.query.status;
+
+        const promoCodes = await PromoCode.find(query)
+            .populate('allowedCourts', 'name sportType')
+            .sort({ createdAt: -1 });
+        res.status(200).json(promoCodes);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Get single promo code with its redemptions
+// @route   GET /api/admin/promo-codes/:id
+// @access  Private (Admin only)
+const getPromoCodeById = async (req, res) => {
+    try {
+        const promoCode = await PromoCode.findById(req.params.id).populate('allowedCourts', 'name sportType');
+
+        if (!promoCode) {
+            return res.status(404).json({ message: 'Promo code not found' });
+        }
+
+        const redemptions = await PromoRedemption.find({ promoCodeId: promoCode._id })
+            .populate('redeemedBy', 'name')
+            .sort({ createdAt: -1 });
+
+        res.status(200).json({
+            ...promoCode.toObject(),
+            redemptions,
+            totalDiscountGiven: redemptions.reduce((sum, r) => sum + r.discountAmount, 0)
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Update promo code
+// @route   PUT /api/admin/promo-codes/:id
+// @access  Private (Admin only)
+const updatePromoCode = async (req, res) => {
+    try {
+        const promoCode = await PromoCode.findById(req.params.id);
+
+        if (!promoCode) {
+            return res.status(404).json({ message: 'Promo code not found' });
+        }
+
+        if (req.body.code && String(req.body.code).trim().toUpperCase() !== promoCode.code) {
+            const codeExists = await PromoCode.findOne({ code: String(req.body.code).trim().toUpperCase() });
+            if (codeExists) {
+                return res.status(400).json({ message: 'Promo code already exists' });
+            }
+        }
+
+        EDITABLE_FIELDS.forEach(field => {
+            if (req.body[field] !== undefined) promoCode[field] = req.body[field];
+        });
+
+        const updatedPromoCode = await promoCode.save();
+        res.status(200).json({
+            success: true,
+            message: 'Promo code updated successfully',
+            promoCode: updatedPromoCode,
+        });
+    } catch (error) {
+        console.error(error);
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ message: messages.join(', ') });
+        }
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Delete promo code
+// @route   DELETE /api/admin/promo-codes/:id
+// @access  Private (Admin only)
+const deletePromoCode = async (req, res) => {
+    try {
+        const promoCode = await PromoCode.findById(req.params.id);
+
+        if (!promoCode) {
+            return res.status(404).json({ message: 'Promo code not found' });
+        }
+
+        // Keep redeemed codes for reporting, just deactivate them
+        if (promoCode.usageCount > 0) {
+            promoCode.status = 'INACTIVE';
+            await promoCode.save();
+            return res.status(200).json({ message: 'Promo code has redemptions and was deactivated instead' });
+        }
+
+        await promoCode.deleteOne();
+        res.status(200).json({ message: 'Promo code removed' });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+module.exports = {
+    createPromoCode,
+    getAllPromoCodes,
+    getPromoCodeById,
+    updatePromoCode,
+    deletePromoCode,
+};
@@ -1,9 +1,18 @@
 const RecurringBooking = require('../models/RecurringBooking.model');
 const Booking = require('../models/Booking.model');
-const BookingSlot = require('../models/BookingSlot.model');
-const Payment = require('../models/Payment.model');
-const { processRecurringBooking, generateDates } = require('../services/recurringGenerator.service');
+const Court = require('../models/Court.model');
+const Settings = require('../models/Settings.model');
+const { processRecurringBooking, generateDates, getHorizonEnd } = require('../services/recurringGenerator.service');
+const { priceBooking } = require('../services/bookingCore.service');
+const { generateSlots, getSlotDuration, validateSlotAlignment } = require('../services/slotGenerator.service');
 const { checkSlotAvailability } = require('../services/slotValidation.service');
+const { isWithinOperatingHours, assertWithinOperatingHours } = require('../services/operatingHours.service');
+const { resolveCustomer } = require('../services/customer.service');
+const { softDeleteBookings, softDeleteRecurringRule } = require('../services/trash.service');
+const { skipOccurrence, unskipOccurrence, overrideOccurrence, regenerateFutureOccurrences } = require('../services/recurringOccurrence.service');
+const { offerFreedSlots } = require('../services/waitlist.service');
+const { extendOpenEndedRules, getGenerationRuns } = require('../services/recurringHorizon.service');
+const { previewRecurringRule } = require('../services/recurringPreview.service');
 const mongoose = require('mongoose');
 const { normalizeToMidnight } = require('../utils/dateUtils');
 
@@ -16,10 +25,13 @@ const createRecurringBooking = async (req, res) => {
     try {
         const {
             customerName, customerPhone, sportType, courtId,
-            recurrenceType, daysOfWeek, fixedDate,
+            daysOfWeek, fixedDate, rrule,
             startTime, endTime, startDate, endDate,
-            monthlyAmount, advancePaid, discountType, discountValue, paymentStatus
+            monthlyAmount, advancePaid, discountType, discountValue, paymentStatus,
+            promoCode
         } = req.body;
+        // An RRULE makes it an RRULE rule whatever the recurrenceType says
+        const recurrenceType = rrule ? 'RRULE' : req.body.recurrenceType;
 
         // 1. Pre-validation: Check for conflicts BEFORE creating the rule
         const ruleMock = {
@@ -27,16 +39,31 @@ const createRecurringBooking = async (req, res) => {
             endDate: normalizeToMidnight(endDate),
             recurrenceType,
             daysOfWeek,
-            fixedDate
+            fixedDate,
+            rrule
         };
 
-        const datesToBook = generateDates(ruleMock);
+        // Open-ended rules are only booked up to the horizon; later dates follow with the horizon job
+        const settings = await Settings.getSettings();
+        const datesToBook = generateDates(ruleMock, { until: getHorizonEnd(ruleMock, settings) });
         if (datesToBook.length === 0) {
             throw new Error('No valid dates found in the specified range');
         }
 
-        let conflictCount = 0;
+        const court = await Court.findById(courtId).session(session);
+        if (!court) throw new Error('Court not found');
+        const slotDuration = getSlotDuration(court, settings);
+        validateSlotAlignment(startTime, endTime, slotDuration);
+
+        // Occurrences outside operating hours are skipped like conflicts; reject if none fit
+        const outsideHours = datesToBook.filter(date => !isWithinOperatingHours(court, settings, date, startTime, endTime));
+        if (outsideHours.length === datesToBook.length) {
+            await assertWithinOperatingHours(court, datesToBook[0], startTime, endTime, settings);
+        }
+
+        let conflictCount = outsideHours.length;
         for (const date of datesToBook) {
+            if (outsideHours.includes(date)) continue;
             const availability = await checkSlotAvailability(courtId, date, startTime, endTime, session);
             if (!availability.available) {
                 conflictCount++;
@@ -51,22 +78,42 @@ const createRecurringBooking = async (req, res) => {
             });
         }
 
-        // 2. Create the rule
+        // 2. Reject an unusable promo code up front. Each generated booking then re-validates and redeems it
+        //    (see bookOccurrence), so it stops applying once it expires or runs out of uses
+        let promo = null;
+        if (promoCode) {
+            const pricing = await priceBooking(
+                court, generateSlots(startTime, endTime, slotDuration), datesToBook[0],
+                { promoCode, customerPhone },
+                session
+            );
+            promo = pricing.promo;
+        }
+
+        // 3. Create the rule
+        const customer = await resolveCustomer({ name: customerName, phone: customerPhone }, req.user._id, session);
+
         const rule = await RecurringBooking.create([{
-            customerName, customerPhone, sportType, courtId,
-            recurrenceType, daysOfWeek, fixedDate,
+            customerName, customerPhone, customerId: customer._id, sportType, courtId,
+            recurrenceType, daysOfWeek, fixedDate, rrule,
             startTime, endTime,
             startDate: normalizeToMidnight(startDate),
             endDate: normalizeToMidnight(endDate),
             monthlyAmount,
-            advancePaid, discountType, discountValue, paymentStatus,
+            advancePaid,
+            // The promo's discount is applied per occurrence, not stored on the rule
+            discountType: promo ? 'NONE' : discountType,
+            discountValue: promo ? 0 : discountValue,
+            promoCodeId: promo ? promo._id : null,
+            promoCode: promo ? promo.code : null,
+            paymentStatus,
             status: 'ACTIVE',
             createdBy: req.user._id
         }], { session });
 
         const ruleDoc = rule[0];
 
-        // 3. Trigger Generation for immediate bookings
+        // 4. Trigger Generation for immediate bookings
         const results = await processRecurringBooking(ruleDoc._id, session);
 
         await session.commitTransaction();
@@ -86,6 +133,20 @@ const createRecurringBooking = async (req, res) => {
     }
 };
 
+// @desc    Dry run of creating a recurring rule: every date with its status, price, what it conflicts
+//          with and alternative courts, plus the total. Nothing is saved.
+// @route   POST /api/recurring-bookings/preview
+// @access  Private (Admin, Staff)
+// Body: same as POST /api/recurring-bookings
+const previewRecurringBooking = async (req, res) => {
+    try {
+        const preview = await previewRecurringRule(req.body);
+        res.status(200).json({ success: true, data: preview });
+    } catch (error) {
+        res.status(error.status || 400).json({ success: false, message: error.message });
+    }
+};
+
 // @desc    Get all recurring rulles
 // @route   GET /api/recurring-bookings
 // @access  Private
@@ -101,15 +162,14 @@ const getRecurringBookings = async (req, res) => {
     }
 };
 
+// Rule fields that decide which dates and times get booked
+const SCHEDULE_FIELDS = ['courtId', 'startTime', 'endTime', 'recurrenceType', 'daysOfWeek', 'fixedDate', 'rrule', 'startDate', 'endDate'];
+
 // @desc    Update recurring rule
 // @route   PUT /api/recurring-bookings/:id
 // @access  Private
+// A schedule change regenerates the future, unpaid, unmodified occurrences; past ones stay as they are.
 const updateRecurringBooking = async (req, res) => {
-    // Strategy:
-    // 1. Update Rule
-    // 2. IMPORTANT: Delete FUTURE generated bookings (slots) to avoid stale data
-    // 3. Regenerate from TODAY onwards based on new rule
-
     const session = await mongoose.startSession();
     session.startTransaction();
 
@@ -118,49 +178,48 @@ const updateRecurringBooking = async (req, res) => {
         const updates = { ...req.body };
         if (updates.startDate) updates.startDate = normalizeToMidnight(updates.startDate);
         if (updates.endDate) updates.endDate = normalizeToMidnight(updates.endDate);
+        if (updates.rrule) {
+            updates.recurrenceType = 'RRULE';
+        } else if (updates.recurrenceType && updates.recurrenceType !== 'RRULE') {
+            updates.rrule = null;
+        }
 
-        const rule = await RecurringBooking.findByIdAndUpdate(id, updates, { new: true, session });
+        const rule = await RecurringBooking.findById(id).session(session);
         if (!rule) throw new Error('Rule not found');
 
-        // 2. Identify and Delete FUTURE bookings associated with this rule
-        // BUT wait! Our generated bookings don't currently link back to the RecurringRule ID explicitly
-        // in the Booking model schema provided earlier. 
-        // We relied on "logic" but without a link, we can't safely delete them automatically.
-        // 
-        // FIX: Ideally we should store `recurringRuleId` on the Booking model. 
-        // Since we are reusing existing schema, we might have to rely on `paymentNotes` 
-        // or add a field if schema allows strict mode false or just add it now.
-        // For now, let's assume we can't easily auto-delete without schema change.
-        // 
-        // ALTERNATIVE: Since the prompt said "Reuse logic", let's check if we can add a field to Booking model 
-        // transparently. Mongoose is usually flexible. 
-        // Let's implement the generation part to return new data. 
-        // 
-        // COMPROMISE for stability: We will only update the rule. 
-        // Implementing "Regenerate" is risky without a direct link.
-        // Let's rely on the user manually deleting invalid future bookings via standard UI, 
-        // OR we can try to find them by strict match (Customer + Court + Time).
-
-        // Let's just update the rule for now as requested by "Update Recurring Booking" task
-        // If we want to support regeneration, we would need to fetch all future bookings for this customer/court/time
-        // and delete them.
-
-        // Let's try to match by metadata we have:
-        // Find bookings with same Court, Customer, StartTime, EndTime, and Date >= NOW
-        // createdBy this user (maybe?).
-
-        // For this iteration, let's just save the rule. 
-        // Automatic regeneration requires a schema migration to be robust (adding `recurringRef`).
+        const previous = rule.toObject();
+        rule.set(updates);
 
-        await session.commitTransaction();
+        if (updates.customerPhone) {
+            const customer = await resolveCustomer({ name: rule.customerName, phone: rule.customerPhone }, req.user._id, session);
+            rule.customerId = customer._id;
+        }
+
+        const isScheduleChanged = SCHEDULE_FIELDS.some(field => JSON.stringify(rule.get(field)) !== JSON.stringify(previous[field]));
+        if (isScheduleChanged) {
+            const court = await Court.findById(rule.courtId).session(session);
+            if (!court) throw new Error('Court not found');
+            const settings = await Settings.getSettings();
+            validateSlotAlignment(rule.startTime, rule.endTime, getSlotDuration(court, settings));
+        }
 
-        // 3. Trigger generation (for NEW dates that might valid now)
-        // Pass session if we wanted it atomic, but processRecurringBooking handles its own session if null.
-        // However, it's safer to pass current session if we were still in transaction.
-        // Since we committed, we call it fresh.
-        const results = await processRecurringBooking(rule._id);
+        await rule.save({ session });
 
-        res.status(200).json({ success: true, data: rule, generationReport: results });
+        let regenerationReport = null;
+        let waitlistOffers = [];
+        if (isScheduleChanged) {
+            const { cancelledBookings, ...report } = await regenerateFutureOccurrences(rule, previous, req.user._id, session);
+            regenerationReport = report;
+
+            // Times the series no longer uses go to the waitlist
+            for (const booking of cancelledBookings) {
+                waitlistOffers = waitlistOffers.concat(await offerFreedSlots(booking, req.user._id, session));
+            }
+        }
+
+        await session.commitTransaction();
+
+        res.status(200).json({ success: true, data: rule, regenerationReport, waitlistOffers });
 
     } catch (error) {
         await session.abortTransaction();
@@ -186,7 +245,7 @@ const toggleRecurringStatus = async (req, res) => {
     }
 };
 
-// @desc    Delete rule
+// @desc    Delete rule (moves it and its bookings to the trash, see /api/admin/trash)
 // @route   DELETE /api/recurring-bookings/:id
 const deleteRecurringBooking = async (req, res) => {
     const session = await mongoose.startSession();
@@ -198,45 +257,18 @@ const deleteRecurringBooking = async (req, res) => {
         // 1. Fetch the rule first to get metadata for fallback matching
         const rule = await RecurringBooking.findById(id).session(session);
         if (!rule) {
-            // If rule is already gone, at least try to delete by ID if passed valid
-            await Booking.deleteMany({ recurringId: ruleId }).session(session);
+            // If rule is already gone, at least try to clean up bookings still linked to it
+            const orphans = await Booking.find({ recurringId: ruleId }).select('_id').session(session).lean();
+            await softDeleteBookings(orphans.map(b => b._id), req.user._id, session);
             await session.commitTransaction();
             return res.status(200).json({ success: true, message: 'Rule not found but attempted cleanup' });
         }
 
-        // 2. Find all bookings associated with this rule
-        // Strategy: Match by ID link OR by exact metadata (for legacy bookings)
-        const bookings = await Booking.find({
-            $or: [
-                { recurringId: ruleId },
-                {
-                    source: 'RECURRING',
-                    customerPhone: rule.customerPhone,
-                    courtId: rule.courtId,
-                    startTime: rule.startTime,
-                    endTime: rule.endTime,
-                    // Only future or current bookings to avoid deleting history? 
-                    // Actually, usually when a rule is deleted, user wants the calendar clean.
-                }
-            ]
-        }).session(session);
-
-        const bookingIds = bookings.map(b => b._id);
-
-        if (bookingIds.length > 0) {
-            // 3. Delete all slots for these bookings
-            await BookingSlot.deleteMany({ bookingId: { $in: bookingIds } }).session(session);
-            // 4. Delete all payments for these bookings
-            await Payment.deleteMany({ bookingId: { $in: bookingIds } }).session(session);
-            // 5. Delete the bookings themselves
-            await Booking.deleteMany({ _id: { $in: bookingIds } }).session(session);
-        }
-
-        // 6. Delete the recurring rule itself
-        await RecurringBooking.findByIdAndDelete(id).session(session);
+        // 2. Trash the rule with its bookings (linked by ID, or by exact metadata for legacy bookings)
+        await softDeleteRecurringRule(rule, req.user._id, session);
 
         await session.commitTransaction();
-        res.status(200).json({ success: true, message: 'Recurring rule and all associated bookings deleted successfully' });
+        res.status(200).json({ success: true, message: 'Recurring rule and all associated bookings moved to trash' });
     } catch (error) {
         await session.abortTransaction();
         console.error('Delete recurring booking error:', error);
@@ -246,10 +278,126 @@ const deleteRecurringBooking = async (req, res) => {
     }
 };
 
+// @desc    Skip one occurrence of a rule (e.g. a holiday); its booking is cancelled without a fee
+// @route   POST /api/recurring-bookings/:id/occurrences/:date/skip
+const skipRecurringOccurrence = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { rule, cancelledBooking } = await skipOccurrence(req.params.id, req.params.date, req.user._id, session);
+
+        const waitlistOffers = cancelledBooking
+            ? await offerFreedSlots(cancelledBooking, req.user._id, session)
+            : [];
+
+        await session.commitTransaction();
+        res.status(200).json({
+            success: true,
+            message: 'Occurrence skipped',
+            data: rule,
+            cancelledBookingId: cancelledBooking ? cancelledBooking._id : null,
+            waitlistOffers
+        });
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400).json({ success: false, message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Put a skipped occurrence back and book it again
+// @route   DELETE /api/recurring-bookings/:id/occurrences/:date/skip
+const restoreRecurringOccurrence = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { rule, booking } = await unskipOccurrence(req.params.id, req.params.date, session);
+
+        await session.commitTransaction();
+        res.status(200).json({ success: true, message: 'Occurrence restored', data: rule, booking });
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Slot already booked (Race Condition Detected)' });
+        }
+        res.status(error.status || 400).json({ success: false, message: error.message, alternatives: error.alternatives });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Change the court, times or price of one occurrence without touching the rest of the series
+// @route   PUT /api/recurring-bookings/:id/occurrences/:date
+// Body: { courtId, startTime, endTime, price } - null clears that part of the override
+const updateRecurringOccurrence = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+        const { courtId, startTime, endTime, price } = req.body;
+
+        const { rule, occurrence, booking, freed } = await overrideOccurrence(
+            req.params.id,
+            req.params.date,
+            { courtId, startTime, endTime, price },
+            req.user._id,
+            session
+        );
+
+        // A moved booking frees its old time for the waitlist
+        const waitlistOffers = freed
+            ? await offerFreedSlots(freed, req.user._id, session)
+            : [];
+
+        await session.commitTransaction();
+        res.status(200).json({ success: true, message: 'Occurrence updated', data: rule, occurrence, booking, waitlistOffers });
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Slot already booked (Race Condition Detected)' });
+        }
+        res.status(error.status || 400).json({ success: false, message: error.message, alternatives: error.alternatives });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Reports of the horizon job that books open-ended rules ahead, newest first
+// @route   GET /api/recurring-bookings/generation-runs?page=&limit=
+// @access  Private
+const getRecurringGenerationRuns = async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const { total, data } = await getGenerationRuns({ page: parseInt(page), limit: parseInt(limit) });
+
+        res.status(200).json({ success: true, total, page: parseInt(page), data });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Server Error' });
+    }
+};
+
+// @desc    Run the horizon job now instead of waiting for the nightly run
+// @route   POST /api/recurring-bookings/generation-runs
+// @access  Private
+const runRecurringGeneration = async (req, res) => {
+    try {
+        const run = await extendOpenEndedRules({ trigger: 'MANUAL', triggeredBy: req.user._id });
+        res.status(201).json({ success: true, data: run });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+};
+
 module.exports = {
     createRecurringBooking,
+    previewRecurringBooking,
     getRecurringBookings,
     updateRecurringBooking,
     toggleRecurringStatus,
-    deleteRecurringBooking
+    deleteRecurringBooking,
+    skipRecurringOccurrence,
+    restoreRecurringOccurrence,
+    updateRecurringOccurrence,
+    getRecurringGenerationRuns,
+    runRecurringGeneration
 };
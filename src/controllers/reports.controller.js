@@ -3,6 +3,7 @@ const moment = require('moment');
 const Booking = require('../models/Booking.model');
 const Payment = require('../models/Payment.model');
 const Court = require('../models/Court.model');
+const PaymentTransaction = require('../models/PaymentTransaction.model');
 
 /**
  * GET /api/admin/reports/daily
@@ -58,6 +59,8 @@ const getDailyReport = async (req, res) => {
                             customerName: '$customerName',
                             court: '$courtDetails.name',
                             time: { $concat: ['$startTime', ' - ', '$endTime'] },
+                            promoCode: '$promoCode',
+                            discount: { $max: [0, { $subtract: ['$baseAmount', '$finalAmount'] }] },
                             totalAmount: '$paymentInfo.totalAmount',
                             balance: '$paymentInfo.balanceAmount'
                         }
@@ -288,6 +291,19 @@ const getRevenueReport = async (req, res) => {
                             }
                         },
                         { $project: { court: '$_id', amount: 1, _id: 0 } }
+                    ],
+                    // Discount actually applied (base - final), grouped by promo code or manual discount
+                    discounts: [
+                        { $match: { $expr: { $gt: ['$baseAmount', '$finalAmount'] } } },
+                        {
+                            $group: {
+                                _id: { $ifNull: ['$promoCode', 'MANUAL'] },
+                                bookings: { $sum: 1 },
+                                amount: { $sum: { $subtract: ['$baseAmount', '$finalAmount'] } }
+                            }
+                        },
+                        { $sort: { amount: -1 } },
+                        { $project: { code: '$_id', bookings: 1, amount: 1, _id: 0 } }
                     ]
                 }
             }
@@ -363,11 +379,68 @@ const getRevenueReport = async (req, res) => {
         });
         courtWise = Object.values(courtMap);
 
+        const discountsByCode = report[0].discounts;
+
+        // 3. Refunds paid out in the period (separate line, not netted into revenue above)
+        const refundData = await PaymentTransaction.aggregate([
+            {
+                $match: {
+                    type: 'REFUND',
+                    paidAt: { $gte: startDate, $lte: endDate }
+                }
+            },
+            {
+                $group: {
+                    _id: null,
+                    totalRefunded: { $sum: { $abs: '$amount' } },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
+        // 4. Cancellation fees kept on bookings cancelled in the period
+        const cancellationData = await Booking.aggregate([
+            {
+                $match: {
+                    status: 'CANCELLED',
+                    'cancellation.cancelledAt': { $gte: startDate, $lte: endDate }
+                }
+            },
+            {
+                $lookup: {
+                    from: 'payments',
+                    localField: '_id',
+                    foreignField: 'bookingId',
+                    as: 'pay'
+                }
+            },
+            { $unwind: '$pay' },
+            {
+                $group: {
+                    _id: null,
+                    retained: { $sum: '$pay.advancePaid' },
+                    count: { $sum: 1 }
+                }
+            }
+        ]);
+
         res.json({
             totalRevenue: totals.totalRevenue,
             revenueTrend: trend,
             weekdayVsWeekend,
-            courtWise
+            courtWise,
+            discounts: {
+                totalDiscount: discountsByCode.reduce((sum, d) => sum + d.amount, 0),
+                byCode: discountsByCode
+            },
+            refunds: {
+                totalRefunded: refundData[0]?.totalRefunded || 0,
+                count: refundData[0]?.count || 0
+            },
+            cancellationFees: {
+                totalRetained: cancellationData[0]?.retained || 0,
+                cancelledBookings: cancellationData[0]?.count || 0
+            }
         });
     } catch (error) {
         res.status(500).json({ message: error.message });
@@ -699,6 +772,7 @@ const getRecurringBookingReport = async (req, res) => {
                 sportType: r.courtId?.sportType,
                 recurrenceType: r.recurrenceType,
                 daysOfWeek: r.daysOfWeek,
+                rrule: r.rrule,
                 timeSlot: `${r.startTime} - ${r.endTime}`,
                 status: r.status,
                 startDate: r.startDate,
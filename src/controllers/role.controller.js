@@ -0,0 +1,83 @@
+const { PERMISSIONS } = require('../config/permissions');
+const { listRoles, saveRole, deleteRole } = require('../services/role.service');
+
+const sendError = (res, error) => {
+    if (error.name === 'ValidationError') {
+        const messages = Object.values(error.errors).map(val => val.message);
+        return res.status(400).json({ message: messages.join(', ') });
+    }
+    if (error.code === 11000) {
+        return res.status(400).json({ message: 'A role with this name already exists' });
+    }
+    res.status(400).json({ message: error.message });
+};
+
+// @desc    List the permissions that can be put into roles
+// @route   GET /api/roles/permissions
+// @access  Private (Admin only)
+const getPermissions = async (req, res) => {
+    res.status(200).json(Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })));
+};
+
+// @desc    List roles (built-in and custom) with their permissions
+// @route   GET /api/roles
+// @access  Private (Admin only)
+const getRoles = async (req, res) => {
+    try {
+        const roles = await listRoles();
+        res.status(200).json(roles);
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Create a custom role, e.g. CASHIER
+// @route   POST /api/roles
+// @access  Private (Admin only)
+const createRole = async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+        if (!name) {
+            return res.status(400).json({ message: 'Please add a role name' });
+        }
+
+        const role = await saveRole(name, { description, permissions: permissions || [] }, req.user._id);
+        res.status(201).json({ success: true, message: 'Role saved successfully', role });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// @desc    Change the permissions or description of a role (STAFF included, ADMIN excluded)
+// @route   PUT /api/roles/:name
+// @access  Private (Admin only)
+const updateRole = async (req, res) => {
+    try {
+        const { description, permissions } = req.body;
+        const role = await saveRole(req.params.name, { description, permissions }, req.user._id);
+        res.status(200).json({ success: true, message: 'Role updated successfully', role });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+// @desc    Delete a custom role (deleting a saved STAFF role restores the defaults)
+// @route   DELETE /api/roles/:name
+// @access  Private (Admin only)
+const removeRole = async (req, res) => {
+    try {
+        await deleteRole(req.params.name);
+        res.status(200).json({ message: 'Role removed' });
+    } catch (error) {
+        sendError(res, error);
+    }
+};
+
+module.exports = {
+    getPermissions,
+    getRoles,
+    createRole,
+    updateRole,
+    removeRole,
+};
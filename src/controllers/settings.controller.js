@@ -1,4 +1,5 @@
 const Settings = require('../models/Settings.model');
+const { findBookingsOutsideHours } = require('../services/operatingHours.service');
 
 /**
  * GET /api/admin/settings
@@ -20,19 +21,25 @@ const getSettings = async (req, res) => {
  */
 const updateSettings = async (req, res) => {
     try {
-        const { turfName, openingTime, closingTime, weekendDays, currency } = req.body;
+        const { turfName, openingTime, closingTime, weekendDays, currency, cancellationPolicy, slotDuration, weeklyHours, trashRetentionDays, recurringHorizonWeeks } = req.body;
 
-        // Validation: openingTime < closingTime
-        if (openingTime && closingTime) {
-            const [openH, openM] = openingTime.split(':').map(Number);
-            const [closeH, closeM] = closingTime.split(':').map(Number);
-
-            const openVal = openH * 60 + openM;
-            const closeVal = closeH * 60 + closeM;
+        // Validation: openingTime != closingTime
+        // A closing time earlier than the opening time means the venue closes after midnight
+        if (openingTime && closingTime && openingTime === closingTime) {
+            return res.status(400).json({
+                message: 'Opening and closing time cannot be the same'
+            });
+        }
 
-            if (openVal >= closeVal) {
+        // Per-weekday hours validation: each day is either closed or has distinct opening/closing times
+        if (weeklyHours !== undefined) {
+            const isValidWeek = weeklyHours && typeof weeklyHours === 'object' && Object.entries(weeklyHours).every(([day, hours]) =>
+                ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'].includes(day) &&
+                (!hours || hours.closed || (hours.openingTime && hours.closingTime && hours.openingTime !== hours.closingTime))
+            );
+            if (!isValidWeek) {
                 return res.status(400).json({
-                    message: 'Opening time must be earlier than closing time'
+                    message: 'Weekly hours must map MON-SUN to { openingTime, closingTime } or { closed: true }'
                 });
             }
         }
@@ -44,11 +51,23 @@ const updateSettings = async (req, res) => {
             });
         }
 
+        // Cancellation policy validation
+        if (cancellationPolicy !== undefined) {
+            const isValidPolicy = Array.isArray(cancellationPolicy) && cancellationPolicy.every(tier =>
+                tier.hoursBefore >= 0 && tier.refundPercent >= 0 && tier.refundPercent <= 100
+            );
+            if (!isValidPolicy) {
+                return res.status(400).json({
+                    message: 'Cancellation policy must be a list of { hoursBefore, refundPercent (0-100) }'
+                });
+            }
+        }
+
         const settings = await Settings.findOne();
         if (!settings) {
             // Should not happen due to getSettings logic, but for safety:
             const newSettings = await Settings.create({
-                turfName, openingTime, closingTime, weekendDays, currency
+                turfName, openingTime, closingTime, weekendDays, currency, cancellationPolicy, slotDuration, weeklyHours, trashRetentionDays, recurringHorizonWeeks
             });
             return res.status(200).json(newSettings);
         }
@@ -58,15 +77,43 @@ const updateSettings = async (req, res) => {
         settings.closingTime = closingTime || settings.closingTime;
         settings.weekendDays = weekendDays || settings.weekendDays;
         settings.currency = currency || settings.currency;
+        if (cancellationPolicy !== undefined) settings.cancellationPolicy = cancellationPolicy;
+        settings.slotDuration = slotDuration || settings.slotDuration;
+        if (weeklyHours !== undefined) settings.weeklyHours = weeklyHours;
+        settings.trashRetentionDays = trashRetentionDays || settings.trashRetentionDays;
+        settings.recurringHorizonWeeks = recurringHorizonWeeks || settings.recurringHorizonWeeks;
 
+        const hoursChanged = settings.isModified('openingTime') || settings.isModified('closingTime') || settings.isModified('weeklyHours');
         await settings.save();
+
+        // Bookings are not moved automatically; report the ones the new hours exclude
+        if (hoursChanged) {
+            const bookingsOutsideHours = await findBookingsOutsideHours();
+            return res.status(200).json({ ...settings.toObject(), bookingsOutsideHours });
+        }
+
         res.status(200).json(settings);
     } catch (error) {
         res.status(400).json({ message: error.message });
     }
 };
 
+/**
+ * GET /api/admin/settings/hours-conflicts
+ * Upcoming bookings that fall outside the current operating hours
+ * Query: courtId (optional)
+ */
+const getBookingsOutsideHours = async (req, res) => {
+    try {
+        const bookings = await findBookingsOutsideHours({ courtId: req.query.courtId });
+        res.status(200).json({ count: bookings.length, bookings });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
 module.exports = {
     getSettings,
-    updateSettings
+    updateSettings,
+    getBookingsOutsideHours
 };
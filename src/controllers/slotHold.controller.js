@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const {
+    createHold,
+    extendHold,
+    confirmHold,
+    releaseHold
+} = require('../services/slotHold.service');
+
+/**
+ * @desc    Hold slots temporarily (e.g. while a customer on the phone decides)
+ * @route   POST /api/holds
+ * @access  Private (Admin, Staff)
+ */
+const createSlotHold = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { courtId, bookingDate, startTime, endTime, minutes } = req.body;
+
+        if (!courtId || !bookingDate || !startTime || !endTime) {
+            throw new Error('Court, date, start time and end time are required');
+        }
+
+        const hold = await createHold({
+            courtId,
+            bookingDate,
+            startTime,
+            endTime,
+            minutes,
+            heldBy: req.user._id
+        }, session);
+
+        await session.commitTransaction();
+        res.status(201).json({ success: true, message: 'Slots held successfully', data: hold });
+
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Slot already booked (Race Condition Detected)' });
+        }
+        res.status(error.status || 400).json({ success: false, message: error.message, alternatives: error.alternatives });
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * @desc    Extend an active hold
+ * @route   PATCH /api/holds/:holdId/extend
+ * @access  Private (Admin, Staff)
+ */
+const extendSlotHold = async (req, res) => {
+    try {
+        const expiresAt = await extendHold(req.params.holdId, req.body.minutes);
+        res.status(200).json({ success: true, message: 'Hold extended', expiresAt });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @desc    Confirm a hold into a booking
+ * @route   POST /api/holds/:holdId/confirm
+ * @access  Private (Admin, Staff)
+ */
+const confirmSlotHold = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const booking = await confirmHold(req.params.holdId, {
+            ...req.body,
+            // Fixed prices are only set through recurring occurrence overrides
+            priceOverride: null,
+            createdBy: req.user._id
+        }, session);
+
+        await session.commitTransaction();
+        res.status(201).json({
+            success: true,
+            message: 'Booking created successfully',
+            bookingId: booking._id
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Slot already booked (Race Condition Detected)' });
+        }
+        res.status(error.status || 400).json({ success: false, message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * @desc    Release a hold
+ * @route   DELETE /api/holds/:holdId
+ * @access  Private (Admin, Staff)
+ */
+const releaseSlotHold = async (req, res) => {
+    try {
+        const released = await releaseHold(req.params.holdId);
+        res.status(200).json({ success: true, message: 'Hold released', releasedSlots: released });
+    } catch (error) {
+        res.status(400).json({ success: false, message: error.message });
+    }
+};
+
+module.exports = {
+    createSlotHold,
+    extendSlotHold,
+    confirmSlotHold,
+    releaseSlotHold
+};
@@ -5,11 +5,19 @@ const BookingSlot = require('../models/BookingSlot.model');
 const Court = require('../models/Court.model');
 const Payment = require('../models/Payment.model');
 const Settings = require('../models/Settings.model');
-const { generateSlots } = require('../services/slotGenerator.service');
-const { calculatePrice } = require('../services/pricing.service');
-const { generateDates } = require('../services/recurringGenerator.service');
+const { generateSlots, generateDatedSlots, getSlotDuration } = require('../services/slotGenerator.service');
+const { calculatePrice, getPriceBreakdown } = require('../services/pricing.service');
+const { generateDates, getHorizonEnd } = require('../services/recurringGenerator.service');
 const { checkSlotAvailability, throwConflictError } = require('../services/slotValidation.service');
-const { normalizeToMidnight } = require('../utils/dateUtils');
+const { setCollectedAmount, syncPaymentFromLedger } = require('../services/paymentLedger.service');
+const { applyCancellationPolicy } = require('../services/cancellation.service');
+const { normalizeToMidnight, isOvernight } = require('../utils/dateUtils');
+const { findBlackouts, getBlockedBands } = require('../services/blackout.service');
+const { assertWithinOperatingHours } = require('../services/operatingHours.service');
+const { resolveCustomer } = require('../services/customer.service');
+const { offerFreedSlots } = require('../services/waitlist.service');
+const { findAlternativeSlots } = require('../services/slotSuggestion.service');
+const { softDeleteBookings } = require('../services/trash.service');
 
 /**
  * @desc    Get Day Calendar (Staff View)
@@ -24,13 +32,22 @@ const getStaffDayCalendar = async (req, res) => {
 
         const queryDate = normalizeToMidnight(date);
         const endOfDay = moment(queryDate).endOf('day').toDate();
+        const previousDay = moment(queryDate).subtract(1, 'day').toDate();
 
         // 1. Fetch all ACTIVE courts
         const courts = await Court.find({ status: 'ACTIVE' }).sort({ createdAt: 1 });
+        const blackouts = await findBlackouts(null, queryDate, queryDate);
 
-        // 2. Fetch all bookings for the selected date (not cancelled)
+        // 2. Fetch all bookings for the selected date (not cancelled),
+        // including overnight bookings from the previous day that run into it
         const bookings = await Booking.find({
-            bookingDate: { $gte: queryDate, $lte: endOfDay },
+            $or: [
+                { bookingDate: { $gte: queryDate, $lte: endOfDay } },
+                {
+                    bookingDate: { $gte: previousDay, $lt: queryDate },
+                    $expr: { $lt: ['$endTime', '$startTime'] }
+                }
+            ],
             status: { $ne: 'CANCELLED' }
         }).populate('courtId', 'name');
 
@@ -56,6 +73,8 @@ const getStaffDayCalendar = async (req, res) => {
                 }
 
                 const source = b.bookingSource || 'MANUAL';
+                const overnight = isOvernight(b.startTime, b.endTime);
+                const fromPreviousDay = b.bookingDate < queryDate;
 
                 return {
                     bookingId: b._id.toString(),
@@ -64,6 +83,11 @@ const getStaffDayCalendar = async (req, res) => {
                     timeSlot: `${b.startTime} - ${b.endTime}`,
                     startTime: b.startTime,
                     endTime: b.endTime,
+                    // Portion of the booking that falls on this day (differs for overnight bookings)
+                    dayStartTime: fromPreviousDay ? '00:00' : b.startTime,
+                    dayEndTime: overnight && !fromPreviousDay ? '24:00' : b.endTime,
+                    isOvernight: overnight,
+                    continuesFromPreviousDay: fromPreviousDay,
                     finalAmount: b.finalAmount,
                     advancePaid: payment ? payment.advancePaid : 0,
                     balanceAmount: payment ? payment.balanceAmount : b.finalAmount,
@@ -77,7 +101,8 @@ const getStaffDayCalendar = async (req, res) => {
             return {
                 courtId: court._id,
                 courtName: `${court.sportType} - ${court.name}`,
-                slots: slots
+                slots: slots,
+                blocked: getBlockedBands(blackouts, court._id, queryDate)
             };
         }));
 
@@ -112,11 +137,20 @@ const updateStaffCalendarBooking = async (req, res) => {
 
         // Update allowed fields
         if (customerName) booking.customerName = customerName;
-        if (customerPhone) booking.customerPhone = customerPhone;
+        if (customerPhone && customerPhone !== booking.customerPhone) {
+            const customer = await resolveCustomer({ name: booking.customerName, phone: customerPhone }, req.user._id, session);
+            booking.customerPhone = customerPhone;
+            booking.customerId = customer._id;
+        }
 
         // Time change logic
         if (startTime && endTime && (startTime !== booking.startTime || endTime !== booking.endTime)) {
-            const slots = generateSlots(startTime, endTime);
+            const court = await Court.findById(booking.courtId).session(session);
+            const settings = await Settings.getSettings();
+            const slotDuration = getSlotDuration(court, settings);
+            const slots = generateSlots(startTime, endTime, slotDuration);
+            const datedSlots = generateDatedSlots(booking.bookingDate, startTime, endTime);
+            await assertWithinOperatingHours(court, booking.bookingDate, startTime, endTime, settings);
 
             // Check conflicts
             const availability = await checkSlotAvailability(
@@ -128,27 +162,35 @@ const updateStaffCalendarBooking = async (req, res) => {
                 booking._id
             );
             if (!availability.available) {
-                throwConflictError(availability.conflicts);
+                const alternatives = await findAlternativeSlots({
+                    courtId: booking.courtId,
+                    bookingDate: booking.bookingDate,
+                    startTime,
+                    endTime,
+                    excludeBookingId: booking._id
+                }, { includeOtherDays: false }, session);
+                throwConflictError(availability.conflicts, availability.blackouts, alternatives);
             }
 
             // Update slots
             await BookingSlot.deleteMany({ bookingId: booking._id }).session(session);
-            await BookingSlot.insertMany(slots.map(s => ({
+            await BookingSlot.insertMany(datedSlots.map(slot => ({
                 bookingId: booking._id,
                 courtId: booking.courtId,
-                bookingDate: normalizeToMidnight(booking.bookingDate),
-                slotTime: s,
+                bookingDate: slot.bookingDate,
+                slotTime: slot.slotTime,
                 status: 'BOOKED'
             })), { session });
 
             booking.startTime = startTime;
             booking.endTime = endTime;
             booking.totalSlots = slots.length;
+            booking.slotDuration = slotDuration;
 
             // Recalculate price
-            const court = await Court.findById(booking.courtId).session(session);
-            const newPrice = calculatePrice(court, slots.length, booking.bookingDate);
+            const newPrice = calculatePrice(court, slots, booking.bookingDate, settings.weekendDays, slotDuration);
             booking.baseAmount = newPrice;
+            booking.priceBreakdown = getPriceBreakdown(court, slots, booking.bookingDate, settings.weekendDays, slotDuration);
             booking.finalAmount = newPrice;
         }
 
@@ -158,10 +200,11 @@ const updateStaffCalendarBooking = async (req, res) => {
         const payment = await Payment.findOne({ bookingId: booking._id }).session(session);
         if (payment) {
             payment.totalAmount = booking.finalAmount;
-            if (advancePaid !== undefined) payment.advancePaid = advancePaid;
-            payment.balanceAmount = Math.max(0, payment.totalAmount - payment.advancePaid);
-            payment.status = payment.balanceAmount === 0 ? 'PAID' : (payment.advancePaid > 0 ? 'PARTIAL' : 'PENDING');
-            await payment.save({ session });
+            if (advancePaid !== undefined) {
+                await setCollectedAmount(payment, advancePaid, { collectedBy: req.user._id }, session);
+            } else {
+                await syncPaymentFromLedger(payment, session);
+            }
         }
 
         await session.commitTransaction();
@@ -169,7 +212,7 @@ const updateStaffCalendarBooking = async (req, res) => {
 
     } catch (error) {
         await session.abortTransaction();
-        res.status(400).json({ success: false, message: error.message });
+        res.status(400).json({ success: false, message: error.message, alternatives: error.alternatives });
     } finally {
         session.endSession();
     }
@@ -190,6 +233,9 @@ const cancelStaffCalendarBooking = async (req, res) => {
         if (!booking) throw new Error('Booking not found');
         if (booking.status === 'CANCELLED') throw new Error('Booking already cancelled');
         if (booking.bookingSource === 'RECURRING') throw new Error('Cannot cancel a recurring booking');
+        if (req.body.waiveFee && !req.permissions.includes('payment.refund')) {
+            throw new Error('Not authorized to waive the cancellation fee');
+        }
 
         booking.status = 'CANCELLED';
         await booking.save({ session });
@@ -201,6 +247,13 @@ const cancelStaffCalendarBooking = async (req, res) => {
             { session }
         );
 
+        // Compute cancellation fee and record any refund due
+        const charges = await applyCancellationPolicy(booking, {
+            cancelledBy: req.user._id,
+            refundMode: req.body.refundMode,
+            waiveFee: req.body.waiveFee
+        }, session);
+
         // Audit update for payment
         const payment = await Payment.findOne({ bookingId: booking._id }).session(session);
         if (payment) {
@@ -208,8 +261,11 @@ const cancelStaffCalendarBooking = async (req, res) => {
             await payment.save({ session });
         }
 
+        // Offer the freed slots to the waitlist
+        const waitlistOffers = await offerFreedSlots(booking, req.user._id, session);
+
         await session.commitTransaction();
-        res.status(200).json({ success: true, message: 'Booking cancelled successfully' });
+        res.status(200).json({ success: true, message: 'Booking cancelled successfully', cancellation: charges, waitlistOffers });
 
     } catch (error) {
         await session.abortTransaction();
@@ -221,18 +277,20 @@ const cancelStaffCalendarBooking = async (req, res) => {
 
 const checkAvailability = async (req, res) => {
     try {
-        const { courtId, startDate, endDate, startTime, endTime, daysOfWeek, recurrenceType } = req.body;
+        const { courtId, startDate, endDate, startTime, endTime, daysOfWeek, recurrenceType, rrule } = req.body;
 
         // Mock a rule for generateDates
         const ruleMock = {
             startDate: normalizeToMidnight(startDate),
             endDate: normalizeToMidnight(endDate),
-            recurrenceType: recurrenceType || 'WEEKLY',
+            recurrenceType: rrule ? 'RRULE' : recurrenceType || 'WEEKLY',
             daysOfWeek: daysOfWeek || [],
-            fixedDate: req.body.fixedDate
+            fixedDate: req.body.fixedDate,
+            rrule
         };
 
-        const dates = generateDates(ruleMock);
+        const settings = await Settings.getSettings();
+        const dates = generateDates(ruleMock, { until: getHorizonEnd(ruleMock, settings) });
         const conflicts = [];
 
         for (const date of dates) {
@@ -240,7 +298,12 @@ const checkAvailability = async (req, res) => {
             if (!availability.available) {
                 conflicts.push({
                     date: date.toISOString().split('T')[0],
-                    reason: availability.message
+                    reason: availability.message,
+                    // Other times/courts on that date; later dates are checked in this loop anyway
+                    alternatives: await findAlternativeSlots(
+                        { courtId, bookingDate: date, startTime, endTime },
+                        { includeOtherDays: false, limit: 3 }
+                    )
                 });
             }
         }
@@ -259,7 +322,7 @@ const checkAvailability = async (req, res) => {
 };
 
 /**
- * @desc    Delete Booking from Calendar (Staff - Full Deletion)
+ * @desc    Delete Booking from Calendar (moves it to the trash; an admin can restore it)
  * @route   DELETE /api/staff/calendar/bookings/:id
  */
 const deleteStaffCalendarBooking = async (req, res) => {
@@ -272,17 +335,14 @@ const deleteStaffCalendarBooking = async (req, res) => {
 
         if (!booking) throw new Error('Booking not found');
 
-        // 1. Delete Slots
-        await BookingSlot.deleteMany({ bookingId: booking._id }).session(session);
-
-        // 2. Delete Payment
-        await Payment.deleteMany({ bookingId: booking._id }).session(session);
+        // 1. Move the booking and its payments to the trash and free the slots
+        await softDeleteBookings([booking._id], req.user._id, session);
 
-        // 3. Delete Booking
-        await Booking.deleteOne({ _id: booking._id }).session(session);
+        // 2. Offer the freed slots to the waitlist
+        const waitlistOffers = await offerFreedSlots(booking, req.user._id, session);
 
         await session.commitTransaction();
-        res.status(200).json({ success: true, message: 'Booking deleted permanently' });
+        res.status(200).json({ success: true, message: 'Booking moved to trash', waitlistOffers });
 
     } catch (error) {
         await session.abortTransaction();
@@ -2,7 +2,11 @@ const mongoose = require('mongoose');
 const Booking = require('../models/Booking.model');
 const Payment = require('../models/Payment.model');
 const Court = require('../models/Court.model');
+const Settings = require('../models/Settings.model');
 const moment = require('moment');
+const { findBlackouts, getBlockedMinutes } = require('../services/blackout.service');
+const { getOperatingHours } = require('../services/operatingHours.service');
+const { toMinutes } = require('../utils/dateUtils');
 
 /**
  * @desc    Get Staff Dashboard Summary
@@ -173,38 +177,69 @@ exports.getPaymentStatusDistribution = async (req, res) => {
  * @desc    Get Court Utilization (Bar Chart)
  * @route   GET /api/staff/dashboard/court-utilization
  * @access  Private (Staff, Admin)
+ * Query: from, to (YYYY-MM-DD, default last 30 days)
+ * Utilization = booked hours / bookable hours, where bookable hours are the operating
+ * hours of the period minus time blocked by blackouts and closures.
  */
 exports.getCourtUtilization = async (req, res) => {
     try {
-        const utilization = await Booking.aggregate([
-            {
-                $match: { status: { $ne: 'CANCELLED' } }
-            },
-            {
-                $lookup: {
-                    from: 'courts',
-                    localField: 'courtId',
-                    foreignField: '_id',
-                    as: 'court'
-                }
-            },
-            { $unwind: '$court' },
-            {
-                $group: {
-                    _id: '$court.name',
-                    bookings: { $sum: 1 }
-                }
-            },
-            { $sort: { bookings: -1 } },
-            {
-                $project: {
-                    court: '$_id',
-                    bookings: 1,
-                    _id: 0
+        const from = req.query.from ? moment(req.query.from).startOf('day') : moment().subtract(29, 'days').startOf('day');
+        const to = req.query.to ? moment(req.query.to).endOf('day') : moment().endOf('day');
+
+        const [courts, settings, blackouts, booked] = await Promise.all([
+            Court.find({ status: 'ACTIVE' }).lean(),
+            Settings.getSettings(),
+            findBlackouts(null, from.toDate(), to.toDate()),
+            Booking.aggregate([
+                {
+                    $match: {
+                        status: { $ne: 'CANCELLED' },
+                        bookingDate: { $gte: from.toDate(), $lte: to.toDate() }
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$courtId',
+                        bookings: { $sum: 1 },
+                        bookedMinutes: { $sum: { $multiply: ['$totalSlots', { $ifNull: ['$slotDuration', 15] }] } }
+                    }
                 }
-            }
+            ])
         ]);
 
+        const bookedMap = booked.reduce((acc, b) => {
+            acc[b._id.toString()] = b;
+            return acc;
+        }, {});
+
+        const utilization = courts.map(court => {
+            let availableMinutes = 0;
+            let blockedMinutes = 0;
+            for (const day = from.clone(); day.isSameOrBefore(to, 'day'); day.add(1, 'day')) {
+                const hours = getOperatingHours(court, settings, day.toDate());
+                if (hours.closed) continue;
+
+                let dailyMinutes = toMinutes(hours.closingTime) - toMinutes(hours.openingTime);
+                if (dailyMinutes <= 0) dailyMinutes += 24 * 60; // Open past midnight
+
+                const blocked = getBlockedMinutes(blackouts, court._id, day.toDate(), hours.openingTime, hours.closingTime);
+                blockedMinutes += blocked;
+                availableMinutes += dailyMinutes - blocked;
+            }
+
+            const stats = bookedMap[court._id.toString()] || { bookings: 0, bookedMinutes: 0 };
+            return {
+                court: court.name,
+                bookings: stats.bookings,
+                bookedHours: stats.bookedMinutes / 60,
+                availableHours: availableMinutes / 60,
+                blockedHours: blockedMinutes / 60,
+                utilization: availableMinutes > 0
+                    ? Math.round((stats.bookedMinutes / availableMinutes) * 10000) / 100
+                    : 0
+            };
+        }).sort((a, b) => b.bookings - a.bookings);
+
         res.status(200).json(utilization);
     } catch (error) {
         console.error('Staff Dashboard Court Utilization Error:', error);
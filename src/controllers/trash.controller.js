@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const { getTrash, restoreBooking, restoreRecurringRule } = require('../services/trash.service');
+
+// @desc    List deleted bookings or recurring rules with their purge date
+// @route   GET /api/admin/trash?type=BOOKING|RECURRING&page=&limit=
+// @access  Private (Admin only)
+const getTrashItems = async (req, res) => {
+    try {
+        const { type = 'BOOKING', page = 1, limit = 20 } = req.query;
+        if (!['BOOKING', 'RECURRING'].includes(type)) {
+            return res.status(400).json({ message: 'Type must be BOOKING or RECURRING' });
+        }
+
+        const { total, data } = await getTrash({ type, page: parseInt(page), limit: parseInt(limit) });
+
+        res.status(200).json({
+            success: true,
+            type,
+            total,
+            page: parseInt(page),
+            data
+        });
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
+// @desc    Restore a deleted booking, if its time is still free
+// @route   POST /api/admin/trash/bookings/:id/restore
+// @access  Private (Admin only)
+const restoreTrashedBooking = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const booking = await restoreBooking(req.params.id, session);
+
+        await session.commitTransaction();
+        res.status(200).json({ success: true, message: 'Booking restored', booking });
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Slot already booked (Race Condition Detected)' });
+        }
+        res.status(error.status || 400).json({ success: false, message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+// @desc    Restore a deleted recurring rule with the bookings deleted along with it
+// @route   POST /api/admin/trash/recurring-bookings/:id/restore
+// @access  Private (Admin only)
+const restoreTrashedRecurringBooking = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { rule, restoredBookings } = await restoreRecurringRule(req.params.id, session);
+
+        await session.commitTransaction();
+        res.status(200).json({ success: true, message: 'Recurring rule restored', rule, restoredBookings });
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Slot already booked (Race Condition Detected)' });
+        }
+        res.status(error.status || 400).json({ success: false, message: error.message, conflictDates: error.conflictDates });
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    getTrashItems,
+    restoreTrashedBooking,
+    restoreTrashedRecurringBooking
+};
@@ -1,5 +1,6 @@
 const User = require('../models/User.model');
 const bcrypt = require('bcryptjs');
+const { assertAssignableRole } = require('../services/role.service');
 
 // @desc    Create new staff
 // @route   POST /api/users/staff
@@ -14,13 +15,20 @@ const createStaff = async (req, res) => {
             return res.status(400).json({ message: 'User already exists' });
         }
 
-        // Create user with role STAFF and link to creating Admin
+        let role;
+        try {
+            role = await assertAssignableRole(req.body.role || 'STAFF');
+        } catch (roleError) {
+            return res.status(400).json({ message: roleError.message });
+        }
+
+        // Create user with the given role (STAFF by default) and link to creating Admin
         const user = await User.create({
             name,
             email,
             phone,
             password, // Hashed by pre-save hook
-            role: 'STAFF',
+            role,
             status: status || 'ACTIVE',
             createdBy: req.user._id, // Link to the admin who created this staff
         });
@@ -55,8 +63,8 @@ const createStaff = async (req, res) => {
 // @access  Private (Admin only)
 const getAllStaff = async (req, res) => {
     try {
-        // Find staff created by the current admin
-        const users = await User.find({ role: 'STAFF', createdBy: req.user._id }).select('-password');
+        // Find staff (any non-admin role) created by the current admin
+        const users = await User.find({ role: { $ne: 'ADMIN' }, createdBy: req.user._id }).select('-password');
         res.status(200).json(users);
     } catch (error) {
         console.error(error);
@@ -71,7 +79,7 @@ const getStaffById = async (req, res) => {
     try {
         const user = await User.findById(req.params.id).select('-password');
 
-        if (user && user.role === 'STAFF') {
+        if (user && user.role !== 'ADMIN') {
             // Check authorization: Admin can only view staff they created
             if (user.createdBy && user.createdBy.toString() !== req.user._id.toString()) {
                 return res.status(403).json({ message: 'Not authorized to view this staff member' });
@@ -93,7 +101,7 @@ const updateStaff = async (req, res) => {
     try {
         const user = await User.findById(req.params.id);
 
-        if (user && user.role === 'STAFF') {
+        if (user && user.role !== 'ADMIN') {
             // Check authorization
             if (user.createdBy && user.createdBy.toString() !== req.user._id.toString()) {
                 return res.status(403).json({ message: 'Not authorized to update this staff member' });
@@ -136,7 +144,7 @@ const updateStaffStatus = async (req, res) => {
         const { status } = req.body;
         const user = await User.findById(req.params.id);
 
-        if (user && user.role === 'STAFF') {
+        if (user && user.role !== 'ADMIN') {
             // Check authorization
             if (user.createdBy && user.createdBy.toString() !== req.user._id.toString()) {
                 return res.status(403).json({ message: 'Not authorized to update this staff member' });
@@ -162,6 +170,42 @@ const updateStaffStatus = async (req, res) => {
     }
 };
 
+// @desc    Assign a role to a staff member
+// @route   PATCH /api/users/staff/:id/role
+// @access  Private (Admin only)
+const updateStaffRole = async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (user && user.role !== 'ADMIN') {
+            // Check authorization
+            if (user.createdBy && user.createdBy.toString() !== req.user._id.toString()) {
+                return res.status(403).json({ message: 'Not authorized to update this staff member' });
+            }
+
+            let role;
+            try {
+                role = await assertAssignableRole(req.body.role);
+            } catch (roleError) {
+                return res.status(400).json({ message: roleError.message });
+            }
+
+            user.role = role;
+            await user.save();
+
+            res.status(200).json({
+                success: true,
+                message: `Staff role updated to ${role}`,
+            });
+        } else {
+            res.status(404).json({ message: 'Staff member not found' });
+        }
+    } catch (error) {
+        console.error(error);
+        res.status(500).json({ message: 'Server Error' });
+    }
+};
+
 // @desc    Delete staff
 // @route   DELETE /api/users/staff/:id
 // @access  Private (Admin only)
@@ -169,7 +213,7 @@ const deleteStaff = async (req, res) => {
     try {
         const user = await User.findById(req.params.id);
 
-        if (user && user.role === 'STAFF') {
+        if (user && user.role !== 'ADMIN') {
             // Check authorization
             if (user.createdBy && user.createdBy.toString() !== req.user._id.toString()) {
                 return res.status(403).json({ message: 'Not authorized to delete this staff member' });
@@ -192,5 +236,6 @@ module.exports = {
     getStaffById,
     updateStaff,
     updateStaffStatus,
+    updateStaffRole,
     deleteStaff,
 };
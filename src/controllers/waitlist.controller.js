@@ -0,0 +1,174 @@
+const mongoose = require('mongoose');
+const WaitlistEntry = require('../models/WaitlistEntry.model');
+const { normalizeToMidnight } = require('../utils/dateUtils');
+const {
+    createWaitlistEntry,
+    respondToOffer,
+    convertOffer,
+    withdrawEntry
+} = require('../services/waitlist.service');
+
+/**
+ * @desc    Add a customer to the waitlist for a taken court/date/time
+ * @route   POST /api/waitlist
+ * @access  Private (Admin, Staff)
+ */
+const createEntry = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { courtId, bookingDate, startTime, endTime, customerName, customerPhone, notes } = req.body;
+
+        if (!courtId || !bookingDate || !startTime || !endTime || !customerName || !customerPhone) {
+            throw new Error('Court, date, start time, end time, customer name and phone are required');
+        }
+
+        const entry = await createWaitlistEntry({
+            courtId,
+            bookingDate,
+            startTime,
+            endTime,
+            customerName,
+            customerPhone,
+            notes,
+            createdBy: req.user._id
+        }, session);
+
+        await session.commitTransaction();
+        res.status(201).json({ success: true, message: 'Added to waitlist', data: entry });
+
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.name === 'ValidationError') {
+            const messages = Object.values(error.errors).map(val => val.message);
+            return res.status(400).json({ success: false, message: messages.join(', ') });
+        }
+        res.status(400).json({ success: false, message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * @desc    List waitlist entries (oldest first, i.e. in offer order)
+ * @route   GET /api/waitlist?courtId=&date=&status=
+ * @access  Private (Admin, Staff)
+ */
+const getEntries = async (req, res) => {
+    try {
+        const { courtId, date, status } = req.query;
+        const query = {};
+
+        if (courtId) query.courtId = courtId;
+        if (date) query.bookingDate = normalizeToMidnight(date);
+        if (status) query.status = status;
+
+        const entries = await WaitlistEntry.find(query)
+            .populate('courtId', 'name sportType')
+            .sort({ bookingDate: 1, createdAt: 1 })
+            .lean();
+
+        res.status(200).json({ success: true, count: entries.length, data: entries });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
+
+/**
+ * @desc    Record the customer's answer to an offer ({ accept: true|false })
+ * @route   PATCH /api/waitlist/:id/respond
+ * @access  Private (Admin, Staff)
+ */
+const respondEntry = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        if (typeof req.body.accept !== 'boolean') {
+            throw new Error('Please specify whether the offer is accepted');
+        }
+
+        const { entry, offers } = await respondToOffer(req.params.id, req.body.accept, req.user._id, session);
+
+        await session.commitTransaction();
+        res.status(200).json({
+            success: true,
+            message: req.body.accept ? 'Offer accepted' : 'Offer declined',
+            data: entry,
+            waitlistOffers: offers
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400).json({ success: false, message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * @desc    Convert an accepted offer into a booking
+ * @route   POST /api/waitlist/:id/convert
+ * @access  Private (Admin, Staff)
+ */
+const convertEntry = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const booking = await convertOffer(req.params.id, {
+            ...req.body,
+            // Fixed prices are only set through recurring occurrence overrides
+            priceOverride: null,
+            createdBy: req.user._id
+        }, session);
+
+        await session.commitTransaction();
+        res.status(201).json({
+            success: true,
+            message: 'Booking created successfully',
+            bookingId: booking._id
+        });
+
+    } catch (error) {
+        await session.abortTransaction();
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'Slot already booked (Race Condition Detected)' });
+        }
+        res.status(error.status || 400).json({ success: false, message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+/**
+ * @desc    Remove a customer from the waitlist (an open offer passes to the next entry)
+ * @route   DELETE /api/waitlist/:id
+ * @access  Private (Admin, Staff)
+ */
+const deleteEntry = async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { offers } = await withdrawEntry(req.params.id, req.user._id, session);
+
+        await session.commitTransaction();
+        res.status(200).json({ success: true, message: 'Removed from waitlist', waitlistOffers: offers });
+
+    } catch (error) {
+        await session.abortTransaction();
+        res.status(400).json({ success: false, message: error.message });
+    } finally {
+        session.endSession();
+    }
+};
+
+module.exports = {
+    createEntry,
+    getEntries,
+    respondEntry,
+    convertEntry,
+    deleteEntry
+};
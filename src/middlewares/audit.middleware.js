@@ -0,0 +1,15 @@
+const crypto = require('crypto');
+const { runWithAuditContext } = require('../utils/auditContext');
+
+// Opens the audit context for the request, so every write it makes is logged with its IP and route
+const trackAuditContext = (req, res, next) => {
+    runWithAuditContext({
+        requestId: crypto.randomUUID(),
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        method: req.method,
+        path: req.originalUrl
+    }, next);
+};
+
+module.exports = { trackAuditContext };
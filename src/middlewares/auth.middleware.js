@@ -1,5 +1,6 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User.model');
+const { setAuditActor } = require('../utils/auditContext');
 
 const protect = async (req, res, next) => {
     let token;
@@ -15,6 +16,11 @@ const protect = async (req, res, next) => {
             // Verify token
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+            // Customer portal tokens are signed with the same secret but never grant staff access
+            if (decoded.type === 'CUSTOMER') {
+                return res.status(401).json({ message: 'Not authorized, customer tokens cannot access this route' });
+            }
+
             // Get user from the token
             req.user = await User.findById(decoded.id).select('-password');
 
@@ -22,6 +28,13 @@ const protect = async (req, res, next) => {
                 return res.status(401).json({ message: 'Not authorized, user not found' });
             }
 
+            setAuditActor({
+                actorType: 'USER',
+                actorId: req.user._id,
+                actorName: req.user.name,
+                actorRole: req.user.role
+            });
+
             next();
         } catch (error) {
             console.error(error);
@@ -0,0 +1,37 @@
+const jwt = require('jsonwebtoken');
+const Customer = require('../models/Customer.model');
+const { setAuditActor } = require('../utils/auditContext');
+
+// Protects customer portal routes: only tokens issued by the portal OTP login are accepted
+const protectCustomer = async (req, res, next) => {
+    if (!req.headers.authorization || !req.headers.authorization.startsWith('Bearer')) {
+        return res.status(401).json({ message: 'Not authorized, no token' });
+    }
+
+    try {
+        const token = req.headers.authorization.split(' ')[1];
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (decoded.type !== 'CUSTOMER') {
+            return res.status(401).json({ message: 'Not authorized, customer token required' });
+        }
+
+        req.customer = await Customer.findById(decoded.id);
+        if (!req.customer) {
+            return res.status(401).json({ message: 'Not authorized, customer not found' });
+        }
+
+        setAuditActor({
+            actorType: 'CUSTOMER',
+            actorId: req.customer._id,
+            actorName: req.customer.name
+        });
+
+        next();
+    } catch (error) {
+        console.error(error);
+        res.status(401).json({ message: 'Not authorized, token failed' });
+    }
+};
+
+module.exports = { protectCustomer };
@@ -1,3 +1,5 @@
+const { getRolePermissions } = require('../services/role.service');
+
 const allowRoles = (...roles) => {
     return (req, res, next) => {
         if (!roles.includes(req.user.role)) {
@@ -9,4 +11,25 @@ const allowRoles = (...roles) => {
     };
 };
 
-module.exports = { allowRoles };
+// Requires every listed permission (see config/permissions). Use after protect.
+// The user's permissions are left on req.permissions for finer checks inside controllers.
+const requirePermission = (...permissions) => {
+    return async (req, res, next) => {
+        try {
+            req.permissions = req.permissions || await getRolePermissions(req.user.role);
+
+            const missing = permissions.filter(p => !req.permissions.includes(p));
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    message: `User role ${req.user.role} is missing permission ${missing.join(', ')}`,
+                });
+            }
+            next();
+        } catch (error) {
+            console.error(error);
+            res.status(500).json({ message: 'Server Error' });
+        }
+    };
+};
+
+module.exports = { allowRoles, requirePermission };
@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Append-only record of a change to an audited collection (see plugins/audit.plugin).
+// For updates, before/after hold only the changed fields; creates carry after, deletes carry before.
+const auditLogSchema = new mongoose.Schema({
+    // USER: staff/admin, CUSTOMER: portal login, PUBLIC: unauthenticated request, SYSTEM: cron jobs and scripts
+    actorType: {
+        type: String,
+        enum: ['USER', 'CUSTOMER', 'PUBLIC', 'SYSTEM'],
+        required: true,
+    },
+    actorId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    actorName: String,
+    actorRole: String,
+    action: {
+        type: String,
+        enum: ['CREATE', 'UPDATE', 'DELETE'],
+        required: true,
+    },
+    // Model name, e.g. Booking, Payment, Settings
+    entityType: {
+        type: String,
+        required: true,
+    },
+    entityId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    changedFields: [String],
+    before: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    after: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null,
+    },
+    ip: String,
+    userAgent: String,
+    method: String,
+    path: String,
+    // Groups the entries written by one request, e.g. a booking delete and its payments
+    requestId: String,
+    createdAt: {
+        type: Date,
+        default: Date.now,
+        immutable: true,
+    },
+});
+
+auditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+auditLogSchema.index({ createdAt: -1 });
+
+const rejectChange = async function () {
+    throw new Error('Audit log entries cannot be changed or deleted');
+};
+
+auditLogSchema.pre('save', async function () {
+    if (!this.isNew) await rejectChange();
+});
+
+auditLogSchema.pre(
+    ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace', 'deleteOne', 'deleteMany', 'findOneAndDelete'],
+    { document: false, query: true },
+    rejectChange
+);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):([0-5]\d)$/, 'Please provide a valid time in HH:mm format'];
+
+// A period during which a court (or the whole venue) cannot be booked,
+// e.g. resurfacing or a public holiday. The time range, if set, applies on every day of the date range.
+const blackoutSchema = new mongoose.Schema({
+    // null = every court (venue closure)
+    courtId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Court',
+        default: null,
+    },
+    startDate: {
+        type: Date,
+        required: [true, 'Please add a start date'],
+    },
+    endDate: {
+        type: Date,
+        required: [true, 'Please add an end date'],
+        validate: {
+            validator: function (v) {
+                return v >= this.startDate;
+            },
+            message: 'End date cannot be before start date',
+        },
+    },
+    // Both null = the whole day
+    startTime: {
+        type: String,
+        match: TIME_FORMAT,
+        default: null,
+    },
+    endTime: {
+        type: String,
+        match: TIME_FORMAT,
+        default: null,
+        validate: {
+            validator: function (v) {
+                if (!v && !this.startTime) return true;
+                return !!v && !!this.startTime && v > this.startTime;
+            },
+            message: 'Provide both start and end time, with end time after start time',
+        },
+    },
+    reason: {
+        type: String,
+        required: [true, 'Please add a reason'],
+        trim: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+blackoutSchema.index({ startDate: 1, endDate: 1 });
+blackoutSchema.index({ courtId: 1, startDate: 1 });
+
+blackoutSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Blackout', blackoutSchema);
@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 const moment = require('moment');
+const auditPlugin = require('./plugins/audit.plugin');
+const softDeletePlugin = require('./plugins/softDelete.plugin');
 
 const bookingSchema = new mongoose.Schema({
     customerName: {
@@ -12,6 +14,11 @@ const bookingSchema = new mongoose.Schema({
         required: true,
         trim: true,
     },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        default: null,
+    },
     sportType: {
         type: String,
         required: true,
@@ -37,10 +44,23 @@ const bookingSchema = new mongoose.Schema({
         type: Number,
         required: true,
     },
+    // Slot length (minutes) the booking was sold in; totalSlots counts slots of this length
+    slotDuration: {
+        type: Number,
+        default: 15,
+    },
     baseAmount: {
         type: Number,
         required: true,
     },
+    // Price of each slot at the time of booking (slots can fall in different pricing bands)
+    priceBreakdown: [{
+        _id: false,
+        slotTime: String,
+        ratePerHour: Number,
+        amount: Number,
+        pricingRule: String,
+    }],
     discountType: {
         type: String,
         enum: ['PERCENT', 'FLAT', 'NONE'],
@@ -54,10 +74,22 @@ const bookingSchema = new mongoose.Schema({
         type: Number,
         required: true,
     },
+    promoCodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+        default: null
+    },
+    promoCode: {
+        type: String,
+        default: null
+    },
     createdBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'User',
-        required: true,
+        // Bookings made by customers through the portal have no staff user behind them
+        required: function () {
+            return this.source !== 'ONLINE';
+        },
     },
     status: {
         type: String,
@@ -66,7 +98,7 @@ const bookingSchema = new mongoose.Schema({
     },
     source: {
         type: String,
-        enum: ['MANUAL', 'RECURRING'],
+        enum: ['MANUAL', 'RECURRING', 'ONLINE'],
         default: 'MANUAL',
     },
     recurringId: {
@@ -74,9 +106,58 @@ const bookingSchema = new mongoose.Schema({
         ref: 'RecurringBooking',
         required: false,
         default: null
-    }
+    },
+    // Customer did not turn up (booking is still COMPLETED and keeps its payment)
+    noShow: {
+        type: Boolean,
+        default: false
+    },
+    // Outcome of the cancellation policy, set when the booking is cancelled
+    cancellation: {
+        cancelledAt: Date,
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        // Cancelled by the customer through the portal (cancelledBy is then empty)
+        cancelledByCustomer: Boolean,
+        hoursBeforeStart: Number,
+        refundPercent: Number,
+        cancellationFee: Number,
+        refundAmount: Number
+    },
+    // Earlier schedules of the booking, oldest first, recorded when it is rescheduled
+    history: [{
+        _id: false,
+        type: {
+            type: String,
+            enum: ['RESCHEDULE'],
+            default: 'RESCHEDULE'
+        },
+        courtId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Court'
+        },
+        bookingDate: Date,
+        startTime: String,
+        endTime: String,
+        finalAmount: Number,
+        // Whether the booking kept this price at its new time instead of being re-priced
+        priceKept: Boolean,
+        reason: String,
+        changedAt: {
+            type: Date,
+            default: Date.now
+        },
+        changedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    }]
 }, { timestamps: true });
 
+bookingSchema.index({ customerId: 1, bookingDate: -1 });
+
 // Normalize date to midnight before saving
 bookingSchema.pre('save', function (next) {
     if (this.bookingDate) {
@@ -85,4 +166,7 @@ bookingSchema.pre('save', function (next) {
     next();
 });
 
+bookingSchema.plugin(softDeletePlugin);
+bookingSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Booking', bookingSchema);
@@ -5,7 +5,10 @@ const bookingSlotSchema = new mongoose.Schema({
     bookingId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Booking',
-        required: true,
+        // Held slots are not attached to a booking until the hold is confirmed
+        required: function () {
+            return this.status !== 'HELD';
+        },
     },
     courtId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -22,8 +25,22 @@ const bookingSlotSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['BOOKED', 'COMPLETED', 'CANCELLED'],
+        enum: ['BOOKED', 'HELD', 'COMPLETED', 'CANCELLED'],
         default: 'BOOKED'
+    },
+    // Hold metadata (only set while status is HELD)
+    holdId: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    holdExpiresAt: {
+        type: Date,
+        default: null
+    },
+    heldBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
     }
 }, { timestamps: true });
 
@@ -35,14 +52,18 @@ bookingSlotSchema.pre('save', function (next) {
     next();
 });
 
-// Prevent double booking: A slot can only exist once in 'BOOKED' state for a specific court and date
+// Prevent double booking: A slot can only exist once in 'BOOKED' or 'HELD' state for a specific court and date
 // This index allows re-booking once previous booking is 'CANCELLED' or 'COMPLETED'
+// NOTE: Existing deployments must rebuild this index (BookingSlot.syncIndexes()) to pick up the HELD filter
 bookingSlotSchema.index(
     { courtId: 1, bookingDate: 1, slotTime: 1 },
     {
         unique: true,
-        partialFilterExpression: { status: 'BOOKED' }
+        partialFilterExpression: { status: { $in: ['BOOKED', 'HELD'] } }
     }
 );
 
+bookingSlotSchema.index({ holdId: 1 });
+bookingSlotSchema.index({ status: 1, holdExpiresAt: 1 });
+
 module.exports = mongoose.model('BookingSlot', bookingSlotSchema);
@@ -1,4 +1,55 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):([0-5]\d)$/, 'Please provide a valid time in HH:mm format'];
+
+// Time-band pricing rule, e.g. peak hours 18:00 - 22:00 on weekdays
+const pricingRuleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true,
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Please add a start time for the pricing rule'],
+        match: TIME_FORMAT,
+    },
+    endTime: {
+        type: String,
+        required: [true, 'Please add an end time for the pricing rule'],
+        match: TIME_FORMAT,
+        validate: {
+            validator: function (v) {
+                return v > this.startTime;
+            },
+            message: 'Pricing rule end time must be after start time',
+        },
+    },
+    // Empty means every day
+    daysOfWeek: [{
+        type: String,
+        enum: ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN'],
+    }],
+    // Optional date range (inclusive)
+    validFrom: {
+        type: Date,
+    },
+    validTo: {
+        type: Date,
+    },
+    ratePerHour: {
+        type: Number,
+        required: [true, 'Please add a rate per hour for the pricing rule'],
+        min: 0,
+    },
+});
+
+// Hours for one weekday; a closing time earlier than the opening time means closing after midnight
+const dayHoursSchema = new mongoose.Schema({
+    openingTime: { type: String, match: TIME_FORMAT },
+    closingTime: { type: String, match: TIME_FORMAT },
+    closed: { type: Boolean, default: false },
+}, { _id: false });
 
 const courtSchema = new mongoose.Schema({
     name: {
@@ -21,6 +72,43 @@ const courtSchema = new mongoose.Schema({
         required: [true, 'Please add weekend price'],
         min: 0,
     },
+    // Optional per-weekday hourly price, overrides weekdayPrice/weekendPrice for that day
+    dayPrices: {
+        MON: { type: Number, min: 0 },
+        TUE: { type: Number, min: 0 },
+        WED: { type: Number, min: 0 },
+        THU: { type: Number, min: 0 },
+        FRI: { type: Number, min: 0 },
+        SAT: { type: Number, min: 0 },
+        SUN: { type: Number, min: 0 },
+    },
+    pricingRules: [pricingRuleSchema],
+    // Optional operating hours overriding the venue hours in Settings (e.g. a floodlit court open late)
+    openingTime: {
+        type: String,
+        match: TIME_FORMAT,
+        default: null,
+    },
+    closingTime: {
+        type: String,
+        match: TIME_FORMAT,
+        default: null,
+    },
+    weeklyHours: {
+        MON: dayHoursSchema,
+        TUE: dayHoursSchema,
+        WED: dayHoursSchema,
+        THU: dayHoursSchema,
+        FRI: dayHoursSchema,
+        SAT: dayHoursSchema,
+        SUN: dayHoursSchema,
+    },
+    // Length of a bookable slot in minutes; null falls back to Settings.slotDuration
+    slotDuration: {
+        type: Number,
+        enum: [15, 30, 60],
+        default: null,
+    },
     status: {
         type: String,
         enum: ['ACTIVE', 'INACTIVE'],
@@ -35,4 +123,6 @@ const courtSchema = new mongoose.Schema({
 // Prevent duplicate court names for the same sport type
 courtSchema.index({ name: 1, sportType: 1 }, { unique: true });
 
+courtSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Court', courtSchema);
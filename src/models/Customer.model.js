@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+// One record per customer, keyed by normalized phone number (see customer.service normalizePhone)
+const customerSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a customer name'],
+        trim: true,
+    },
+    phone: {
+        type: String,
+        required: [true, 'Please add a phone number'],
+        unique: true,
+        trim: true,
+    },
+    email: {
+        type: String,
+        trim: true,
+        lowercase: true,
+    },
+    notes: {
+        type: String,
+        trim: true,
+    },
+    tags: [{
+        type: String,
+        trim: true,
+    }],
+    isBlacklisted: {
+        type: Boolean,
+        default: false,
+    },
+    blacklistReason: {
+        type: String,
+        trim: true,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+customerSchema.index({ name: 1 });
+customerSchema.index({ tags: 1 });
+
+customerSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Customer', customerSchema);
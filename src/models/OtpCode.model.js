@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+
+// One-time login code sent to a customer's phone. Only a hash of the code is stored.
+const otpCodeSchema = new mongoose.Schema({
+    // Normalized phone (see customer.service normalizePhone)
+    phone: {
+        type: String,
+        required: true,
+        index: true,
+    },
+    codeHash: {
+        type: String,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    attempts: {
+        type: Number,
+        default: 0,
+    },
+    consumedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+// Let MongoDB remove codes once they have expired
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Compare an entered code with the stored hash
+otpCodeSchema.methods.matchCode = async function (code) {
+    return await bcrypt.compare(String(code), this.codeHash);
+};
+
+module.exports = mongoose.model('OtpCode', otpCodeSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+const softDeletePlugin = require('./plugins/softDelete.plugin');
 
 const paymentSchema = new mongoose.Schema({
     bookingId: {
@@ -10,6 +12,7 @@ const paymentSchema = new mongoose.Schema({
         type: Number,
         required: true,
     },
+    // Total collected so far, derived from the PaymentTransaction ledger
     advancePaid: {
         type: Number,
         required: true,
@@ -29,9 +32,26 @@ const paymentSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['PARTIAL', 'PAID', 'PENDING'],
+        enum: ['PARTIAL', 'PAID', 'PENDING', 'REFUNDED'],
         default: 'PARTIAL',
     },
+    // Set when the booking is cancelled under the cancellation policy
+    cancellationFee: {
+        type: Number,
+        default: 0,
+    },
+    refundAmount: {
+        type: Number,
+        default: 0,
+    },
+    // False for legacy records created before the ledger existed
+    ledgerInitialized: {
+        type: Boolean,
+        default: false,
+    },
 }, { timestamps: true });
 
+paymentSchema.plugin(softDeletePlugin);
+paymentSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('Payment', paymentSchema);
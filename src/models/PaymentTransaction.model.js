@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+const softDeletePlugin = require('./plugins/softDelete.plugin');
+
+// Append-only ledger entry. Payment totals and status are derived from these.
+const paymentTransactionSchema = new mongoose.Schema({
+    paymentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Payment',
+        required: true,
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        required: true,
+    },
+    // PAYMENT: money received, ADJUSTMENT: manual correction (can be negative),
+    // REFUND: money returned to the customer (negative amount)
+    type: {
+        type: String,
+        enum: ['PAYMENT', 'ADJUSTMENT', 'REFUND'],
+        default: 'PAYMENT',
+    },
+    amount: {
+        type: Number,
+        required: true,
+    },
+    mode: {
+        type: String,
+        enum: ['CASH', 'UPI', 'CARD', 'ONLINE'],
+        required: true,
+    },
+    referenceNumber: {
+        type: String,
+        trim: true,
+    },
+    notes: {
+        type: String,
+        trim: true,
+    },
+    paidAt: {
+        type: Date,
+        default: Date.now,
+    },
+    collectedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, { timestamps: true });
+
+paymentTransactionSchema.index({ paymentId: 1, paidAt: 1 });
+paymentTransactionSchema.index({ bookingId: 1 });
+
+paymentTransactionSchema.plugin(softDeletePlugin);
+paymentTransactionSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('PaymentTransaction', paymentTransactionSchema);
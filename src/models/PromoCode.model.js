@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+const promoCodeSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Please add a promo code'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+    },
+    description: {
+        type: String,
+        trim: true,
+    },
+    discountType: {
+        type: String,
+        enum: ['PERCENT', 'FLAT'],
+        required: [true, 'Please select a discount type'],
+    },
+    discountValue: {
+        type: Number,
+        required: [true, 'Please add a discount value'],
+        min: 0,
+        validate: {
+            validator: function (v) {
+                return this.discountType !== 'PERCENT' || v <= 100;
+            },
+            message: 'Percent discount cannot exceed 100',
+        },
+    },
+    validFrom: {
+        type: Date,
+    },
+    validTo: {
+        type: Date,
+    },
+    // Total redemptions allowed (null = unlimited)
+    usageLimit: {
+        type: Number,
+        min: 1,
+        default: null,
+    },
+    // Redemptions allowed per customer phone (null = unlimited)
+    perCustomerLimit: {
+        type: Number,
+        min: 1,
+        default: null,
+    },
+    // Minimum base amount (before discount) for the code to apply
+    minSpend: {
+        type: Number,
+        min: 0,
+        default: 0,
+    },
+    // Empty means all courts / all sports
+    allowedCourts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Court',
+    }],
+    allowedSports: [{
+        type: String,
+        enum: ['Football', 'Cricket', 'Badminton', 'Pickleball'],
+    }],
+    usageCount: {
+        type: Number,
+        default: 0,
+    },
+    status: {
+        type: String,
+        enum: ['ACTIVE', 'INACTIVE'],
+        default: 'ACTIVE',
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, { timestamps: true });
+
+promoCodeSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('PromoCode', promoCodeSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const promoRedemptionSchema = new mongoose.Schema({
+    promoCodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+        required: true,
+    },
+    code: {
+        type: String,
+        required: true,
+    },
+    // Normalized phone (see customer.service normalizePhone)
+    customerPhone: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    // The booking that redeemed the code. Recurring occurrences redeem it one booking at a time;
+    // older series redemptions carry only the recurringId
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null,
+    },
+    recurringId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringBooking',
+        default: null,
+    },
+    discountAmount: {
+        type: Number,
+        required: true,
+    },
+    redeemedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, { timestamps: true });
+
+promoRedemptionSchema.index({ promoCodeId: 1, customerPhone: 1 });
+
+module.exports = mongoose.model('PromoRedemption', promoRedemptionSchema);
@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 const moment = require('moment');
+const auditPlugin = require('./plugins/audit.plugin');
+const softDeletePlugin = require('./plugins/softDelete.plugin');
+const { parseRRule, isValidRRule } = require('../services/rrule.service');
 
 const recurringBookingSchema = new mongoose.Schema({
     customerName: {
@@ -12,6 +15,11 @@ const recurringBookingSchema = new mongoose.Schema({
         required: true,
         trim: true
     },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        default: null
+    },
     sportType: {
         type: String,
         trim: true
@@ -21,11 +29,29 @@ const recurringBookingSchema = new mongoose.Schema({
         ref: 'Court',
         required: true
     },
+    // WEEKLY uses daysOfWeek, MONTHLY uses fixedDate, RRULE uses rrule
     recurrenceType: {
         type: String,
-        enum: ['WEEKLY', 'MONTHLY'],
+        enum: ['WEEKLY', 'MONTHLY', 'RRULE'],
         required: true
     },
+    // iCalendar (RFC 5545) rule, e.g. FREQ=WEEKLY;INTERVAL=2;BYDAY=SA or FREQ=MONTHLY;BYDAY=1SA
+    rrule: {
+        type: String,
+        default: null,
+        set: value => (value ? value.trim().replace(/^RRULE:/i, '').toUpperCase() : value),
+        required: [function () { return this.recurrenceType === 'RRULE'; }, 'Please provide the RRULE'],
+        validate: {
+            validator: value => !value || isValidRRule(value),
+            message: props => {
+                try {
+                    parseRRule(props.value);
+                } catch (error) {
+                    return error.message;
+                }
+            }
+        }
+    },
     daysOfWeek: [{
         type: String,
         enum: ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']
@@ -72,6 +98,46 @@ const recurringBookingSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    promoCodeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'PromoCode',
+        default: null
+    },
+    promoCode: {
+        type: String,
+        default: null
+    },
+    // Occurrences left out of the series (e.g. holidays)
+    skipDates: [{
+        type: Date
+    }],
+    // One-off changes to a single occurrence; fields left empty fall back to the rule
+    overrides: [{
+        _id: false,
+        date: {
+            type: Date,
+            required: true
+        },
+        courtId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Court',
+            default: null
+        },
+        startTime: {
+            type: String,
+            default: null
+        },
+        endTime: {
+            type: String,
+            default: null
+        },
+        // Fixed final amount for the occurrence, replacing the computed price and discount
+        price: {
+            type: Number,
+            min: 0,
+            default: null
+        }
+    }],
     status: {
         type: String,
         enum: ['ACTIVE', 'PAUSED'],
@@ -93,7 +159,18 @@ recurringBookingSchema.pre('save', function (next) {
     if (this.endDate) {
         this.endDate = moment(this.endDate).startOf('day').toDate();
     }
+    if (this.isModified('skipDates')) {
+        this.skipDates = this.skipDates.map(date => moment(date).startOf('day').toDate());
+    }
+    if (this.isModified('overrides')) {
+        this.overrides.forEach(override => {
+            override.date = moment(override.date).startOf('day').toDate();
+        });
+    }
     next();
 });
 
+recurringBookingSchema.plugin(softDeletePlugin);
+recurringBookingSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('RecurringBooking', recurringBookingSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// Outcome for one rule in a run; only rules that booked something, hit conflicts or failed are listed
+const ruleResultSchema = new mongoose.Schema({
+    recurringId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'RecurringBooking',
+        required: true,
+    },
+    customerName: String,
+    horizonEnd: Date,
+    created: {
+        type: Number,
+        default: 0,
+    },
+    conflicts: [{
+        _id: false,
+        date: String,
+        reason: String,
+    }],
+    // Set when the whole rule failed; none of its occurrences were booked in this run
+    error: {
+        type: String,
+        default: null,
+    },
+}, { _id: false });
+
+// Report of one run of the recurring horizon job (see recurringHorizon.service)
+const recurringGenerationRunSchema = new mongoose.Schema({
+    trigger: {
+        type: String,
+        enum: ['CRON', 'MANUAL'],
+        required: true,
+    },
+    horizonWeeks: Number,
+    startedAt: {
+        type: Date,
+        required: true,
+    },
+    finishedAt: Date,
+    rulesChecked: {
+        type: Number,
+        default: 0,
+    },
+    bookingsCreated: {
+        type: Number,
+        default: 0,
+    },
+    conflictCount: {
+        type: Number,
+        default: 0,
+    },
+    failedRules: {
+        type: Number,
+        default: 0,
+    },
+    rules: [ruleResultSchema],
+    // User who started a MANUAL run
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null,
+    },
+});
+
+recurringGenerationRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('RecurringGenerationRun', recurringGenerationRunSchema);
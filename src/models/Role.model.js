@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const auditPlugin = require('./plugins/audit.plugin');
+
+// A named set of permissions assigned to users through User.role.
+// ADMIN and STAFF exist without a document (see config/permissions); saving a STAFF role customises it.
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Please add a role name'],
+        unique: true,
+        trim: true,
+        uppercase: true,
+        match: [/^[A-Z][A-Z0-9_]*$/, 'Role name may only contain letters, digits and underscores'],
+    },
+    description: {
+        type: String,
+        trim: true,
+    },
+    permissions: [{
+        type: String,
+        enum: {
+            values: ALL_PERMISSIONS,
+            message: 'Unknown permission: {VALUE}',
+        },
+    }],
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, { timestamps: true });
+
+roleSchema.plugin(auditPlugin);
+
+module.exports = mongoose.model('Role', roleSchema);
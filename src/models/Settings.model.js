@@ -1,4 +1,14 @@
 const mongoose = require('mongoose');
+const auditPlugin = require('./plugins/audit.plugin');
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):([0-5]\d)$/, 'Please provide a valid time in HH:mm format'];
+
+// Hours for one weekday; a closing time earlier than the opening time means closing after midnight
+const dayHoursSchema = new mongoose.Schema({
+    openingTime: { type: String, match: TIME_FORMAT },
+    closingTime: { type: String, match: TIME_FORMAT },
+    closed: { type: Boolean, default: false }
+}, { _id: false });
 
 const settingsSchema = new mongoose.Schema({
     turfName: {
@@ -16,13 +26,27 @@ const settingsSchema = new mongoose.Schema({
         required: [true, 'Closing time is required'],
         match: [/^([01]\d|2[0-3]):?([0-5]\d)$/, 'Please provide a valid time in HH:mm format']
     },
+    // Optional per-weekday hours, overriding openingTime/closingTime on that day
+    weeklyHours: {
+        MON: dayHoursSchema,
+        TUE: dayHoursSchema,
+        WED: dayHoursSchema,
+        THU: dayHoursSchema,
+        FRI: dayHoursSchema,
+        SAT: dayHoursSchema,
+        SUN: dayHoursSchema
+    },
+    // Default length of a bookable slot in minutes; courts may override it
     slotDuration: {
         type: Number,
-        default: 15, // Fixed at 15 minutes as per requirements
-        immutable: true
+        enum: [15, 30, 60],
+        default: 15
     },
     weekendDays: {
-        type: [String],
+        type: [{
+            type: String,
+            enum: ['MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT', 'SUN']
+        }],
         default: ['SAT', 'SUN'],
         validate: {
             validator: function (v) {
@@ -34,6 +58,32 @@ const settingsSchema = new mongoose.Schema({
     currency: {
         type: String,
         default: 'INR'
+    },
+    // Refund tiers: cancelling at least `hoursBefore` hours before start refunds `refundPercent`
+    // of the booking amount. The highest matching tier applies; no match means no refund.
+    cancellationPolicy: {
+        type: [{
+            _id: false,
+            hoursBefore: { type: Number, required: true, min: 0 },
+            refundPercent: { type: Number, required: true, min: 0, max: 100 }
+        }],
+        default: [
+            { hoursBefore: 24, refundPercent: 100 },
+            { hoursBefore: 2, refundPercent: 50 }
+        ]
+    },
+    // Days deleted bookings and recurring rules stay in the trash before they are purged for good
+    trashRetentionDays: {
+        type: Number,
+        min: [1, 'Trash retention must be at least 1 day'],
+        default: 30
+    },
+    // How far ahead open-ended recurring rules are kept booked (see recurringHorizon.service)
+    recurringHorizonWeeks: {
+        type: Number,
+        min: [1, 'Recurring horizon must be at least 1 week'],
+        max: [52, 'Recurring horizon cannot exceed 52 weeks'],
+        default: 8
     }
 }, {
     timestamps: true
@@ -54,6 +104,8 @@ settingsSchema.statics.getSettings = async function () {
     return settings;
 };
 
+settingsSchema.plugin(auditPlugin);
+
 const Settings = mongoose.model('Settings', settingsSchema);
 
 module.exports = Settings;
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const auditPlugin = require('./plugins/audit.plugin');
 
 const userSchema = new mongoose.Schema({
     name: {
@@ -28,9 +29,10 @@ const userSchema = new mongoose.Schema({
         type: String,
         default: '',
     },
+    // ADMIN, STAFF or the name of a custom Role (see Role.model / config/permissions)
     role: {
         type: String,
-        enum: ['ADMIN', 'STAFF'],
+        uppercase: true,
         default: 'STAFF',
     },
     status: {
@@ -63,4 +65,6 @@ userSchema.methods.matchPassword = async function (enteredPassword) {
     return await bcrypt.compare(enteredPassword, this.password);
 };
 
+userSchema.plugin(auditPlugin);
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const TIME_FORMAT = [/^([01]\d|2[0-3]):([0-5]\d)$/, 'Please provide a valid time in HH:mm format'];
+
+// Offer of freed slots made to a waitlist entry
+const offerSchema = new mongoose.Schema({
+    // Hold reserving the freed slots for the customer while the offer is open
+    holdId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    // Booking whose cancellation/deletion freed the slots (null when passed on from another entry)
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null,
+    },
+    offeredAt: {
+        type: Date,
+        default: Date.now,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+    response: {
+        type: String,
+        enum: ['PENDING', 'ACCEPTED', 'DECLINED', 'EXPIRED', 'WITHDRAWN'],
+        default: 'PENDING',
+    },
+    respondedAt: {
+        type: Date,
+        default: null,
+    },
+}, { _id: false });
+
+// A customer waiting for a court/date/time range that is currently taken.
+// Entries are offered the slots in creation order when they free up.
+const waitlistEntrySchema = new mongoose.Schema({
+    courtId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Court',
+        required: [true, 'Please select a court'],
+    },
+    bookingDate: {
+        type: Date,
+        required: [true, 'Please add a date'],
+    },
+    startTime: {
+        type: String,
+        required: [true, 'Please add a start time'],
+        match: TIME_FORMAT,
+    },
+    endTime: {
+        type: String,
+        required: [true, 'Please add an end time'],
+        match: TIME_FORMAT,
+    },
+    customerName: {
+        type: String,
+        required: [true, 'Please add customer name'],
+        trim: true,
+    },
+    customerPhone: {
+        type: String,
+        required: [true, 'Please add customer phone'],
+        trim: true,
+    },
+    customerId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Customer',
+        default: null,
+    },
+    notes: {
+        type: String,
+        trim: true,
+    },
+    // WAITING -> OFFERED -> ACCEPTED -> BOOKED
+    // An offer that lapses or is declined ends the entry (EXPIRED / DECLINED) and passes to the next one
+    status: {
+        type: String,
+        enum: ['WAITING', 'OFFERED', 'ACCEPTED', 'BOOKED', 'DECLINED', 'EXPIRED', 'CANCELLED'],
+        default: 'WAITING',
+    },
+    offer: {
+        type: offerSchema,
+        default: null,
+    },
+    bookingId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Booking',
+        default: null,
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+    },
+}, {
+    timestamps: true,
+});
+
+waitlistEntrySchema.index({ courtId: 1, bookingDate: 1, status: 1, createdAt: 1 });
+waitlistEntrySchema.index({ status: 1, 'offer.expiresAt': 1 });
+
+module.exports = mongoose.model('WaitlistEntry', waitlistEntrySchema);
@@ -0,0 +1,165 @@
+const AuditLog = require('../AuditLog.model');
+const { getAuditContext } = require('../../utils/auditContext');
+
+// Bookkeeping fields that change on every write and say nothing about the change itself
+const IGNORED_FIELDS = ['__v', 'updatedAt'];
+// Stored as a marker only, so the log never holds secrets
+const REDACTED_FIELDS = ['password'];
+
+const UPDATE_OPS = ['updateOne', 'updateMany', 'findOneAndUpdate'];
+const DELETE_OPS = ['deleteOne', 'deleteMany', 'findOneAndDelete'];
+
+const toPlain = (doc) => {
+    if (!doc) return {};
+    const plain = typeof doc.toObject === 'function' ? doc.toObject({ depopulate: true }) : { ...doc };
+    IGNORED_FIELDS.forEach(field => delete plain[field]);
+    return plain;
+};
+
+const redact = (values) => {
+    if (!values) return null;
+    REDACTED_FIELDS.forEach(field => {
+        if (field in values) values[field] = '[REDACTED]';
+    });
+    return values;
+};
+
+// Top-level fields whose value differs (subdocuments and arrays compare as a whole)
+const diffFields = (before, after) => {
+    const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+    return [...fields].filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]));
+};
+
+const pick = (values, fields) => fields.reduce((acc, field) => {
+    if (values[field] !== undefined) acc[field] = values[field];
+    return acc;
+}, {});
+
+/**
+ * Builds the log entry for one document. Returns null for updates that changed nothing.
+ */
+const buildEntry = (entityType, action, beforeDoc, afterDoc) => {
+    const before = toPlain(beforeDoc);
+    const after = toPlain(afterDoc);
+    const changedFields = diffFields(before, after);
+    if (action === 'UPDATE' && changedFields.length === 0) return null;
+
+    const context = getAuditContext() || { actorType: 'SYSTEM' };
+
+    return {
+        actorType: context.actorType,
+        actorId: context.actorId || null,
+        actorName: context.actorName,
+        actorRole: context.actorRole,
+        action,
+        entityType,
+        entityId: (afterDoc || beforeDoc)._id,
+        changedFields,
+        before: action === 'CREATE' ? null : redact(action === 'UPDATE' ? pick(before, changedFields) : before),
+        after: action === 'DELETE' ? null : redact(action === 'UPDATE' ? pick(after, changedFields) : after),
+        ip: context.ip,
+        userAgent: context.userAgent,
+        method: context.method,
+        path: context.path,
+        requestId: context.requestId
+    };
+};
+
+// Written in the same session as the change, so an aborted transaction leaves no entry behind
+const writeEntries = async (entries, session) => {
+    const toWrite = entries.filter(Boolean);
+    if (toWrite.length === 0) return;
+    await AuditLog.create(toWrite, { session: session || null, ordered: true });
+};
+
+// The documents a single-document query will act on: the first match in the query's sort order
+const findTargets = (query) => {
+    const options = query.getOptions();
+    const find = query.model.find(query.getFilter())
+        .setOptions({ withDeleted: true })
+        .session(options.session || null)
+        .lean();
+    if (query.op !== 'updateMany' && query.op !== 'deleteMany') {
+        find.sort(options.sort || {}).limit(1);
+    }
+    return find;
+};
+
+const sameId = (a, b) => a.toString() === b.toString();
+
+/**
+ * Mongoose plugin that records every create, update and delete of the model in the audit log,
+ * with the actor and request taken from the audit context (see utils/auditContext).
+ * Covers document saves, update queries (including upserts) and delete queries;
+ * insertMany and bulkWrite are not audited.
+ */
+const auditPlugin = (schema) => {
+    schema.pre('save', async function () {
+        this.$locals.auditAction = this.isNew ? 'CREATE' : 'UPDATE';
+        if (this.isNew || !this.isModified()) return;
+
+        this.$locals.auditBefore = await this.constructor.findById(this._id)
+            .setOptions({ withDeleted: true })
+            .session(this.$session())
+            .lean();
+    });
+
+    schema.post('save', async function (doc) {
+        const { auditAction, auditBefore } = doc.$locals;
+        delete doc.$locals.auditAction;
+        delete doc.$locals.auditBefore;
+        if (auditAction === 'UPDATE' && !auditBefore) return;
+
+        await writeEntries([buildEntry(doc.constructor.modelName, auditAction, auditBefore, doc)], doc.$session());
+    });
+
+    schema.pre(UPDATE_OPS, { document: false, query: true }, async function () {
+        this._auditBefore = await findTargets(this);
+    });
+
+    schema.post(UPDATE_OPS, { document: false, query: true }, async function (result) {
+        const beforeDocs = this._auditBefore || [];
+        const session = this.getOptions().session || null;
+
+        // A new document from an upsert is a create
+        let upsertedId = result && result.upsertedId;
+        if (this.op === 'findOneAndUpdate') {
+            const doc = result && result.lastErrorObject ? result.value : result;
+            if (doc && doc._id && !beforeDocs.some(before => sameId(before._id, doc._id))) {
+                upsertedId = doc._id;
+            }
+        }
+
+        const ids = beforeDocs.map(before => before._id);
+        if (upsertedId) ids.push(upsertedId);
+        if (ids.length === 0) return;
+
+        // Include soft-deleted documents, or the soft delete itself would go unrecorded
+        const afterDocs = await this.model.find({ _id: { $in: ids } })
+            .setOptions({ withDeleted: true })
+            .session(session)
+            .lean();
+        const entries = afterDocs.map(after => {
+            const before = beforeDocs.find(doc => sameId(doc._id, after._id));
+            return buildEntry(this.model.modelName, before ? 'UPDATE' : 'CREATE', before, after);
+        });
+
+        await writeEntries(entries, session);
+    });
+
+    // doc.deleteOne() runs through a deleteOne query as well, so this covers documents too
+    schema.pre(DELETE_OPS, { document: false, query: true }, async function () {
+        this._auditBefore = await findTargets(this);
+    });
+
+    schema.post(DELETE_OPS, { document: false, query: true }, async function (result) {
+        if (!result || result.deletedCount === 0) return;
+
+        const beforeDocs = this._auditBefore || [];
+        const entries = beforeDocs.map(before => buildEntry(this.model.modelName, 'DELETE', before, null));
+
+        await writeEntries(entries, this.getOptions().session);
+    });
+};
+
+module.exports = auditPlugin;
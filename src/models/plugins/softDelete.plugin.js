@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Queries that hide soft-deleted documents. Deletes are left alone so the purge can remove them.
+const FILTERED_OPS = ['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct', 'updateOne', 'updateMany'];
+
+const mentionsDeletedAt = (filter) => Boolean(filter) && Object.prototype.hasOwnProperty.call(filter, 'deletedAt');
+
+/**
+ * Mongoose plugin for soft deletes: adds deletedAt/deletedBy and hides deleted documents from
+ * queries and aggregations. A query sees deleted documents when it filters on deletedAt itself
+ * (e.g. the trash: { deletedAt: { $ne: null } }) or sets the withDeleted option.
+ * For aggregations, the first $match stage has to filter on deletedAt.
+ */
+const softDeletePlugin = (schema) => {
+    schema.add({
+        deletedAt: {
+            type: Date,
+            default: null,
+        },
+        deletedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            default: null,
+        },
+    });
+
+    schema.index({ deletedAt: 1 });
+
+    schema.pre(FILTERED_OPS, { document: false, query: true }, function () {
+        if (this.getOptions().withDeleted || mentionsDeletedAt(this.getFilter())) return;
+        this.where({ deletedAt: null });
+    });
+
+    schema.pre('aggregate', function () {
+        const [first] = this.pipeline();
+        if (first && first.$match && mentionsDeletedAt(first.$match)) return;
+        this.pipeline().unshift({ $match: { deletedAt: null } });
+    });
+};
+
+module.exports = softDeletePlugin;
@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const { getAuditLogs, getAuditLogById } = require('../controllers/audit.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+
+// The audit log is read-only; entries are written by the audit plugin on the models
+router.use(protect);
+router.use(requirePermission('audit.view'));
+
+router.get('/', getAuditLogs);
+router.get('/:id', getAuditLogById);
+
+module.exports = router;
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createBlackout,
+    getBlackouts,
+    getBlackoutById,
+    updateBlackout,
+    deleteBlackout,
+} = require('../controllers/blackout.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+
+// Court blackouts and venue closures
+router.use(protect);
+
+router.get('/', requirePermission('court.view'), getBlackouts);
+router.get('/:id', requirePermission('court.view'), getBlackoutById);
+router.post('/', requirePermission('blackout.manage'), createBlackout);
+router.put('/:id', requirePermission('blackout.manage'), updateBlackout);
+router.delete('/:id', requirePermission('blackout.manage'), deleteBlackout);
+
+module.exports = router;
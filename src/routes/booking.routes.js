@@ -1,18 +1,20 @@
 const express = require('express');
 const router = express.Router();
-const { createBooking, checkAvailability, getAllBookings, updateBookingStatus, deleteBooking, updateBooking } = require('../controllers/booking.controller');
+const { createBooking, checkAvailability, getBookingQuote, getAllBookings, updateBookingStatus, markNoShow, deleteBooking, updateBooking, rescheduleBooking } = require('../controllers/booking.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
-// All routes are protected and restricted to ADMIN
+// Admin booking management; full edits and status changes need booking.override
 router.use(protect);
-router.use(allowRoles('ADMIN'));
 
-router.post('/', createBooking);
-router.get('/', getAllBookings);
-router.post('/check-availability', checkAvailability);
-router.patch('/:id/status', updateBookingStatus);
-router.put('/:id', updateBooking);
-router.delete('/:id', deleteBooking);
+router.post('/', requirePermission('booking.create'), createBooking);
+router.get('/', requirePermission('booking.view'), getAllBookings);
+router.post('/check-availability', requirePermission('booking.view'), checkAvailability);
+router.post('/quote', requirePermission('booking.view'), getBookingQuote);
+router.patch('/:id/status', requirePermission('booking.override'), updateBookingStatus);
+router.patch('/:id/no-show', requirePermission('booking.edit'), markNoShow);
+router.post('/:id/reschedule', requirePermission('booking.edit'), rescheduleBooking);
+router.put('/:id', requirePermission('booking.override'), updateBooking);
+router.delete('/:id', requirePermission('booking.delete'), deleteBooking);
 
 module.exports = router;
@@ -8,18 +8,21 @@ const {
     cancelBooking,
     deleteBooking
 } = require('../controllers/bookingList.controller');
+const { getBookingQuote, markNoShow, rescheduleBooking } = require('../controllers/booking.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
-// All staff booking routes are protected and restricted to STAFF/ADMIN
+// Front desk booking routes
 router.use(protect);
-router.use(allowRoles('STAFF', 'ADMIN'));
 
-router.get('/', getBookingsList);
-router.get('/:id', getBookingDetails);
-router.post('/', createStaffBooking);
-router.put('/:id', updateBooking);
-router.patch('/:id/cancel', cancelBooking);
-router.delete('/:id', deleteBooking);
+router.get('/', requirePermission('booking.view'), getBookingsList);
+router.get('/:id', requirePermission('booking.view'), getBookingDetails);
+router.post('/', requirePermission('booking.create'), createStaffBooking);
+router.post('/quote', requirePermission('booking.view'), getBookingQuote);
+router.put('/:id', requirePermission('booking.edit'), updateBooking);
+router.patch('/:id/cancel', requirePermission('booking.cancel'), cancelBooking);
+router.patch('/:id/no-show', requirePermission('booking.edit'), markNoShow);
+router.post('/:id/reschedule', requirePermission('booking.edit'), rescheduleBooking);
+router.delete('/:id', requirePermission('booking.delete'), deleteBooking);
 
 module.exports = router;
@@ -1,15 +1,19 @@
 const express = require('express');
 const router = express.Router();
-const { getDayCalendar } = require('../controllers/calendar.controller');
+const { getDayCalendar, getAvailability } = require('../controllers/calendar.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
 // GET /api/calendar/day?date=YYYY-MM-DD
 router.get(
     '/day',
     protect,
-    allowRoles('ADMIN', 'STAFF'),
+    requirePermission('booking.view'),
     getDayCalendar
 );
 
+// GET /api/calendar/availability?from=YYYY-MM-DD&to=YYYY-MM-DD&courtId=|sportType=
+// Public, so a booking page can show free slots without logging in
+router.get('/availability', getAvailability);
+
 module.exports = router;
@@ -9,17 +9,16 @@ const {
     deleteCourt,
 } = require('../controllers/court.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
 // All routes require authentication
 router.use(protect);
 
-// Publicly available to all logged-in users (STAFF & ADMIN)
-router.get('/', allowRoles('ADMIN', 'STAFF'), getAllCourts);
-router.get('/:id', allowRoles('ADMIN', 'STAFF'), getCourtById);
+router.get('/', requirePermission('court.view'), getAllCourts);
+router.get('/:id', requirePermission('court.view'), getCourtById);
 
-// Management actions restricted to ADMIN only
-router.use(allowRoles('ADMIN'));
+// Management actions
+router.use(requirePermission('court.manage'));
 router.post('/', createCourt);
 router.put('/:id', updateCourt);
 router.patch('/:id/status', updateCourtStatus);
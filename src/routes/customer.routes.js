@@ -0,0 +1,24 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getCustomers,
+    createCustomer,
+    getCustomerById,
+    getCustomerBookings,
+    updateCustomer,
+    setCustomerBlacklist,
+} = require('../controllers/customer.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+
+// All routes require authentication
+router.use(protect);
+
+router.get('/', requirePermission('customer.view'), getCustomers);
+router.post('/', requirePermission('customer.edit'), createCustomer);
+router.get('/:id', requirePermission('customer.view'), getCustomerById);
+router.get('/:id/bookings', requirePermission('customer.view'), getCustomerBookings);
+router.put('/:id', requirePermission('customer.edit'), updateCustomer);
+router.patch('/:id/blacklist', requirePermission('customer.blacklist'), setCustomerBlacklist);
+
+module.exports = router;
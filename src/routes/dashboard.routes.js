@@ -7,11 +7,11 @@ const {
     getWeeklyEarnings
 } = require('../controllers/dashboard.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
-// All dashboard routes are protected and restricted to ADMIN
+// The admin dashboard shows revenue, so it needs reports.view
 router.use(protect);
-router.use(allowRoles('ADMIN'));
+router.use(requirePermission('reports.view'));
 
 router.get('/summary', getDashboardSummary);
 router.get('/monthly-revenue', getMonthlyRevenueTrend);
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const authRoutes = require('./auth.routes');
 const userRoutes = require('./user.routes');
+const roleRoutes = require('./role.routes');
 const courtRoutes = require('./court.routes');
 const bookingRoutes = require('./booking.routes');
 const calendarRoutes = require('./calendar.routes');
@@ -14,6 +15,14 @@ const profileRoutes = require('./profile.routes');
 const bookingListRoutes = require('./bookingList.routes');
 const staffCalendarRoutes = require('./staffCalendar.routes');
 const staffDashboardRoutes = require('./staffDashboard.routes');
+const slotHoldRoutes = require('./slotHold.routes');
+const promoCodeRoutes = require('./promoCode.routes');
+const blackoutRoutes = require('./blackout.routes');
+const customerRoutes = require('./customer.routes');
+const waitlistRoutes = require('./waitlist.routes');
+const portalRoutes = require('./portal.routes');
+const auditRoutes = require('./audit.routes');
+const trashRoutes = require('./trash.routes');
 
 router.get('/health', (req, res) => {
     res.json({ status: 'ok', message: 'Server is running' });
@@ -21,6 +30,7 @@ router.get('/health', (req, res) => {
 
 router.use('/auth', authRoutes);
 router.use('/users', userRoutes);
+router.use('/roles', roleRoutes);
 router.use('/courts', courtRoutes);
 router.use('/calendar', calendarRoutes);
 
@@ -31,6 +41,9 @@ router.use('/admin/payments', paymentRoutes);
 router.use('/admin/reports', reportsRoutes);
 router.use('/admin/settings', settingsRoutes);
 router.use('/admin/profile', profileRoutes);
+router.use('/admin/promo-codes', promoCodeRoutes);
+router.use('/admin/audit-logs', auditRoutes);
+router.use('/admin/trash', trashRoutes);
 
 // Staff/Management Routes
 router.use('/staff/bookings', bookingListRoutes);
@@ -42,5 +55,12 @@ router.use('/management/dashboard', staffDashboardRoutes);
 
 // Shared/Other
 router.use('/recurring-bookings', recurringBookingRoutes);
+router.use('/holds', slotHoldRoutes);
+router.use('/blackouts', blackoutRoutes);
+router.use('/customers', customerRoutes);
+router.use('/waitlist', waitlistRoutes);
+
+// Customer self-service
+router.use('/portal', portalRoutes);
 
 module.exports = router;
@@ -3,38 +3,51 @@ const router = express.Router();
 const {
     getPaymentsList,
     markAsPaid,
+    addPaymentTransaction,
+    getPaymentTransactions,
     updatePaymentMode,
     getPaymentById
 } = require('../controllers/payment.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
-// All routes are protected and restricted to STAFF and ADMIN
+// All routes are protected; viewing needs payment.view, recording payments payment.collect
 router.use(protect);
-router.use(allowRoles('STAFF', 'ADMIN'));
 
 /**
  * @route GET /api/payments
  * @desc Get all payments with optional filters
  */
-router.get('/', getPaymentsList);
+router.get('/', requirePermission('payment.view'), getPaymentsList);
 
 /**
  * @route GET /api/payments/:id
  * @desc Get detailed booking and payment info
  */
-router.get('/:id', getPaymentById);
+router.get('/:id', requirePermission('payment.view'), getPaymentById);
+
+/**
+ * @route GET /api/payments/:id/transactions
+ * @desc Get the payment ledger
+ */
+router.get('/:id/transactions', requirePermission('payment.view'), getPaymentTransactions);
+
+/**
+ * @route POST /api/payments/:id/transactions
+ * @desc Record an installment (supports split tender)
+ */
+router.post('/:id/transactions', requirePermission('payment.collect'), addPaymentTransaction);
 
 /**
  * @route PATCH /api/payments/:id/mark-paid
  * @desc Mark balance as paid
  */
-router.patch('/:id/mark-paid', markAsPaid);
+router.patch('/:id/mark-paid', requirePermission('payment.collect'), markAsPaid);
 
 /**
  * @route PATCH /api/payments/:id/update-mode
  * @desc Update only the payment mode
  */
-router.patch('/:id/update-mode', updatePaymentMode);
+router.patch('/:id/update-mode', requirePermission('payment.collect'), updatePaymentMode);
 
 module.exports = router;
@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const {
+    requestLoginCode,
+    verifyLoginCode,
+    getCourts,
+    getProfile,
+    createMyBooking,
+    getMyBookings,
+    cancelMyBooking
+} = require('../controllers/portal.controller');
+const { getAvailability } = require('../controllers/calendar.controller');
+const { protectCustomer } = require('../middlewares/customerAuth.middleware');
+
+// Customer self-service portal. Staff tokens are not accepted here,
+// and customer tokens are rejected by every staff/admin route.
+
+// Public
+router.post('/auth/request-otp', requestLoginCode);
+router.post('/auth/verify-otp', verifyLoginCode);
+router.get('/courts', getCourts);
+// Same grid as GET /api/calendar/availability
+router.get('/availability', getAvailability);
+
+// Logged-in customers
+router.use(protectCustomer);
+router.get('/me', getProfile);
+router.get('/bookings', getMyBookings);
+router.post('/bookings', createMyBooking);
+router.patch('/bookings/:id/cancel', cancelMyBooking);
+
+module.exports = router;
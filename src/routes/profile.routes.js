@@ -2,12 +2,10 @@ const express = require('express');
 const router = express.Router();
 const { getProfile, updateProfile, changePassword } = require('../controllers/profile.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
 const upload = require('../middlewares/upload.middleware');
 
-// All profile routes are restricted to logged-in users (ADMIN or STAFF/MANAGEMENT)
+// Every logged-in user manages their own profile, whatever their role
 router.use(protect);
-router.use(allowRoles('ADMIN', 'STAFF'));
 
 router.get('/', getProfile);
 router.put('/', upload.single('avatar'), updateProfile);
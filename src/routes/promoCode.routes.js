@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createPromoCode,
+    getAllPromoCodes,
+    getPromoCodeById,
+    updatePromoCode,
+    deletePromoCode,
+} = require('../controllers/promoCode.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+
+// All promo code routes need promo.manage
+router.use(protect);
+router.use(requirePermission('promo.manage'));
+
+router.post('/', createPromoCode);
+router.get('/', getAllPromoCodes);
+router.get('/:id', getPromoCodeById);
+router.put('/:id', updatePromoCode);
+router.delete('/:id', deletePromoCode);
+
+module.exports = router;
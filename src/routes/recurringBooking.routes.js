@@ -1,23 +1,38 @@
 const express = require('express');
 const router = express.Router();
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 const {
     createRecurringBooking,
+    previewRecurringBooking,
     getRecurringBookings,
     updateRecurringBooking,
     toggleRecurringStatus,
-    deleteRecurringBooking
+    deleteRecurringBooking,
+    skipRecurringOccurrence,
+    restoreRecurringOccurrence,
+    updateRecurringOccurrence,
+    getRecurringGenerationRuns,
+    runRecurringGeneration
 } = require('../controllers/recurringBooking.controller');
 
 // Apply protection to all routes
 router.use(protect);
-router.use(allowRoles('ADMIN', 'STAFF'));
 
+router.get('/', requirePermission('booking.view'), getRecurringBookings);
+router.get('/generation-runs', requirePermission('booking.view'), getRecurringGenerationRuns);
+
+router.use(requirePermission('recurring.manage'));
 router.post('/', createRecurringBooking);
-router.get('/', getRecurringBookings);
+router.post('/preview', previewRecurringBooking);
+router.post('/generation-runs', runRecurringGeneration);
 router.put('/:id', updateRecurringBooking);
 router.patch('/:id/status', toggleRecurringStatus);
 router.delete('/:id', deleteRecurringBooking);
 
+// Single occurrences (:date is YYYY-MM-DD)
+router.post('/:id/occurrences/:date/skip', skipRecurringOccurrence);
+router.delete('/:id/occurrences/:date/skip', restoreRecurringOccurrence);
+router.put('/:id/occurrences/:date', updateRecurringOccurrence);
+
 module.exports = router;
@@ -8,11 +8,11 @@ const {
     getRecurringBookingReport
 } = require('../controllers/reports.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
-// All report routes are restricted to ADMIN only
+// All report routes need reports.view
 router.use(protect);
-router.use(allowRoles('ADMIN'));
+router.use(requirePermission('reports.view'));
 
 router.get('/daily', getDailyReport);
 router.get('/monthly', getMonthlyReport);
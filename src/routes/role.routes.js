@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getPermissions,
+    getRoles,
+    createRole,
+    updateRole,
+    removeRole,
+} = require('../controllers/role.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+
+// Roles are managed together with users
+router.use(protect);
+router.use(requirePermission('users.manage'));
+
+router.get('/permissions', getPermissions);
+router.get('/', getRoles);
+router.post('/', createRole);
+router.put('/:name', updateRole);
+router.delete('/:name', removeRole);
+
+module.exports = router;
@@ -1,14 +1,14 @@
 const express = require('express');
 const router = express.Router();
-const { getSettings, updateSettings } = require('../controllers/settings.controller');
+const { getSettings, updateSettings, getBookingsOutsideHours } = require('../controllers/settings.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
-// All settings routes are restricted to ADMIN only
+// Settings can be read with settings.view and changed with settings.edit
 router.use(protect);
-router.use(allowRoles('ADMIN'));
 
-router.get('/', getSettings);
-router.put('/', updateSettings);
+router.get('/', requirePermission('settings.view'), getSettings);
+router.put('/', requirePermission('settings.edit'), updateSettings);
+router.get('/hours-conflicts', requirePermission('settings.view'), getBookingsOutsideHours);
 
 module.exports = router;
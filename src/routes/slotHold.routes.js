@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createSlotHold,
+    extendSlotHold,
+    confirmSlotHold,
+    releaseSlotHold
+} = require('../controllers/slotHold.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+
+// Slot holds are part of taking a booking at the front desk
+router.use(protect);
+router.use(requirePermission('booking.create'));
+
+router.post('/', createSlotHold);
+router.patch('/:holdId/extend', extendSlotHold);
+router.post('/:holdId/confirm', confirmSlotHold);
+router.delete('/:holdId', releaseSlotHold);
+
+module.exports = router;
@@ -8,35 +8,34 @@ const {
     checkAvailability
 } = require('../controllers/staffCalendar.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
-// All staff calendar routes are protected and limited to STAFF and ADMIN
+// All staff calendar routes are protected; each declares the permission it needs
 router.use(protect);
-router.use(allowRoles('STAFF', 'ADMIN'));
 
 /**
  * @route   GET /api/staff/calendar/day
  * @desc    Get day view for staff calendar
  */
-router.get('/day', getStaffDayCalendar);
+router.get('/day', requirePermission('booking.view'), getStaffDayCalendar);
 
 /**
  * @route   PUT /api/staff/calendar/bookings/:id
  * @desc    Edit booking from calendar (restricted)
  */
-router.put('/bookings/:id', updateStaffCalendarBooking);
+router.put('/bookings/:id', requirePermission('booking.edit'), updateStaffCalendarBooking);
 
 /**
  * @route   PATCH /api/staff/calendar/bookings/:id/cancel
  * @desc    Cancel booking from calendar
  */
-router.patch('/bookings/:id/cancel', cancelStaffCalendarBooking);
-router.delete('/bookings/:id', deleteStaffCalendarBooking);
+router.patch('/bookings/:id/cancel', requirePermission('booking.cancel'), cancelStaffCalendarBooking);
+router.delete('/bookings/:id', requirePermission('booking.delete'), deleteStaffCalendarBooking);
 
 /**
  * @route   POST /api/staff/calendar/check-availability
  * @desc    Check slot availability across multiple dates (recurring)
  */
-router.post('/check-availability', checkAvailability);
+router.post('/check-availability', requirePermission('booking.view'), checkAvailability);
 
 module.exports = router;
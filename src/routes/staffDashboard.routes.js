@@ -7,11 +7,11 @@ const {
     getCourtUtilization
 } = require('../controllers/staffDashboard.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
-// All routes are protected and restricted to STAFF and ADMIN
+// All routes are protected and need dashboard.view
 router.use(protect);
-router.use(allowRoles('STAFF', 'ADMIN'));
+router.use(requirePermission('dashboard.view'));
 
 router.get('/summary', getStaffDashboardSummary);
 router.get('/bookings-per-day', getBookingsPerDay);
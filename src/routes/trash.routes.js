@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getTrashItems,
+    restoreTrashedBooking,
+    restoreTrashedRecurringBooking,
+} = require('../controllers/trash.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+
+router.use(protect);
+router.use(requirePermission('trash.manage'));
+
+router.get('/', getTrashItems);
+router.post('/bookings/:id/restore', restoreTrashedBooking);
+router.post('/recurring-bookings/:id/restore', restoreTrashedRecurringBooking);
+
+module.exports = router;
@@ -6,21 +6,22 @@ const {
     getStaffById,
     updateStaff,
     updateStaffStatus,
+    updateStaffRole,
     deleteStaff,
 } = require('../controllers/user.controller');
 const { protect } = require('../middlewares/auth.middleware');
-const { allowRoles } = require('../middlewares/role.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
 
-// All routes are protected and restricted to ADMIN logic inside controllers handles data isolation
-// The allowRoles('ADMIN') middleware ensures only admins can hit these endpoints at all
+// All routes are protected and need users.manage; logic inside controllers handles data isolation
 router.use(protect);
-router.use(allowRoles('ADMIN'));
+router.use(requirePermission('users.manage'));
 
 router.post('/staff', createStaff);
 router.get('/staff', getAllStaff);
 router.get('/staff/:id', getStaffById);
 router.put('/staff/:id', updateStaff);
 router.patch('/staff/:id/status', updateStaffStatus);
+router.patch('/staff/:id/role', updateStaffRole);
 router.delete('/staff/:id', deleteStaff);
 
 module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const {
+    createEntry,
+    getEntries,
+    respondEntry,
+    convertEntry,
+    deleteEntry
+} = require('../controllers/waitlist.controller');
+const { protect } = require('../middlewares/auth.middleware');
+const { requirePermission } = require('../middlewares/role.middleware');
+
+// The waitlist is run by the front desk
+router.use(protect);
+router.use(requirePermission('waitlist.manage'));
+
+router.post('/', createEntry);
+router.get('/', getEntries);
+router.patch('/:id/respond', respondEntry);
+router.post('/:id/convert', convertEntry);
+router.delete('/:id', deleteEntry);
+
+module.exports = router;
@@ -1,25 +1,53 @@
 const path = require('path');
 require('dotenv').config({ path: path.join(__dirname, '../../.env') });
-const mongoose = require('mongoose');
 const connectDB = require('../config/db');
 const RecurringBooking = require('../models/RecurringBooking.model');
 const { processRecurringBooking } = require('../services/recurringGenerator.service');
+const { extendOpenEndedRules } = require('../services/recurringHorizon.service');
+
+// Books missing occurrences of recurring rules; safe to re-run, existing bookings are left alone.
+// By default only open-ended rules are extended, the same as the nightly horizon job
+// (and POST /api/recurring-bookings/generation-runs).
+// Pass --all to also fill gaps in ACTIVE rules that have an end date.
+const repairAll = process.argv.includes('--all');
 
 const fixRecurringSlots = async () => {
     try {
         await connectDB();
         console.log('Database connected.');
 
-        const rules = await RecurringBooking.find({ status: 'ACTIVE' });
-        console.log(`Found ${rules.length} active recurring rules.`);
+        const run = await extendOpenEndedRules({ trigger: 'MANUAL' });
+        console.log(`Checked ${run.rulesChecked} open-ended rules.`);
+
+        for (const rule of run.rules) {
+            console.log(`Rule: ${rule.recurringId} for ${rule.customerName}`);
+            console.log(`- Created: ${rule.created}`);
+            if (rule.error) {
+                console.log(`- Error: ${rule.error}`);
+            }
+            if (rule.conflicts.length > 0) {
+                console.log(`- Conflicts: ${JSON.stringify(rule.conflicts)}`);
+            }
+        }
+
+        console.log(`Report saved as run ${run._id}.`);
+
+        if (repairAll) {
+            const rules = await RecurringBooking.find({ status: 'ACTIVE', endDate: { $ne: null } });
+            console.log(`Found ${rules.length} active rules with an end date.`);
 
-        for (const rule of rules) {
-            console.log(`Processing rule: ${rule._id} for ${rule.customerName}`);
-            const results = await processRecurringBooking(rule._id);
-            console.log(`- Success: ${results.success}`);
-            console.log(`- Failed: ${results.failed}`);
-            if (results.conflicts.length > 0) {
-                console.log(`- Conflicts: ${JSON.stringify(results.conflicts)}`);
+            for (const rule of rules) {
+                console.log(`Processing rule: ${rule._id} for ${rule.customerName}`);
+                try {
+                    const results = await processRecurringBooking(rule._id);
+                    console.log(`- Created: ${results.success}`);
+                    console.log(`- Failed: ${results.failed}`);
+                    if (results.conflicts.length > 0) {
+                        console.log(`- Conflicts: ${JSON.stringify(results.conflicts)}`);
+                    }
+                } catch (error) {
+                    console.log(`- Error: ${error.message}`);
+                }
             }
         }
 
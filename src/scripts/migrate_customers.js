@@ -0,0 +1,67 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+const connectDB = require('../config/db');
+const Booking = require('../models/Booking.model');
+const RecurringBooking = require('../models/RecurringBooking.model');
+const Customer = require('../models/Customer.model');
+const { normalizePhone } = require('../services/customer.service');
+
+// Creates Customer records from the name/phone copied onto existing bookings and
+// recurring rules, and links those documents to them. Safe to run more than once.
+const migrateCustomers = async () => {
+    try {
+        await connectDB();
+        console.log('Database connected.');
+
+        const customerIds = new Map(); // normalized phone -> customer _id
+
+        const getCustomerId = async (name, phone, createdBy) => {
+            if (customerIds.has(phone)) return customerIds.get(phone);
+
+            // Newest documents are processed first, so the most recent spelling of the name wins
+            let customer = await Customer.findOne({ phone });
+            if (!customer) {
+                customer = await Customer.create({ name, phone, createdBy });
+            }
+            customerIds.set(phone, customer._id);
+            return customer._id;
+        };
+
+        for (const Model of [Booking, RecurringBooking]) {
+            const docs = await Model.find({ customerId: null })
+                .select('customerName customerPhone createdBy')
+                .sort({ createdAt: -1 })
+                .lean();
+            console.log(`Found ${docs.length} ${Model.modelName} documents without a customer.`);
+
+            const idsByCustomer = new Map();
+            let skipped = 0;
+
+            for (const doc of docs) {
+                const phone = normalizePhone(doc.customerPhone);
+                if (!phone) {
+                    skipped++;
+                    continue;
+                }
+                const customerId = await getCustomerId(doc.customerName, phone, doc.createdBy);
+                const key = customerId.toString();
+                if (!idsByCustomer.has(key)) idsByCustomer.set(key, { customerId, ids: [] });
+                idsByCustomer.get(key).ids.push(doc._id);
+            }
+
+            for (const { customerId, ids } of idsByCustomer.values()) {
+                await Model.updateMany({ _id: { $in: ids } }, { $set: { customerId } });
+            }
+
+            console.log(`Linked ${docs.length - skipped} ${Model.modelName} documents to ${idsByCustomer.size} customers (${skipped} without a usable phone).`);
+        }
+
+        console.log('Done.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+};
+
+migrateCustomers();
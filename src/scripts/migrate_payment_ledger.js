@@ -0,0 +1,28 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+const connectDB = require('../config/db');
+const Payment = require('../models/Payment.model');
+const { syncPaymentFromLedger } = require('../services/paymentLedger.service');
+
+// Creates opening ledger entries for payments recorded before the transaction ledger existed
+const migratePaymentLedger = async () => {
+    try {
+        await connectDB();
+        console.log('Database connected.');
+
+        const payments = await Payment.find({ ledgerInitialized: { $ne: true } });
+        console.log(`Found ${payments.length} payments without a ledger.`);
+
+        for (const payment of payments) {
+            await syncPaymentFromLedger(payment);
+        }
+
+        console.log('Done.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+};
+
+migratePaymentLedger();
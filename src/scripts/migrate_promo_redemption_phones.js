@@ -0,0 +1,34 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+const connectDB = require('../config/db');
+const PromoRedemption = require('../models/PromoRedemption.model');
+const { normalizePhone } = require('../services/customer.service');
+
+// Per-customer promo limits count redemptions by normalized phone.
+// Rewrites redemptions recorded with the phone as typed; safe to re-run.
+const migratePromoRedemptionPhones = async () => {
+    try {
+        await connectDB();
+        console.log('Database connected.');
+
+        const redemptions = await PromoRedemption.find().select('customerPhone').lean();
+        let updated = 0;
+
+        for (const redemption of redemptions) {
+            const normalizedPhone = normalizePhone(redemption.customerPhone);
+            if (normalizedPhone !== redemption.customerPhone) {
+                await PromoRedemption.updateOne({ _id: redemption._id }, { $set: { customerPhone: normalizedPhone } });
+                updated++;
+            }
+        }
+
+        console.log(`Normalized the phone on ${updated} of ${redemptions.length} redemptions.`);
+        console.log('Done.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+};
+
+migratePromoRedemptionPhones();
@@ -0,0 +1,74 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../../.env') });
+const connectDB = require('../config/db');
+const Booking = require('../models/Booking.model');
+const BookingSlot = require('../models/BookingSlot.model');
+const Court = require('../models/Court.model');
+const Settings = require('../models/Settings.model');
+const { BASE_SLOT_MINUTES, getSlotDuration, validateSlotAlignment } = require('../services/slotGenerator.service');
+const { normalizeToMidnight } = require('../utils/dateUtils');
+
+// Prepares existing data for configurable slot durations.
+// BookingSlot documents keep their 15-minute units, so no slot is rewritten; this only
+// tags legacy bookings and reports future bookings that are off their court's new grid.
+const migrateSlotDuration = async () => {
+    try {
+        await connectDB();
+        console.log('Database connected.');
+
+        const settings = await Settings.getSettings();
+        if (!settings.slotDuration) {
+            settings.slotDuration = BASE_SLOT_MINUTES;
+            await settings.save();
+        }
+
+        // Legacy bookings counted totalSlots in 15-minute units
+        const tagged = await Booking.updateMany(
+            { slotDuration: { $exists: false } },
+            { $set: { slotDuration: BASE_SLOT_MINUTES } }
+        );
+        console.log(`Tagged ${tagged.modifiedCount} bookings with a ${BASE_SLOT_MINUTES}-minute slot duration.`);
+
+        // Occupancy units must stay on the 15-minute grid for conflict checks to work
+        const offGrid = await BookingSlot.find({
+            slotTime: { $not: /^\d{2}:(00|15|30|45)$/ }
+        }).lean();
+        if (offGrid.length > 0) {
+            console.warn(`WARNING: ${offGrid.length} booking slots are not on the ${BASE_SLOT_MINUTES}-minute grid:`);
+            offGrid.forEach(s => console.warn(`  - slot ${s._id} (booking ${s.bookingId}) at ${s.slotTime}`));
+        }
+
+        // Future bookings stay valid, but may no longer match their court's grid
+        const courts = await Court.find({ slotDuration: { $ne: null } });
+        for (const court of courts) {
+            const slotDuration = getSlotDuration(court, settings);
+            const bookings = await Booking.find({
+                courtId: court._id,
+                status: 'BOOKED',
+                bookingDate: { $gte: normalizeToMidnight(new Date()) }
+            }).lean();
+
+            const misaligned = bookings.filter(b => {
+                try {
+                    validateSlotAlignment(b.startTime, b.endTime, slotDuration);
+                    return false;
+                } catch (error) {
+                    return true;
+                }
+            });
+
+            if (misaligned.length > 0) {
+                console.warn(`Court ${court.name}: ${misaligned.length} upcoming bookings are off the ${slotDuration}-minute grid:`);
+                misaligned.forEach(b => console.warn(`  - ${b._id} ${b.bookingDate.toDateString()} ${b.startTime} - ${b.endTime}`));
+            }
+        }
+
+        console.log('Done.');
+        process.exit(0);
+    } catch (error) {
+        console.error('Error:', error);
+        process.exit(1);
+    }
+};
+
+migrateSlotDuration();
@@ -1,7 +1,7 @@
 require('dotenv').config();
 const app = require('./app');
 const connectDB = require('./config/db');
-const { initBookingCron } = require('./services/cron.service');
+const { initBookingCron, initHoldReleaseCron, initWaitlistCron, initTrashPurgeCron, initRecurringHorizonCron } = require('./services/cron.service');
 
 const PORT = process.env.PORT || 5000;
 
@@ -12,4 +12,8 @@ app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
     // Initialize Cron Jobs
     initBookingCron();
+    initHoldReleaseCron();
+    initWaitlistCron();
+    initTrashPurgeCron();
+    initRecurringHorizonCron();
 });
@@ -0,0 +1,122 @@
+const moment = require('moment');
+const BookingSlot = require('../models/BookingSlot.model');
+const Court = require('../models/Court.model');
+const Settings = require('../models/Settings.model');
+const { generateDatedSlots, getSlotDuration, getSlotKey } = require('./slotGenerator.service');
+const { findBlackouts, isRangeBlocked } = require('./blackout.service');
+const { getOperatingHours } = require('./operatingHours.service');
+const { normalizeToMidnight, toMinutes, toTime } = require('../utils/dateUtils');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// Longest date range a grid may cover
+const MAX_GRID_DAYS = 14;
+
+/**
+ * Builds the free/booked/blocked grid of one court on one day, at the court's slot duration,
+ * over the day's operating hours (including any part running past midnight).
+ */
+const buildCourtDay = (court, date, settings, occupied, blackouts) => {
+    const hours = getOperatingHours(court, settings, date);
+    const day = { date: moment(date).format('YYYY-MM-DD'), closed: hours.closed, slots: [] };
+    if (hours.closed) return day;
+
+    day.openingTime = hours.openingTime;
+    day.closingTime = hours.closingTime;
+
+    const slotDuration = getSlotDuration(court, settings);
+    const open = toMinutes(hours.openingTime);
+    let close = toMinutes(hours.closingTime);
+    if (close <= open) close += MINUTES_PER_DAY;
+
+    for (let start = Math.ceil(open / slotDuration) * slotDuration; start + slotDuration <= close; start += slotDuration) {
+        // Slots starting after midnight belong to the next date
+        const nextDay = start >= MINUTES_PER_DAY;
+        const slotDate = nextDay ? moment(date).add(1, 'day').toDate() : date;
+        const startTime = toTime(start);
+        const endTime = toTime(start + slotDuration);
+        const datedSlots = generateDatedSlots(slotDate, startTime, endTime);
+
+        let status = 'FREE';
+        if (isRangeBlocked(blackouts, court._id, datedSlots)) {
+            status = 'BLOCKED';
+        } else if (datedSlots.some(slot => occupied.has(getSlotKey(court._id, slot)))) {
+            status = 'BOOKED';
+        }
+
+        day.slots.push(nextDay ? { startTime, endTime, nextDay, status } : { startTime, endTime, status });
+    }
+
+    return day;
+};
+
+/**
+ * Free/booked/blocked matrix of courts over a date range, at slot granularity and within operating hours.
+ * Held slots show as BOOKED. Contains no customer or payment data, so it is safe to expose publicly.
+ *
+ * @param {Object} params - { courtId, sportType, from, to } (courtId or sportType required)
+ * @returns {Promise<Object>} - { from, to, courts: [{ courtId, courtName, sportType, slotDuration, days: [{ date, closed, openingTime, closingTime, slots }] }] }
+ */
+const getAvailabilityGrid = async ({ courtId, sportType, from, to }) => {
+    if (!from) {
+        throw new Error('Please provide a start date (YYYY-MM-DD)');
+    }
+    if (!courtId && !sportType) {
+        throw new Error('Please provide a court or a sport type');
+    }
+
+    const fromDate = normalizeToMidnight(from);
+    const toDate = normalizeToMidnight(to || from);
+    const days = moment(toDate).diff(moment(fromDate), 'days') + 1;
+
+    if (days < 1) {
+        throw new Error('End date cannot be before start date');
+    }
+    if (days > MAX_GRID_DAYS) {
+        throw new Error(`Date range cannot exceed ${MAX_GRID_DAYS} days`);
+    }
+
+    const courtQuery = { status: 'ACTIVE' };
+    if (courtId) courtQuery._id = courtId;
+    if (sportType) courtQuery.sportType = sportType;
+
+    const courts = await Court.find(courtQuery).sort({ name: 1 }).lean();
+    if (courtId && courts.length === 0) {
+        throw new Error('Court not found or inactive');
+    }
+
+    const settings = await Settings.getSettings();
+    // Operating hours may run past midnight into the day after the range
+    const lastDate = moment(toDate).add(1, 'day').toDate();
+
+    const occupiedSlots = await BookingSlot.find({
+        courtId: { $in: courts.map(court => court._id) },
+        bookingDate: { $gte: fromDate, $lte: lastDate },
+        $or: [
+            { status: 'BOOKED' },
+            { status: 'HELD', holdExpiresAt: { $gt: new Date() } }
+        ]
+    }).select('courtId bookingDate slotTime').lean();
+    const occupied = new Set(occupiedSlots.map(slot => getSlotKey(slot.courtId, slot)));
+
+    const blackouts = await findBlackouts(null, fromDate, lastDate);
+
+    const dates = Array.from({ length: days }, (_, i) => moment(fromDate).add(i, 'days').toDate());
+
+    return {
+        from: moment(fromDate).format('YYYY-MM-DD'),
+        to: moment(toDate).format('YYYY-MM-DD'),
+        courts: courts.map(court => ({
+            courtId: court._id,
+            courtName: court.name,
+            sportType: court.sportType,
+            slotDuration: getSlotDuration(court, settings),
+            days: dates.map(date => buildCourtDay(court, date, settings, occupied, blackouts))
+        }))
+    };
+};
+
+module.exports = {
+    MAX_GRID_DAYS,
+    getAvailabilityGrid
+};
@@ -0,0 +1,184 @@
+const moment = require('moment');
+const Blackout = require('../models/Blackout.model');
+const Booking = require('../models/Booking.model');
+const { generateDatedSlots } = require('./slotGenerator.service');
+const { normalizeToMidnight, toMinutes } = require('../utils/dateUtils');
+
+/**
+ * Loads blackouts overlapping a date range, for one court (plus venue-wide closures) or for all courts.
+ *
+ * @param {string|null} courtId - Court to check, or null for every court
+ * @param {Date|string} fromDate
+ * @param {Date|string} toDate
+ * @param {Object} [session]
+ * @returns {Promise<Array<Object>>} Lean blackout documents
+ */
+const findBlackouts = async (courtId, fromDate, toDate, session = null) => {
+    const query = {
+        startDate: { $lte: normalizeToMidnight(toDate) },
+        endDate: { $gte: normalizeToMidnight(fromDate) }
+    };
+    if (courtId) {
+        query.courtId = { $in: [courtId, null] };
+    }
+
+    return Blackout.find(query).session(session).lean();
+};
+
+/**
+ * Whether a blackout applies to a court on a date (ignores the time range).
+ */
+const appliesTo = (blackout, courtId, date) => {
+    const day = normalizeToMidnight(date);
+    if (day < normalizeToMidnight(blackout.startDate) || day > normalizeToMidnight(blackout.endDate)) return false;
+    return !blackout.courtId || blackout.courtId.toString() === courtId.toString();
+};
+
+/**
+ * Whether a blackout covers one dated slot of a booking.
+ */
+const coversSlot = (blackout, courtId, slot) =>
+    appliesTo(blackout, courtId, slot.bookingDate) &&
+    (!blackout.startTime || (slot.slotTime >= blackout.startTime && slot.slotTime < blackout.endTime));
+
+/**
+ * Returns the blackouts that overlap a booking window.
+ * Overnight bookings are checked against the next day's blackouts after midnight.
+ *
+ * @param {string} courtId
+ * @param {Date|string} bookingDate
+ * @param {string} startTime - "HH:mm"
+ * @param {string} endTime - "HH:mm"
+ * @param {Object} [session]
+ * @returns {Promise<Array<Object>>}
+ */
+const getBlackoutConflicts = async (courtId, bookingDate, startTime, endTime, session = null) => {
+    const datedSlots = generateDatedSlots(bookingDate, startTime, endTime);
+    const blackouts = await findBlackouts(
+        courtId,
+        datedSlots[0].bookingDate,
+        datedSlots[datedSlots.length - 1].bookingDate,
+        session
+    );
+
+    return blackouts.filter(blackout => datedSlots.some(slot => coversSlot(blackout, courtId, slot)));
+};
+
+/**
+ * Whether any of the given blackouts covers one of a booking's dated slots.
+ * In-memory counterpart of getBlackoutConflicts for checking many ranges against blackouts loaded once.
+ *
+ * @param {Array<Object>} blackouts - From findBlackouts
+ * @param {string} courtId
+ * @param {Array<Object>} datedSlots - From generateDatedSlots
+ * @returns {boolean}
+ */
+const isRangeBlocked = (blackouts, courtId, datedSlots) =>
+    blackouts.some(blackout => datedSlots.some(slot => coversSlot(blackout, courtId, slot)));
+
+/**
+ * Finds active bookings that fall inside a blackout, so staff can move or cancel them.
+ *
+ * @param {Object} blackout - Blackout document
+ * @returns {Promise<Array<Object>>} Lean booking documents
+ */
+const findAffectedBookings = async (blackout) => {
+    const query = {
+        status: 'BOOKED',
+        // Include the day before so overnight bookings running into the blackout are found
+        bookingDate: {
+            $gte: moment(blackout.startDate).subtract(1, 'day').toDate(),
+            $lte: normalizeToMidnight(blackout.endDate)
+        }
+    };
+    if (blackout.courtId) {
+        query.courtId = blackout.courtId;
+    }
+
+    const bookings = await Booking.find(query).populate('courtId', 'name').sort({ bookingDate: 1, startTime: 1 }).lean();
+
+    return bookings.filter(booking => {
+        const courtId = booking.courtId ? booking.courtId._id : null;
+        if (!courtId) return false;
+        return generateDatedSlots(booking.bookingDate, booking.startTime, booking.endTime)
+            .some(slot => coversSlot(blackout, courtId, slot));
+    });
+};
+
+/**
+ * Blocked bands of a court on one day, for calendar display.
+ *
+ * @param {Array<Object>} blackouts - From findBlackouts
+ * @param {string} courtId
+ * @param {Date|string} date
+ * @returns {Array<Object>} [{ blackoutId, scope, startTime, endTime, reason }]
+ */
+const getBlockedBands = (blackouts, courtId, date) => {
+    return blackouts
+        .filter(blackout => appliesTo(blackout, courtId, date))
+        .map(blackout => ({
+            blackoutId: blackout._id.toString(),
+            scope: blackout.courtId ? 'COURT' : 'VENUE',
+            startTime: blackout.startTime || '00:00',
+            endTime: blackout.endTime || '24:00',
+            reason: blackout.reason
+        }));
+};
+
+/**
+ * Minutes of a court's operating hours lost to blackouts on one day.
+ * Overlapping blackouts are merged so time is never subtracted twice.
+ *
+ * @param {Array<Object>} blackouts - From findBlackouts
+ * @param {string} courtId
+ * @param {Date|string} date
+ * @param {string} openingTime - "HH:mm"
+ * @param {string} closingTime - "HH:mm"
+ * @returns {number}
+ */
+const getBlockedMinutes = (blackouts, courtId, date, openingTime, closingTime) => {
+    const open = toMinutes(openingTime);
+    let close = toMinutes(closingTime);
+    // Hours running past midnight: only the part up to midnight is on this day
+    if (close <= open) close = 24 * 60;
+
+    const intervals = getBlockedBands(blackouts, courtId, date)
+        .map(band => [Math.max(open, toMinutes(band.startTime)), Math.min(close, toMinutes(band.endTime))])
+        .filter(([start, end]) => end > start)
+        .sort((a, b) => a[0] - b[0]);
+
+    let blocked = 0;
+    let coveredUntil = open;
+    intervals.forEach(([start, end]) => {
+        const from = Math.max(start, coveredUntil);
+        if (end > from) {
+            blocked += end - from;
+            coveredUntil = end;
+        }
+    });
+
+    return blocked;
+};
+
+/**
+ * Describes blackouts for conflict responses.
+ */
+const formatBlackouts = (blackouts) => blackouts.map(blackout => ({
+    _id: blackout._id,
+    scope: blackout.courtId ? 'COURT' : 'VENUE',
+    startDate: moment(blackout.startDate).format('YYYY-MM-DD'),
+    endDate: moment(blackout.endDate).format('YYYY-MM-DD'),
+    startTime: blackout.startTime,
+    endTime: blackout.endTime,
+    reason: blackout.reason
+}));
+
+module.exports = {
+    findBlackouts,
+    getBlackoutConflicts,
+    isRangeBlocked,
+    findAffectedBookings,
+    getBlockedBands,
+    getBlockedMinutes,
+    formatBlackouts
+};
@@ -1,12 +1,126 @@
 const Booking = require('../models/Booking.model');
 const BookingSlot = require('../models/BookingSlot.model');
-const Payment = require('../models/Payment.model');
 const Court = require('../models/Court.model');
-const { generateSlots } = require('./slotGenerator.service');
-const { calculatePrice } = require('./pricing.service');
+const Settings = require('../models/Settings.model');
+const { generateSlots, generateDatedSlots, buildSlotFilter, getSlotDuration } = require('./slotGenerator.service');
+const { calculatePrice, getPriceBreakdown, applyDiscount } = require('./pricing.service');
 const { checkSlotAvailability, throwConflictError } = require('./slotValidation.service');
+const { validatePromoCode, recordRedemption } = require('./promoCode.service');
+const { createPaymentWithLedger } = require('./paymentLedger.service');
+const { getBlackoutConflicts, formatBlackouts } = require('./blackout.service');
+const { assertWithinOperatingHours } = require('./operatingHours.service');
+const { resolveCustomer } = require('./customer.service');
+const { findAlternativeSlots } = require('./slotSuggestion.service');
 const { normalizeToMidnight } = require('../utils/dateUtils');
 
+/**
+ * Loads a court and ensures it can take bookings.
+ */
+const getBookableCourt = async (courtId, session = null) => {
+    const court = await Court.findById(courtId).session(session);
+    if (!court) {
+        throw new Error('Court not found');
+    }
+    if (court.status !== 'ACTIVE') {
+        throw new Error('Court is not active');
+    }
+    return court;
+};
+
+/**
+ * Prices a booking: per-slot breakdown, discount, advance and balance.
+ * Shared by createSingleBooking and quoteBooking so a quote always matches the real booking.
+ * A valid promo code replaces any manually entered discount, and a fixed priceOverride
+ * (a recurring occurrence override) replaces both the computed price and the discount.
+ *
+ * @param {Object} court - Court document
+ * @param {string[]} slots - Slot start times, generated at the court's slot duration
+ * @param {Date|string} bookingDate
+ * @param {Object} options - { discountType, discountValue, advancePaid, paymentStatus, promoCode, customerPhone, priceOverride }
+ * @param {Object} [session]
+ * @returns {Promise<Object>} - { priceBreakdown, baseAmount, discountType, discountValue, discountAmount, finalAmount, advancePaid, balanceAmount, promo }
+ */
+const priceBooking = async (court, slots, bookingDate, options = {}, session = null) => {
+    const { advancePaid, paymentStatus = null, promoCode = null, customerPhone = null, priceOverride = null } = options;
+    let { discountType = 'NONE', discountValue = 0 } = options;
+
+    const settings = await Settings.getSettings();
+    const slotDuration = getSlotDuration(court, settings);
+    const baseAmount = calculatePrice(court, slots, new Date(bookingDate), settings.weekendDays, slotDuration);
+    const priceBreakdown = getPriceBreakdown(court, slots, new Date(bookingDate), settings.weekendDays, slotDuration);
+
+    let promo = null;
+    if (promoCode) {
+        promo = await validatePromoCode(promoCode, { court, customerPhone, baseAmount }, session);
+        discountType = promo.discountType;
+        discountValue = promo.discountValue;
+    }
+
+    if (priceOverride !== null) {
+        discountType = 'NONE';
+        discountValue = 0;
+    }
+    const finalAmount = priceOverride !== null ? priceOverride : applyDiscount(baseAmount, discountType, discountValue);
+
+    // override advance if paid
+    const advance = paymentStatus === 'PAID' ? finalAmount : (advancePaid || 0);
+
+    if (advance > finalAmount) {
+        throw new Error('Advance cannot be more than final amount');
+    }
+
+    return {
+        priceBreakdown,
+        baseAmount,
+        discountType,
+        discountValue,
+        discountAmount: Math.max(0, baseAmount - finalAmount),
+        finalAmount,
+        advancePaid: advance,
+        balanceAmount: finalAmount - advance,
+        promo
+    };
+};
+
+/**
+ * Previews a booking without writing anything: slots, availability and full pricing.
+ *
+ * @param {Object} quoteData - { courtId, bookingDate, startTime, endTime, discountType, discountValue, advancePaid, paymentStatus, promoCode, customerPhone }
+ * @param {Object} [session]
+ * @returns {Promise<Object>}
+ */
+const quoteBooking = async (quoteData, session = null) => {
+    const { courtId, bookingDate, startTime, endTime } = quoteData;
+
+    const court = await getBookableCourt(courtId, session);
+    const settings = await Settings.getSettings();
+    const slotDuration = getSlotDuration(court, settings);
+    await assertWithinOperatingHours(court, bookingDate, startTime, endTime, settings);
+
+    const slots = generateSlots(startTime, endTime, slotDuration);
+    if (slots.length === 0) {
+        throw new Error('Invalid time range');
+    }
+
+    const availability = await checkSlotAvailability(courtId, normalizeToMidnight(bookingDate), startTime, endTime, session);
+    const { promo, ...pricing } = await priceBooking(court, slots, bookingDate, quoteData, session);
+
+    return {
+        available: availability.available,
+        conflicts: availability.conflicts,
+        blackouts: availability.blackouts,
+        court: { _id: court._id, name: court.name, sportType: court.sportType },
+        bookingDate: normalizeToMidnight(bookingDate),
+        startTime,
+        endTime,
+        slots,
+        slotDuration,
+        totalSlots: slots.length,
+        ...pricing,
+        promoCode: promo ? promo.code : null
+    };
+};
+
 /**
  * Core service to handle single booking creation logic.
  * This is used by both the BookingController (manual bookings)
@@ -29,25 +143,30 @@ const createSingleBooking = async (bookingData, session) => {
         createdBy,
         source = 'MANUAL',
         recurringId = null,
+        promoCode = null,
         // Optional flag to skip some checks if they were done in bulk
         skipAvailabilityCheck = false,
-        paymentStatus = null // Optional override
+        paymentStatus = null, // Optional override
+        // Fixed final amount (recurring occurrence override)
+        priceOverride = null
     } = bookingData;
 
     // Normalize Date immediately
     const normalizedDate = normalizeToMidnight(bookingDate);
 
     // 1. Validate Court
-    const court = await Court.findById(courtId).session(session);
-    if (!court) {
-        throw new Error('Court not found');
-    }
-    if (court.status !== 'ACTIVE') {
-        throw new Error('Court is not active');
-    }
+    const court = await getBookableCourt(courtId, session);
+    const settings = await Settings.getSettings();
+    const slotDuration = getSlotDuration(court, settings);
+    await assertWithinOperatingHours(court, normalizedDate, startTime, endTime, settings);
+
+    // Link to the customer record (created on first booking, blacklisted customers rejected)
+    const customer = await resolveCustomer({ name: customerName, phone: customerPhone }, createdBy, session);
 
-    // 2. Generate Slots
-    const slots = generateSlots(startTime, endTime);
+    // 2. Generate Slots: sellable slots on the court's grid for pricing, and the
+    // 15-minute occupancy units stored as BookingSlots (after midnight = next day)
+    const slots = generateSlots(startTime, endTime, slotDuration);
+    const datedSlots = generateDatedSlots(normalizedDate, startTime, endTime);
     if (slots.length === 0) {
         throw new Error('Invalid time range');
     }
@@ -56,7 +175,8 @@ const createSingleBooking = async (bookingData, session) => {
     if (!skipAvailabilityCheck) {
         const availability = await checkSlotAvailability(courtId, normalizedDate, startTime, endTime, session);
         if (!availability.available) {
-            throwConflictError(availability.conflicts);
+            const alternatives = await findAlternativeSlots({ courtId, bookingDate: normalizedDate, startTime, endTime }, {}, session);
+            throwConflictError(availability.conflicts, availability.blackouts, alternatives);
         }
 
         // Clean up "Zombie" slots (from CANCELLED/COMPLETED)
@@ -64,80 +184,87 @@ const createSingleBooking = async (bookingData, session) => {
         // but it's good practice to keep the collection clean.
         await BookingSlot.deleteMany({
             courtId,
-            bookingDate: normalizedDate,
-            slotTime: { $in: slots },
+            ...buildSlotFilter(datedSlots),
             status: { $ne: 'BOOKED' }
         }).session(session);
+    } else {
+        // Bulk callers pre-check slot conflicts, but blackouts are always enforced
+        const blackouts = await getBlackoutConflicts(courtId, normalizedDate, startTime, endTime, session);
+        if (blackouts.length > 0) {
+            throwConflictError([], formatBlackouts(blackouts));
+        }
     }
 
     // 4. Calculate Pricing
-    const baseAmount = calculatePrice(court, slots.length, new Date(bookingDate));
-    let finalAmount = baseAmount;
-
-    if (discountType === 'PERCENT') {
-        finalAmount -= (baseAmount * (discountValue || 0)) / 100;
-    } else if (discountType === 'FLAT') {
-        finalAmount -= (discountValue || 0);
-    }
-
-    // Ensure accurate integer
-    finalAmount = Math.max(0, Math.ceil(finalAmount));
-
-    // override advance if paid
-    if (paymentStatus === 'PAID') {
-        advancePaid = finalAmount;
-    }
-
-    if (advancePaid > finalAmount) {
-        throw new Error('Advance cannot be more than final amount');
-    }
+    const pricing = await priceBooking(
+        court, slots, bookingDate,
+        { discountType, discountValue, advancePaid, paymentStatus, promoCode, customerPhone, priceOverride },
+        session
+    );
+    const { baseAmount, priceBreakdown, finalAmount, advancePaid: advance, promo } = pricing;
 
     // 5. Create Booking
     const booking = await Booking.create([{
         customerName,
         customerPhone,
+        customerId: customer._id,
         sportType,
         courtId,
         bookingDate: normalizedDate,
         startTime,
         endTime,
         totalSlots: slots.length,
+        slotDuration,
         baseAmount,
-        discountType,
-        discountValue,
+        priceBreakdown,
+        discountType: pricing.discountType,
+        discountValue: pricing.discountValue,
         finalAmount,
+        promoCodeId: promo ? promo._id : null,
+        promoCode: promo ? promo.code : null,
         createdBy,
         status: 'BOOKED',
         source,
         recurringId
     }], { session });
 
+    if (promo) {
+        await recordRedemption(promo, {
+            customerPhone,
+            bookingId: booking[0]._id,
+            discountAmount: pricing.discountAmount,
+            redeemedBy: createdBy
+        }, session);
+    }
+
     // 6. Create Slots
-    const bookingSlots = slots.map(time => ({
+    const bookingSlots = datedSlots.map(slot => ({
         bookingId: booking[0]._id,
         courtId,
-        bookingDate: normalizedDate,
-        slotTime: time,
+        bookingDate: slot.bookingDate,
+        slotTime: slot.slotTime,
         status: 'BOOKED'
     }));
 
     await BookingSlot.insertMany(bookingSlots, { session });
 
     // 7. Create Payment
-    await Payment.create([{
+    // Status and balance are derived from the ledger entry of the advance
+    await createPaymentWithLedger({
         bookingId: booking[0]._id,
         totalAmount: finalAmount,
-        advancePaid: advancePaid || 0,
-        balanceAmount: finalAmount - (advancePaid || 0),
-        paymentMode: paymentMode || 'CASH',
+        advancePaid: advance,
+        paymentMode,
         paymentNotes,
-        status: paymentStatus || ((advancePaid || 0) <= 0 ? 'PENDING' :
-            (advancePaid || 0) >= finalAmount ? 'PAID' : 'PARTIAL')
-    }], { session });
+        collectedBy: createdBy
+    }, session);
 
     return booking[0];
 };
 
 module.exports = {
-    createSingleBooking
+    createSingleBooking,
+    getBookableCourt,
+    priceBooking,
+    quoteBooking
 };
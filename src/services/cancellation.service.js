@@ -0,0 +1,107 @@
+const moment = require('moment');
+const Payment = require('../models/Payment.model');
+const Settings = require('../models/Settings.model');
+const { syncPaymentFromLedger, recordTransactions } = require('./paymentLedger.service');
+
+/**
+ * Finds the refund percentage for a cancellation made `hoursBeforeStart` hours before the booking.
+ * The tier with the highest `hoursBefore` that is still satisfied applies.
+ *
+ * @param {Array<Object>} policy - Settings.cancellationPolicy
+ * @param {number} hoursBeforeStart
+ * @returns {number} Refund percentage (0 - 100)
+ */
+const getRefundPercent = (policy = [], hoursBeforeStart) => {
+    const tier = [...policy]
+        .sort((a, b) => b.hoursBefore - a.hoursBefore)
+        .find(t => hoursBeforeStart >= t.hoursBefore);
+    return tier ? tier.refundPercent : 0;
+};
+
+/**
+ * Computes the cancellation fee and the refund due for a booking.
+ * The fee is the non-refundable share of the booking amount; the refund is whatever
+ * was collected above that fee.
+ *
+ * @param {Object} booking - Booking document
+ * @param {Object} payment - Payment document (collected amount = advancePaid)
+ * @param {Array<Object>} policy - Settings.cancellationPolicy
+ * @param {Object} [options] - { waiveFee, now }
+ * @returns {Object} - { hoursBeforeStart, refundPercent, cancellationFee, refundAmount, retainedAmount }
+ */
+const computeCancellationCharges = (booking, payment, policy, { waiveFee = false, now = moment() } = {}) => {
+    const start = moment(moment(booking.bookingDate).format('YYYY-MM-DD') + ' ' + booking.startTime, 'YYYY-MM-DD HH:mm');
+    const hoursBeforeStart = Math.max(0, start.diff(now, 'minutes') / 60);
+
+    const refundPercent = waiveFee ? 100 : getRefundPercent(policy, hoursBeforeStart);
+    const cancellationFee = Math.round((booking.finalAmount * (100 - refundPercent)) / 100);
+
+    const collected = payment ? payment.advancePaid : 0;
+    const refundAmount = Math.max(0, collected - cancellationFee);
+
+    return {
+        hoursBeforeStart: Math.round(hoursBeforeStart * 100) / 100,
+        refundPercent,
+        cancellationFee,
+        refundAmount,
+        retainedAmount: collected - refundAmount
+    };
+};
+
+/**
+ * Applies the cancellation policy to a booking being cancelled: records the refund in the
+ * payment ledger, settles the payment at the retained amount and stores the outcome on the booking.
+ * The caller is responsible for setting the booking status and freeing its slots.
+ *
+ * @param {Object} booking - Booking document (saved by this function)
+ * @param {Object} options - { cancelledBy, cancelledByCustomer, refundMode, waiveFee }
+ * @param {Object} [session]
+ * @returns {Promise<Object>} The computed charges
+ */
+const applyCancellationPolicy = async (booking, { cancelledBy = null, cancelledByCustomer = false, refundMode, waiveFee = false } = {}, session = null) => {
+    const settings = await Settings.getSettings();
+    const payment = await Payment.findOne({ bookingId: booking._id }).session(session);
+
+    if (payment) {
+        // Make sure collected totals reflect the ledger before computing the refund
+        await syncPaymentFromLedger(payment, session);
+    }
+
+    const charges = computeCancellationCharges(booking, payment, settings.cancellationPolicy, { waiveFee });
+
+    if (payment) {
+        // Nothing beyond the retained amount is owed for a cancelled booking
+        payment.totalAmount = charges.retainedAmount;
+        payment.cancellationFee = charges.cancellationFee;
+        payment.refundAmount = charges.refundAmount;
+
+        if (charges.refundAmount > 0) {
+            await recordTransactions(payment, [{
+                amount: -charges.refundAmount,
+                mode: refundMode || payment.paymentMode,
+                notes: `Refund on cancellation (${charges.refundPercent}% policy)`
+            }], { collectedBy: cancelledBy, type: 'REFUND' }, session);
+        } else {
+            await syncPaymentFromLedger(payment, session);
+        }
+    }
+
+    booking.cancellation = {
+        cancelledAt: new Date(),
+        cancelledBy,
+        cancelledByCustomer,
+        hoursBeforeStart: charges.hoursBeforeStart,
+        refundPercent: charges.refundPercent,
+        cancellationFee: charges.cancellationFee,
+        refundAmount: charges.refundAmount
+    };
+    await booking.save({ session });
+
+    return charges;
+};
+
+module.exports = {
+    getRefundPercent,
+    computeCancellationCharges,
+    applyCancellationPolicy
+};
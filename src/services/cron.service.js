@@ -3,6 +3,10 @@ const moment = require('moment');
 const Booking = require('../models/Booking.model');
 const BookingSlot = require('../models/BookingSlot.model');
 const mongoose = require('mongoose');
+const { releaseExpiredHolds } = require('./slotHold.service');
+const { expireOffers } = require('./waitlist.service');
+const { purgeTrash } = require('./trash.service');
+const { extendOpenEndedRules } = require('./recurringHorizon.service');
 
 /**
  * Background job to automatically complete bookings that have ended.
@@ -20,16 +24,32 @@ const initBookingCron = () => {
             const today = now.format('YYYY-MM-DD');
             const currentTime = now.format('HH:mm');
 
+            // Overnight bookings (endTime < startTime) end on the day after their bookingDate
+            const overnight = { $expr: { $lt: ['$endTime', '$startTime'] } };
+            const sameDay = { $expr: { $gte: ['$endTime', '$startTime'] } };
+
             // Find bookings that have ended
-            // 1. Same day, endTime <= currentTime
-            // 2. Or any previous day
+            // 1. Any day before yesterday
+            // 2. Yesterday, unless it is an overnight booking still running (endTime > currentTime)
+            // 3. Today, same-day bookings with endTime <= currentTime
             const expiredBookings = await Booking.find({
                 status: 'BOOKED',
                 $or: [
                     {
-                        bookingDate: { $lt: moment().startOf('day').toDate() }
+                        bookingDate: { $lt: moment().subtract(1, 'day').startOf('day').toDate() }
+                    },
+                    {
+                        bookingDate: {
+                            $gte: moment().subtract(1, 'day').startOf('day').toDate(),
+                            $lt: moment().startOf('day').toDate()
+                        },
+                        $or: [
+                            sameDay,
+                            { ...overnight, endTime: { $lte: currentTime } }
+                        ]
                     },
                     {
+                        ...sameDay,
                         bookingDate: {
                             $gte: moment().startOf('day').toDate(),
                             $lte: moment().endOf('day').toDate()
@@ -72,4 +92,98 @@ const initBookingCron = () => {
     console.log('[CRON] Booking Auto-Complete Job Initialized (Every 5 mins)');
 };
 
-module.exports = { initBookingCron };
+/**
+ * Background job to release slot holds that have passed their expiry.
+ * Runs every minute.
+ */
+const initHoldReleaseCron = () => {
+    cron.schedule('* * * * *', async () => {
+        try {
+            const released = await releaseExpiredHolds();
+            if (released > 0) {
+                console.log(`[CRON] Released ${released} expired held slots.`);
+            }
+        } catch (error) {
+            console.error('[CRON ERROR]:', error);
+        }
+    });
+
+    console.log('[CRON] Hold Release Job Initialized (Every 1 min)');
+};
+
+/**
+ * Background job to expire waitlist offers that were not taken up and offer the slots to the next entries.
+ * Runs every minute.
+ */
+const initWaitlistCron = () => {
+    cron.schedule('* * * * *', async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            const { expired, offers } = await expireOffers(session);
+            await session.commitTransaction();
+
+            if (expired > 0) {
+                const skipped = offers.filter(offer => offer.skipped).length;
+                console.log(`[CRON] Expired ${expired} waitlist offers, made ${offers.length - skipped} new offers (${skipped} skipped).`);
+            }
+        } catch (error) {
+            await session.abortTransaction();
+            console.error('[CRON ERROR]:', error);
+        } finally {
+            session.endSession();
+        }
+    });
+
+    console.log('[CRON] Waitlist Offer Expiry Job Initialized (Every 1 min)');
+};
+
+/**
+ * Background job to permanently remove trash older than Settings.trashRetentionDays.
+ * Runs daily at 03:00.
+ */
+const initTrashPurgeCron = () => {
+    cron.schedule('0 3 * * *', async () => {
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            const { bookings, recurringRules } = await purgeTrash(session);
+            await session.commitTransaction();
+
+            if (bookings > 0 || recurringRules > 0) {
+                console.log(`[CRON] Purged ${bookings} bookings and ${recurringRules} recurring rules from the trash.`);
+            }
+        } catch (error) {
+            await session.abortTransaction();
+            console.error('[CRON ERROR]:', error);
+        } finally {
+            session.endSession();
+        }
+    });
+
+    console.log('[CRON] Trash Purge Job Initialized (Daily at 03:00)');
+};
+
+/**
+ * Background job to keep open-ended recurring rules booked up to Settings.recurringHorizonWeeks ahead.
+ * Runs daily at 02:00; each run is reported under /api/recurring-bookings/generation-runs.
+ */
+const initRecurringHorizonCron = () => {
+    cron.schedule('0 2 * * *', async () => {
+        try {
+            const run = await extendOpenEndedRules({ trigger: 'CRON' });
+
+            if (run.bookingsCreated > 0 || run.conflictCount > 0 || run.failedRules > 0) {
+                console.log(`[CRON] Recurring horizon: ${run.bookingsCreated} bookings created, ${run.conflictCount} conflicts, ${run.failedRules} rules failed.`);
+            }
+        } catch (error) {
+            console.error('[CRON ERROR]:', error);
+        }
+    });
+
+    console.log('[CRON] Recurring Horizon Job Initialized (Daily at 02:00)');
+};
+
+module.exports = { initBookingCron, initHoldReleaseCron, initWaitlistCron, initTrashPurgeCron, initRecurringHorizonCron };
@@ -0,0 +1,118 @@
+const Customer = require('../models/Customer.model');
+const Booking = require('../models/Booking.model');
+const RecurringBooking = require('../models/RecurringBooking.model');
+
+/**
+ * Normalizes a phone number so the same customer is matched however it was typed:
+ * digits only, keeping the last 10 (drops a +91 / 0 prefix).
+ *
+ * @param {string} phone
+ * @returns {string}
+ */
+const normalizePhone = (phone) => {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length > 10 ? digits.slice(-10) : digits;
+};
+
+/**
+ * Finds the customer for a phone number, creating it on first booking.
+ * An existing customer keeps its stored name, so a typo on one booking does not rename them.
+ * Blacklisted customers are rejected.
+ *
+ * @param {Object} data - { name, phone }
+ * @param {Object} [createdBy] - User ID
+ * @param {Object} [session]
+ * @returns {Promise<Object>} Customer document
+ */
+const resolveCustomer = async ({ name, phone }, createdBy = null, session = null) => {
+    const normalizedPhone = normalizePhone(phone);
+    if (!normalizedPhone) {
+        throw new Error('Customer phone is required');
+    }
+
+    // Upsert so concurrent first bookings of the same customer cannot create duplicates
+    const customer = await Customer.findOneAndUpdate(
+        { phone: normalizedPhone },
+        { $setOnInsert: { name, phone: normalizedPhone, createdBy } },
+        { new: true, upsert: true, session }
+    );
+
+    if (customer.isBlacklisted) {
+        throw new Error(`Customer is blacklisted and cannot book${customer.blacklistReason ? ` (${customer.blacklistReason})` : ''}`);
+    }
+
+    return customer;
+};
+
+/**
+ * Booking statistics of a customer.
+ * Spend is what was actually collected (net of refunds), including advances paid on recurring rules.
+ *
+ * @param {Object} customerId
+ * @returns {Promise<Object>} - { totalBookings, completedBookings, cancelledBookings, noShowCount, totalSpend, outstandingBalance, lastBookingDate }
+ */
+const getCustomerStats = async (customerId) => {
+    const [bookingStats] = await Booking.aggregate([
+        { $match: { customerId } },
+        {
+            $lookup: {
+                from: 'payments',
+                localField: '_id',
+                foreignField: 'bookingId',
+                as: 'payment'
+            }
+        },
+        { $unwind: { path: '$payment', preserveNullAndEmptyArrays: true } },
+        {
+            $group: {
+                _id: null,
+                totalBookings: { $sum: 1 },
+                completedBookings: { $sum: { $cond: [{ $eq: ['$status', 'COMPLETED'] }, 1, 0] } },
+                cancelledBookings: { $sum: { $cond: [{ $eq: ['$status', 'CANCELLED'] }, 1, 0] } },
+                noShowCount: { $sum: { $cond: ['$noShow', 1, 0] } },
+                collected: { $sum: { $ifNull: ['$payment.advancePaid', 0] } },
+                outstandingBalance: {
+                    $sum: {
+                        $cond: [
+                            { $ne: ['$status', 'CANCELLED'] },
+                            { $ifNull: ['$payment.balanceAmount', 0] },
+                            0
+                        ]
+                    }
+                },
+                lastBookingDate: { $max: '$bookingDate' }
+            }
+        }
+    ]);
+
+    const [recurringStats] = await RecurringBooking.aggregate([
+        { $match: { customerId } },
+        { $group: { _id: null, advance: { $sum: { $ifNull: ['$advancePaid', 0] } } } }
+    ]);
+
+    const stats = bookingStats || {
+        totalBookings: 0,
+        completedBookings: 0,
+        cancelledBookings: 0,
+        noShowCount: 0,
+        collected: 0,
+        outstandingBalance: 0,
+        lastBookingDate: null
+    };
+
+    return {
+        totalBookings: stats.totalBookings,
+        completedBookings: stats.completedBookings,
+        cancelledBookings: stats.cancelledBookings,
+        noShowCount: stats.noShowCount,
+        totalSpend: stats.collected + (recurringStats ? recurringStats.advance : 0),
+        outstandingBalance: stats.outstandingBalance,
+        lastBookingDate: stats.lastBookingDate
+    };
+};
+
+module.exports = {
+    normalizePhone,
+    resolveCustomer,
+    getCustomerStats
+};
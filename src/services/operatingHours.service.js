@@ -0,0 +1,144 @@
+const moment = require('moment');
+const Booking = require('../models/Booking.model');
+const Court = require('../models/Court.model');
+const Settings = require('../models/Settings.model');
+const { getDayCode, normalizeToMidnight, toMinutes } = require('../utils/dateUtils');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Converts opening/closing times to a minute window; closing at or before opening means after midnight.
+ */
+const toWindow = (openingTime, closingTime) => {
+    const open = toMinutes(openingTime);
+    let close = toMinutes(closingTime);
+    if (close <= open) close += MINUTES_PER_DAY;
+    return [open, close];
+};
+
+/**
+ * Resolves the operating hours of a court on a date.
+ * Precedence: court weekday hours, court hours, venue weekday hours, venue hours.
+ *
+ * @param {Object|null} court - Court document (null = venue hours only)
+ * @param {Object} settings - Settings document
+ * @param {Date|string} date
+ * @returns {Object} - { openingTime, closingTime, closed }
+ */
+const getOperatingHours = (court, settings, date) => {
+    const dayCode = getDayCode(date);
+    const courtHours = court && court.openingTime && court.closingTime
+        ? { openingTime: court.openingTime, closingTime: court.closingTime }
+        : null;
+
+    const candidates = [
+        court && court.weeklyHours ? court.weeklyHours[dayCode] : null,
+        courtHours,
+        settings.weeklyHours ? settings.weeklyHours[dayCode] : null,
+        settings
+    ];
+    const hours = candidates.find(h => h && (h.closed || (h.openingTime && h.closingTime)));
+
+    return {
+        openingTime: hours.openingTime || null,
+        closingTime: hours.closingTime || null,
+        closed: !!hours.closed
+    };
+};
+
+/**
+ * Whether a booking lies entirely inside the operating hours of its court.
+ * An early-morning booking may also fall inside the previous day's hours when those run past midnight.
+ *
+ * @param {Object} court - Court document
+ * @param {Object} settings - Settings document
+ * @param {Date|string} bookingDate
+ * @param {string} startTime - "HH:mm"
+ * @param {string} endTime - "HH:mm"
+ * @returns {boolean}
+ */
+const isWithinOperatingHours = (court, settings, bookingDate, startTime, endTime) => {
+    const [start, end] = toWindow(startTime, endTime);
+
+    const fits = (hours, offset) => {
+        if (hours.closed) return false;
+        const [open, close] = toWindow(hours.openingTime, hours.closingTime);
+        return start + offset >= open && end + offset <= close;
+    };
+
+    return fits(getOperatingHours(court, settings, bookingDate), 0) ||
+        fits(getOperatingHours(court, settings, moment(bookingDate).subtract(1, 'day').toDate()), MINUTES_PER_DAY);
+};
+
+/**
+ * Throws when a booking falls outside the operating hours of its court.
+ *
+ * @param {Object} court - Court document
+ * @param {Date|string} bookingDate
+ * @param {string} startTime - "HH:mm"
+ * @param {string} endTime - "HH:mm"
+ * @param {Object} [settings] - Settings document (loaded if omitted)
+ */
+const assertWithinOperatingHours = async (court, bookingDate, startTime, endTime, settings = null) => {
+    const venueSettings = settings || await Settings.getSettings();
+    if (isWithinOperatingHours(court, venueSettings, bookingDate, startTime, endTime)) return;
+
+    const hours = getOperatingHours(court, venueSettings, bookingDate);
+    if (hours.closed) {
+        throw new Error(`${court.name} is closed on ${moment(bookingDate).format('dddd')}`);
+    }
+    throw new Error(`Booking must be within operating hours (${hours.openingTime} - ${hours.closingTime})`);
+};
+
+/**
+ * Finds upcoming active bookings that fall outside the current operating hours,
+ * e.g. after the venue shortened its hours.
+ *
+ * @param {Object} [filter] - { courtId }
+ * @returns {Promise<Array<Object>>} [{ bookingId, customerName, customerPhone, court, bookingDate, startTime, endTime, operatingHours }]
+ */
+const findBookingsOutsideHours = async ({ courtId } = {}) => {
+    const settings = await Settings.getSettings();
+    const query = {
+        status: 'BOOKED',
+        bookingDate: { $gte: normalizeToMidnight(new Date()) }
+    };
+    if (courtId) {
+        query.courtId = courtId;
+    }
+
+    const [bookings, courts] = await Promise.all([
+        Booking.find(query).sort({ bookingDate: 1, startTime: 1 }).lean(),
+        Court.find(courtId ? { _id: courtId } : {}).lean()
+    ]);
+    const courtMap = courts.reduce((acc, court) => {
+        acc[court._id.toString()] = court;
+        return acc;
+    }, {});
+
+    return bookings
+        .filter(b => {
+            const court = courtMap[b.courtId.toString()];
+            return court && !isWithinOperatingHours(court, settings, b.bookingDate, b.startTime, b.endTime);
+        })
+        .map(b => {
+            const court = courtMap[b.courtId.toString()];
+            return {
+                bookingId: b._id,
+                customerName: b.customerName,
+                customerPhone: b.customerPhone,
+                court: court.name,
+                bookingDate: moment(b.bookingDate).format('YYYY-MM-DD'),
+                startTime: b.startTime,
+                endTime: b.endTime,
+                operatingHours: getOperatingHours(court, settings, b.bookingDate)
+            };
+        });
+};
+
+module.exports = {
+    getOperatingHours,
+    isWithinOperatingHours,
+    assertWithinOperatingHours,
+    findBookingsOutsideHours
+};
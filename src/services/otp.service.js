@@ -0,0 +1,94 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const OtpCode = require('../models/OtpCode.model');
+const { normalizePhone } = require('./customer.service');
+const { sendSms } = require('./sms.service');
+
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 5;
+// Minimum gap before another code can be sent to the same phone
+const OTP_RESEND_SECONDS = 60;
+const OTP_MAX_ATTEMPTS = 5;
+
+/**
+ * Generates a one-time code and sends it to a phone number.
+ * Earlier unused codes for the phone stop working.
+ *
+ * @param {string} phone
+ * @returns {Promise<Object>} - { phone, expiresAt }
+ */
+const requestOtp = async (phone) => {
+    const normalizedPhone = normalizePhone(phone);
+    if (normalizedPhone.length !== 10) {
+        throw new Error('Please provide a valid 10-digit phone number');
+    }
+
+    const recent = await OtpCode.findOne({
+        phone: normalizedPhone,
+        createdAt: { $gt: new Date(Date.now() - OTP_RESEND_SECONDS * 1000) }
+    });
+    if (recent) {
+        const error = new Error(`Please wait ${OTP_RESEND_SECONDS} seconds before requesting another code`);
+        error.status = 429;
+        throw error;
+    }
+
+    const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+    const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+
+    await OtpCode.deleteMany({ phone: normalizedPhone, consumedAt: null });
+    await OtpCode.create({
+        phone: normalizedPhone,
+        codeHash: await bcrypt.hash(code, 10),
+        expiresAt
+    });
+
+    await sendSms(normalizedPhone, `Your login code is ${code}. It expires in ${OTP_TTL_MINUTES} minutes.`);
+
+    return { phone: normalizedPhone, expiresAt };
+};
+
+/**
+ * Checks a code entered by a customer. A code works once, and is discarded after too many wrong attempts.
+ *
+ * @param {string} phone
+ * @param {string} code
+ * @param {Object} [options]
+ * @param {boolean} [options.consume=true] - false to check the code but leave it usable
+ * @returns {Promise<string>} The normalized phone number
+ */
+const verifyOtp = async (phone, code, { consume = true } = {}) => {
+    const normalizedPhone = normalizePhone(phone);
+
+    const otp = await OtpCode.findOne({
+        phone: normalizedPhone,
+        consumedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    if (!otp) {
+        throw new Error('Code expired or not requested, please request a new one');
+    }
+
+    if (!(await otp.matchCode(code))) {
+        otp.attempts += 1;
+        if (otp.attempts >= OTP_MAX_ATTEMPTS) {
+            await otp.deleteOne();
+            throw new Error('Too many wrong attempts, please request a new code');
+        }
+        await otp.save();
+        throw new Error('Invalid code');
+    }
+
+    if (consume) {
+        otp.consumedAt = new Date();
+        await otp.save();
+    }
+
+    return normalizedPhone;
+};
+
+module.exports = {
+    requestOtp,
+    verifyOtp
+};
@@ -0,0 +1,195 @@
+const Payment = require('../models/Payment.model');
+const PaymentTransaction = require('../models/PaymentTransaction.model');
+
+/**
+ * Derives the payment status from the collected amount.
+ */
+const derivePaymentStatus = (collected, totalAmount, hasRefunds = false) => {
+    if (collected <= 0) return hasRefunds ? 'REFUNDED' : 'PENDING';
+    if (collected >= totalAmount) return 'PAID';
+    return 'PARTIAL';
+};
+
+/**
+ * Creates an opening ledger entry for a payment recorded before the ledger existed,
+ * so its collected amount is not lost when totals are derived from transactions.
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} [session]
+ */
+const backfillOpeningTransaction = async (payment, session = null) => {
+    if (payment.ledgerInitialized) return;
+
+    // Legacy markAsPaid only zeroed the balance, so collected = total - balance
+    const collected = payment.totalAmount - payment.balanceAmount;
+    if (collected > 0) {
+        await PaymentTransaction.create([{
+            paymentId: payment._id,
+            bookingId: payment.bookingId,
+            type: 'PAYMENT',
+            amount: collected,
+            mode: payment.paymentMode,
+            notes: 'Opening balance (migrated)',
+            paidAt: payment.updatedAt || payment.createdAt
+        }], { session });
+    }
+
+    payment.ledgerInitialized = true;
+};
+
+/**
+ * Recomputes advancePaid, balanceAmount and status of a payment from its ledger and saves it.
+ *
+ * @param {Object} payment - Payment document
+ * @param {Object} [session]
+ * @returns {Promise<Object>} The updated payment
+ */
+const syncPaymentFromLedger = async (payment, session = null) => {
+    await backfillOpeningTransaction(payment, session);
+
+    const transactions = await PaymentTransaction.find({ paymentId: payment._id })
+        .sort({ paidAt: 1 })
+        .session(session);
+
+    const collected = transactions.reduce((sum, t) => sum + t.amount, 0);
+
+    payment.advancePaid = collected;
+    payment.balanceAmount = Math.max(0, payment.totalAmount - collected);
+    payment.status = derivePaymentStatus(collected, payment.totalAmount, transactions.some(t => t.type === 'REFUND'));
+
+    const lastPayment = [...transactions].reverse().find(t => t.type === 'PAYMENT');
+    if (lastPayment) {
+        payment.paymentMode = lastPayment.mode;
+    }
+
+    await payment.save({ session });
+    return payment;
+};
+
+/**
+ * Records one or more tenders (e.g. part cash, part UPI) against a payment.
+ *
+ * @param {Object} payment - Payment document
+ * @param {Array<Object>} tenders - [{ amount, mode, referenceNumber, notes, paidAt }]
+ * @param {Object} meta - { collectedBy, type }
+ * @param {Object} [session]
+ * @returns {Promise<Object>} - { payment, transactions }
+ */
+const recordTransactions = async (payment, tenders, { collectedBy, type = 'PAYMENT' } = {}, session = null) => {
+    await backfillOpeningTransaction(payment, session);
+
+    const transactions = await PaymentTransaction.create(tenders.map(t => ({
+        paymentId: payment._id,
+        bookingId: payment.bookingId,
+        type,
+        amount: t.amount,
+        mode: t.mode || payment.paymentMode || 'CASH',
+        referenceNumber: t.referenceNumber,
+        notes: t.notes,
+        paidAt: t.paidAt ? new Date(t.paidAt) : new Date(),
+        collectedBy
+    })), { session, ordered: true });
+
+    await syncPaymentFromLedger(payment, session);
+    return { payment, transactions };
+};
+
+/**
+ * Records an installment (one or more tenders) and rejects amounts above the outstanding balance.
+ *
+ * @param {Object} payment - Payment document
+ * @param {Array<Object>} tenders - [{ amount, mode, referenceNumber, notes, paidAt }]
+ * @param {Object} collectedBy - User ID
+ * @param {Object} [session]
+ */
+const recordInstallment = async (payment, tenders, collectedBy, session = null) => {
+    if (!Array.isArray(tenders) || tenders.length === 0) {
+        throw new Error('At least one payment is required');
+    }
+    tenders.forEach(t => {
+        if (!(Number(t.amount) > 0)) {
+            throw new Error('Payment amount must be greater than zero');
+        }
+    });
+
+    await backfillOpeningTransaction(payment, session);
+    await syncPaymentFromLedger(payment, session);
+
+    const total = tenders.reduce((sum, t) => sum + Number(t.amount), 0);
+    if (total > payment.balanceAmount) {
+        throw new Error(`Payment exceeds outstanding balance (${payment.balanceAmount})`);
+    }
+
+    return recordTransactions(
+        payment,
+        tenders.map(t => ({ ...t, amount: Number(t.amount) })),
+        { collectedBy },
+        session
+    );
+};
+
+/**
+ * Brings the collected amount of a payment to a target value by recording an
+ * ADJUSTMENT entry for the difference (used when staff edit the advance directly).
+ *
+ * @param {Object} payment - Payment document
+ * @param {number} targetCollected - Desired total collected amount
+ * @param {Object} meta - { mode, collectedBy, notes }
+ * @param {Object} [session]
+ */
+const setCollectedAmount = async (payment, targetCollected, { mode, collectedBy, notes } = {}, session = null) => {
+    await syncPaymentFromLedger(payment, session);
+
+    const difference = (targetCollected || 0) - payment.advancePaid;
+    if (difference === 0) return payment;
+
+    await recordTransactions(payment, [{
+        amount: difference,
+        mode,
+        notes: notes || 'Advance edited on booking'
+    }], { collectedBy, type: 'ADJUSTMENT' }, session);
+
+    return payment;
+};
+
+/**
+ * Creates the Payment record of a new booking and the ledger entry for any advance.
+ *
+ * @param {Object} data - { bookingId, totalAmount, advancePaid, paymentMode, paymentNotes, collectedBy }
+ * @param {Object} [session]
+ * @returns {Promise<Object>} Payment document
+ */
+const createPaymentWithLedger = async (data, session = null) => {
+    const { bookingId, totalAmount, advancePaid = 0, paymentMode, paymentNotes, collectedBy } = data;
+
+    const payment = await Payment.create([{
+        bookingId,
+        totalAmount,
+        advancePaid: 0,
+        balanceAmount: totalAmount,
+        paymentMode: paymentMode || 'CASH',
+        paymentNotes,
+        status: 'PENDING',
+        ledgerInitialized: true
+    }], { session });
+
+    if (advancePaid > 0) {
+        await recordTransactions(payment[0], [{
+            amount: advancePaid,
+            mode: paymentMode,
+            notes: 'Advance at booking'
+        }], { collectedBy }, session);
+    }
+
+    return payment[0];
+};
+
+module.exports = {
+    derivePaymentStatus,
+    backfillOpeningTransaction,
+    syncPaymentFromLedger,
+    recordTransactions,
+    recordInstallment,
+    setCollectedAmount,
+    createPaymentWithLedger
+};
@@ -1,29 +1,112 @@
-const moment = require('moment');
+const { getDayCode, normalizeToMidnight } = require('../utils/dateUtils');
+
+const DEFAULT_WEEKEND_DAYS = ['SAT', 'SUN'];
+const DEFAULT_SLOT_DURATION = 15;
+
+/**
+ * Resolves the hourly rate of a court for a given date.
+ * A per-weekday price on the court wins; otherwise the weekend/weekday price
+ * is chosen using the configured weekend days.
+ * @param {Object} court - The court object containing pricing details
+ * @param {Date} bookingDate - The date of the booking
+ * @param {string[]} [weekendDays] - Day codes treated as weekend (Settings.weekendDays)
+ * @returns {number} The hourly rate
+ */
+const getHourlyRate = (court, bookingDate, weekendDays = DEFAULT_WEEKEND_DAYS) => {
+    const dayCode = getDayCode(bookingDate);
+
+    const dayPrice = court.dayPrices ? court.dayPrices[dayCode] : undefined;
+    if (dayPrice !== undefined && dayPrice !== null) {
+        return dayPrice;
+    }
+
+    return weekendDays.includes(dayCode) ? court.weekendPrice : court.weekdayPrice;
+};
+
+/**
+ * Finds the pricing rule of a court that applies to a slot.
+ * Rules restricted to a date range (seasonal) take priority over open-ended ones;
+ * otherwise the first matching rule in the court's list wins.
+ * @param {Object} court - The court object containing pricingRules
+ * @param {string} slotTime - Slot start time "HH:mm"
+ * @param {Date} bookingDate - The date of the booking
+ * @returns {Object|null} The matching rule, or null
+ */
+const findPricingRule = (court, slotTime, bookingDate) => {
+    if (!court.pricingRules || court.pricingRules.length === 0) return null;
+
+    const dayCode = getDayCode(bookingDate);
+    const date = normalizeToMidnight(bookingDate);
+
+    const matches = court.pricingRules.filter(rule => {
+        if (slotTime < rule.startTime || slotTime >= rule.endTime) return false;
+        if (rule.daysOfWeek && rule.daysOfWeek.length > 0 && !rule.daysOfWeek.includes(dayCode)) return false;
+        if (rule.validFrom && date < normalizeToMidnight(rule.validFrom)) return false;
+        if (rule.validTo && date > normalizeToMidnight(rule.validTo)) return false;
+        return true;
+    });
+
+    return matches.find(rule => rule.validFrom || rule.validTo) || matches[0] || null;
+};
+
+/**
+ * Prices each slot individually by the pricing band it falls in.
+ * @param {Object} court - The court object containing pricing details
+ * @param {string[]} slots - Slot start times from generateSlots
+ * @param {Date} bookingDate - The date of the booking
+ * @param {string[]} [weekendDays] - Day codes treated as weekend (Settings.weekendDays)
+ * @param {number} [slotDuration] - Length of each slot in minutes
+ * @returns {Array<Object>} [{ slotTime, ratePerHour, amount, pricingRule }]
+ */
+const getPriceBreakdown = (court, slots, bookingDate, weekendDays = DEFAULT_WEEKEND_DAYS, slotDuration = DEFAULT_SLOT_DURATION) => {
+    const defaultRate = getHourlyRate(court, bookingDate, weekendDays);
+
+    return slots.map(slotTime => {
+        const rule = findPricingRule(court, slotTime, bookingDate);
+        const ratePerHour = rule ? rule.ratePerHour : defaultRate;
+
+        return {
+            slotTime,
+            ratePerHour,
+            // Price for one slot (hourlyRate pro-rated to the slot duration)
+            amount: (ratePerHour * slotDuration) / 60,
+            pricingRule: rule ? (rule.name || `${rule.startTime} - ${rule.endTime}`) : null
+        };
+    });
+};
 
 /**
  * Calculates the total base price for the booking
  * @param {Object} court - The court object containing pricing details
- * @param {number} totalSlots - Total number of 15-minute slots
+ * @param {string[]} slots - Slot start times from generateSlots
  * @param {Date} bookingDate - The date of the booking
+ * @param {string[]} [weekendDays] - Day codes treated as weekend (Settings.weekendDays)
+ * @param {number} [slotDuration] - Length of each slot in minutes
  * @returns {number} The calculated base amount
  */
-const calculatePrice = (court, totalSlots, bookingDate) => {
-    const date = moment(bookingDate);
-    const dayOfWeek = date.day(); // 0 = Sunday, 6 = Saturday
+const calculatePrice = (court, slots, bookingDate, weekendDays = DEFAULT_WEEKEND_DAYS, slotDuration = DEFAULT_SLOT_DURATION) => {
+    return getPriceBreakdown(court, slots, bookingDate, weekendDays, slotDuration)
+        .reduce((sum, slot) => sum + slot.amount, 0);
+};
 
-    let hourlyRate = 0;
+/**
+ * Applies a booking discount to a base amount
+ * @param {number} baseAmount - Amount before discount
+ * @param {string} discountType - 'PERCENT', 'FLAT' or 'NONE'
+ * @param {number} discountValue - Percentage or flat amount
+ * @returns {number} The final amount, rounded up to a whole number and never negative
+ */
+const applyDiscount = (baseAmount, discountType, discountValue) => {
+    let finalAmount = baseAmount;
 
-    // Check if it's Saturday (6) or Sunday (0)
-    if (dayOfWeek === 0 || dayOfWeek === 6) {
-        hourlyRate = court.weekendPrice;
-    } else {
-        hourlyRate = court.weekdayPrice;
+    if (discountType === 'PERCENT') {
+        finalAmount -= (baseAmount * (discountValue || 0)) / 100;
+    } else if (discountType === 'FLAT') {
+        finalAmount -= (discountValue || 0);
     }
 
-    // Calculate price for 15 minutes (hourlyRate / 4)
-    const slotPrice = hourlyRate / 4;
-
-    return slotPrice * totalSlots;
+    // Ensure accurate integer
+    return Math.max(0, Math.ceil(finalAmount));
 };
 
-module.exports = { calculatePrice };
+module.exports = { calculatePrice, getHourlyRate, getPriceBreakdown, applyDiscount };
@@ -0,0 +1,109 @@
+const PromoCode = require('../models/PromoCode.model');
+const PromoRedemption = require('../models/PromoRedemption.model');
+const { normalizePhone } = require('./customer.service');
+
+/**
+ * How many times a customer has redeemed a promo code. Phones are compared normalized,
+ * so the same number typed differently counts as the same customer.
+ *
+ * @param {Object} promo - PromoCode document
+ * @param {string} customerPhone
+ * @param {Object} [session]
+ * @returns {Promise<number>}
+ */
+const countCustomerRedemptions = (promo, customerPhone, session = null) =>
+    PromoRedemption.countDocuments({
+        promoCodeId: promo._id,
+        customerPhone: normalizePhone(customerPhone)
+    }).session(session);
+
+/**
+ * Validates a promo code for a booking and returns the promo document.
+ * Throws a descriptive error when the code cannot be applied.
+ *
+ * @param {string} code - Code entered by staff/customer
+ * @param {Object} context - { court, customerPhone, baseAmount }
+ * @param {Object} [session] - Mongoose session for atomic operations
+ * @returns {Promise<Object>} PromoCode document
+ */
+const validatePromoCode = async (code, { court, customerPhone, baseAmount }, session = null) => {
+    const promo = await PromoCode.findOne({ code: String(code).trim().toUpperCase() }).session(session);
+
+    if (!promo || promo.status !== 'ACTIVE') {
+        throw new Error('Invalid promo code');
+    }
+
+    const now = new Date();
+    if (promo.validFrom && now < promo.validFrom) {
+        throw new Error('Promo code is not valid yet');
+    }
+    if (promo.validTo && now > promo.validTo) {
+        throw new Error('Promo code has expired');
+    }
+
+    if (promo.usageLimit !== null && promo.usageCount >= promo.usageLimit) {
+        throw new Error('Promo code usage limit reached');
+    }
+
+    if (promo.allowedCourts.length > 0 && !promo.allowedCourts.some(id => id.toString() === court._id.toString())) {
+        throw new Error('Promo code is not valid for this court');
+    }
+    if (promo.allowedSports.length > 0 && !promo.allowedSports.includes(court.sportType)) {
+        throw new Error('Promo code is not valid for this sport');
+    }
+
+    if (baseAmount < (promo.minSpend || 0)) {
+        throw new Error(`Promo code requires a minimum spend of ${promo.minSpend}`);
+    }
+
+    if (promo.perCustomerLimit !== null) {
+        if (!customerPhone) {
+            throw new Error('Customer phone is required to apply this promo code');
+        }
+        const customerUses = await countCustomerRedemptions(promo, customerPhone, session);
+        if (customerUses >= promo.perCustomerLimit) {
+            throw new Error('Promo code already used the maximum number of times by this customer');
+        }
+    }
+
+    return promo;
+};
+
+/**
+ * Records a redemption and increments the usage counter.
+ * The increment is guarded so concurrent redemptions cannot exceed usageLimit.
+ *
+ * @param {Object} promo - PromoCode document
+ * @param {Object} redemption - { customerPhone, bookingId, recurringId, discountAmount, redeemedBy }
+ * @param {Object} [session]
+ */
+const recordRedemption = async (promo, redemption, session = null) => {
+    const updated = await PromoCode.findOneAndUpdate(
+        {
+            _id: promo._id,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usageCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usageCount: 1 } },
+        { new: true, session }
+    );
+
+    if (!updated) {
+        throw new Error('Promo code usage limit reached');
+    }
+
+    await PromoRedemption.create([{
+        promoCodeId: promo._id,
+        code: promo.code,
+        ...redemption,
+        customerPhone: normalizePhone(redemption.customerPhone)
+    }], { session });
+};
+
+module.exports = {
+    countCustomerRedemptions,
+    validatePromoCode,
+    recordRedemption
+};
@@ -1,62 +1,155 @@
+const moment = require('moment');
 const RecurringBooking = require('../models/RecurringBooking.model');
-const { createSingleBooking } = require('./bookingCore.service');
+const Booking = require('../models/Booking.model');
+const Settings = require('../models/Settings.model');
+const { createSingleBooking, getBookableCourt, priceBooking } = require('./bookingCore.service');
+const { generateSlots, getSlotDuration } = require('./slotGenerator.service');
+const { parseRRule, expandRRule, getRRule } = require('./rrule.service');
 const mongoose = require('mongoose');
 const { normalizeToMidnight } = require('../utils/dateUtils');
 
-// Helper: Get Day Index (MON = 1, SUN = 0 or 7 depending on lib, let's standardize)
-const DAYS_MAP = {
-    'SUN': 0, 'MON': 1, 'TUE': 2, 'WED': 3, 'THU': 4, 'FRI': 5, 'SAT': 6
-};
-
 /**
  * Generate dates based on recurrence rule
+ * WEEKLY and MONTHLY rules are expanded through their RRULE translation (see rrule.service).
  * @param {Object} rule - RecurringBooking document
+ * @param {Object} [options] - { until }: last date for a rule without an end date
  * @returns {Array<Date>} - List of dates to book
  */
-const generateDates = (rule) => {
-    const dates = [];
-    // Start from rule start date or NOW, whichever is later (for future generation)
-    // But for initial creation, we might want to respect startDate even if today.
-    // Let's assume startDate is standard.
-
-    let currentDate = normalizeToMidnight(rule.startDate);
-    let endDate = rule.endDate ? normalizeToMidnight(rule.endDate) : new Date(currentDate);
-
-    // If no end date, generate for next 3 months by default (as a reasonable limit)
-    if (!rule.endDate) {
-        endDate.setMonth(endDate.getMonth() + 3);
+const generateDates = (rule, { until = null } = {}) => {
+    const rrule = getRRule(rule);
+    if (!rrule) return [];
+
+    const parsed = parseRRule(rrule);
+    const startDate = normalizeToMidnight(rule.startDate);
+    let endDate = rule.endDate ? normalizeToMidnight(rule.endDate) : null;
+
+    // If no end date (and no COUNT/UNTIL in the RRULE), generate up to `until` (see getHorizonEnd),
+    // or for next 3 months by default
+    if (!endDate && !parsed.count && !parsed.until) {
+        if (until) {
+            endDate = normalizeToMidnight(until);
+        } else {
+            endDate = new Date(startDate);
+            endDate.setMonth(endDate.getMonth() + 3);
+        }
     }
 
-    // Ensure times are at midnight (redundant but safe)
-    currentDate = normalizeToMidnight(currentDate);
-    endDate = normalizeToMidnight(endDate);
+    return expandRRule(parsed, startDate, endDate);
+};
 
-    const targetDayIndexes = rule.daysOfWeek?.map(d => DAYS_MAP[d]);
+/**
+ * Last date an open-ended rule is booked up to: Settings.recurringHorizonWeeks ahead of today,
+ * or of the rule's start date if it starts later. Rules with an end date are booked to the end.
+ *
+ * @param {Object} rule - RecurringBooking document
+ * @param {Object} settings - Settings document
+ * @returns {Date}
+ */
+const getHorizonEnd = (rule, settings) =>
+    moment.max(moment().startOf('day'), moment(normalizeToMidnight(rule.startDate)))
+        .add(settings.recurringHorizonWeeks, 'weeks')
+        .toDate();
 
-    while (currentDate <= endDate) {
-        if (rule.recurrenceType === 'WEEKLY') {
-            if (targetDayIndexes.includes(currentDate.getDay())) {
-                dates.push(normalizeToMidnight(currentDate));
-            }
-        } else if (rule.recurrenceType === 'MONTHLY') {
-            if (currentDate.getDate() === rule.fixedDate) {
-                dates.push(normalizeToMidnight(currentDate));
-            }
-        }
+const dateKey = (date) => moment(date).format('YYYY-MM-DD');
 
-        // Advance one day
-        currentDate.setDate(currentDate.getDate() + 1);
+// Date of the occurrence a booking was made for (a rescheduled booking keeps its original date in history)
+const getOccurrenceKey = (booking) =>
+    dateKey(booking.history && booking.history.length > 0 ? booking.history[0].bookingDate : booking.bookingDate);
+
+/**
+ * The occurrences a rule books: its generated dates minus skip dates, with any
+ * per-date override applied to the court, times and price.
+ *
+ * @param {Object} rule - RecurringBooking document
+ * @param {Object} [options] - Passed to generateDates
+ * @returns {Array<Object>} [{ date, courtId, startTime, endTime, priceOverride, overridden }]
+ */
+const getOccurrences = (rule, options = {}) => {
+    const skipped = new Set((rule.skipDates || []).map(dateKey));
+    const overrides = new Map((rule.overrides || []).map(override => [dateKey(override.date), override]));
+
+    return generateDates(rule, options)
+        .filter(date => !skipped.has(dateKey(date)))
+        .map(date => {
+            const override = overrides.get(dateKey(date));
+            return {
+                date,
+                courtId: (override && override.courtId) || rule.courtId,
+                startTime: (override && override.startTime) || rule.startTime,
+                endTime: (override && override.endTime) || rule.endTime,
+                priceOverride: override && override.price !== null && override.price !== undefined ? override.price : null,
+                overridden: Boolean(override)
+            };
+        });
+};
+
+/**
+ * Whether the rule's promo code can still be applied to an occurrence (validity window, usage
+ * limits and minimum spend are checked again for every occurrence).
+ */
+const canApplyPromo = async (rule, occurrence, session) => {
+    const court = await getBookableCourt(occurrence.courtId, session);
+    const settings = await Settings.getSettings();
+    const slots = generateSlots(occurrence.startTime, occurrence.endTime, getSlotDuration(court, settings));
+
+    try {
+        await priceBooking(court, slots, occurrence.date, { promoCode: rule.promoCode, customerPhone: rule.customerPhone }, session);
+        return true;
+    } catch (error) {
+        return false;
     }
-    return dates;
+};
+
+/**
+ * Creates the booking of one occurrence, linked to the rule through recurringId.
+ * A rule's promo code is redeemed per occurrence, like a single booking: each booking re-validates
+ * the code and records its own redemption. Once the code has expired or run out of uses, later
+ * occurrences (e.g. those the horizon job books) are priced without it. Occurrences with a fixed
+ * price override do not use the code.
+ *
+ * @param {Object} rule - RecurringBooking document
+ * @param {Object} occurrence - From getOccurrences
+ * @param {Object} session
+ * @returns {Promise<Object>} The created Booking document
+ */
+const bookOccurrence = async (rule, occurrence, session) => {
+    const usePromo = Boolean(rule.promoCode) && occurrence.priceOverride === null &&
+        await canApplyPromo(rule, occurrence, session);
+
+    return createSingleBooking({
+        customerName: rule.customerName,
+        customerPhone: rule.customerPhone,
+        sportType: rule.sportType,
+        courtId: occurrence.courtId,
+        bookingDate: occurrence.date,
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        // Use values from the recurring rule
+        advancePaid: 0, // Advance is attached to the Subscription, not individual booking
+        paymentStatus: rule.paymentStatus === 'PAID' ? 'PAID' : 'PENDING',
+        paymentMode: 'CASH', // Default, maybe add to rule too later if needed
+        // A promo rule's discount comes from the code only, so it ends when the code does
+        discountType: rule.promoCode ? 'NONE' : rule.discountType || 'NONE',
+        discountValue: rule.promoCode ? 0 : rule.discountValue || 0,
+        priceOverride: occurrence.priceOverride,
+        promoCode: usePromo ? rule.promoCode : null,
+        createdBy: rule.createdBy,
+        source: 'RECURRING',
+        recurringId: rule._id
+    }, session);
 };
 
 /**
  * Process a recurring rule and generate bookings
+ * Open-ended rules are generated up to their horizon (see getHorizonEnd). Occurrences that already
+ * have a booking (in any status, trashed included, so cancelled or deleted dates are not booked again)
+ * are left alone, which makes re-running it safe.
  * @param {String} ruleId 
  * @param {Object} session (optional)
- * @returns {Object} result stats
+ * @param {Object} options (optional) - { upcomingOnly }: leave out occurrences that have already started
+ * @returns {Object} result stats - { success, failed, existing, conflicts }
  */
-const processRecurringBooking = async (ruleId, externalSession = null) => {
+const processRecurringBooking = async (ruleId, externalSession = null, { upcomingOnly = false } = {}) => {
     const localSession = externalSession ? null : await mongoose.startSession();
     if (localSession) localSession.startTransaction();
     const session = externalSession || localSession;
@@ -67,39 +160,42 @@ const processRecurringBooking = async (ruleId, externalSession = null) => {
             throw new Error('Rule not found or inactive');
         }
 
-        const datesToBook = generateDates(rule);
+        const settings = await Settings.getSettings();
+        // Trashed occurrences count too, so a deleted date is not booked again
+        const existing = await Booking.find({ recurringId: rule._id })
+            .setOptions({ withDeleted: true })
+            .select('bookingDate history')
+            .session(session)
+            .lean();
+        const booked = new Set(existing.map(getOccurrenceKey));
+
+        // Skipped dates are left out; overridden ones use their own court, times and price
+        const occurrences = getOccurrences(rule, { until: getHorizonEnd(rule, settings) });
+        const now = moment();
         const results = {
             success: 0,
             failed: 0,
+            existing: 0,
             conflicts: []
         };
 
-        for (const date of datesToBook) {
+        for (const occurrence of occurrences) {
+            if (booked.has(dateKey(occurrence.date))) {
+                results.existing++;
+                continue;
+            }
+            if (upcomingOnly && !moment(dateKey(occurrence.date) + ' ' + occurrence.startTime, 'YYYY-MM-DD HH:mm').isAfter(now)) {
+                continue;
+            }
+
             try {
-                await createSingleBooking({
-                    customerName: rule.customerName,
-                    customerPhone: rule.customerPhone,
-                    sportType: rule.sportType,
-                    courtId: rule.courtId,
-                    bookingDate: date,
-                    startTime: rule.startTime,
-                    endTime: rule.endTime,
-                    // Use values from the recurring rule
-                    advancePaid: 0, // Advance is attached to the Subscription, not individual booking
-                    paymentStatus: rule.paymentStatus === 'PAID' ? 'PAID' : 'PENDING',
-                    paymentMode: 'CASH', // Default, maybe add to rule too later if needed
-                    discountType: rule.discountType || 'NONE',
-                    discountValue: rule.discountValue || 0,
-                    createdBy: rule.createdBy,
-                    source: 'RECURRING',
-                    recurringId: rule._id
-                }, session);
+                await bookOccurrence(rule, occurrence, session);
 
                 results.success++;
             } catch (error) {
                 results.failed++;
                 results.conflicts.push({
-                    date: date.toISOString().split('T')[0],
+                    date: occurrence.date.toISOString().split('T')[0],
                     reason: error.message
                 });
                 // We Continue processing other dates even if one fails
@@ -124,5 +220,9 @@ const processRecurringBooking = async (ruleId, externalSession = null) => {
 
 module.exports = {
     generateDates,
+    getHorizonEnd,
+    getOccurrenceKey,
+    getOccurrences,
+    bookOccurrence,
     processRecurringBooking
 };
@@ -0,0 +1,82 @@
+const RecurringBooking = require('../models/RecurringBooking.model');
+const RecurringGenerationRun = require('../models/RecurringGenerationRun.model');
+const Settings = require('../models/Settings.model');
+const { processRecurringBooking, getHorizonEnd } = require('./recurringGenerator.service');
+
+/**
+ * Books every ACTIVE open-ended rule up to its horizon (Settings.recurringHorizonWeeks ahead).
+ * Each rule runs in its own transaction, so a failing rule does not hold back the others.
+ * Occurrences that already have a booking are left alone, so runs can be repeated safely.
+ * The outcome, including every conflict, is saved as a RecurringGenerationRun.
+ *
+ * @param {Object} [options] - { trigger: 'CRON' | 'MANUAL', triggeredBy: User ID }
+ * @returns {Promise<Object>} The saved RecurringGenerationRun document
+ */
+const extendOpenEndedRules = async ({ trigger = 'CRON', triggeredBy = null } = {}) => {
+    const settings = await Settings.getSettings();
+    const run = new RecurringGenerationRun({
+        trigger,
+        triggeredBy,
+        horizonWeeks: settings.recurringHorizonWeeks,
+        startedAt: new Date()
+    });
+
+    const rules = await RecurringBooking.find({ status: 'ACTIVE', endDate: null })
+        .select('customerName startDate')
+        .lean();
+
+    for (const rule of rules) {
+        const result = {
+            recurringId: rule._id,
+            customerName: rule.customerName,
+            horizonEnd: getHorizonEnd(rule, settings),
+            created: 0,
+            conflicts: []
+        };
+
+        try {
+            const { success, conflicts } = await processRecurringBooking(rule._id, null, { upcomingOnly: true });
+            result.created = success;
+            result.conflicts = conflicts;
+        } catch (error) {
+            result.error = error.message;
+            run.failedRules++;
+        }
+
+        run.rulesChecked++;
+        run.bookingsCreated += result.created;
+        run.conflictCount += result.conflicts.length;
+        if (result.created > 0 || result.conflicts.length > 0 || result.error) {
+            run.rules.push(result);
+        }
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+
+    return run;
+};
+
+/**
+ * Past horizon job runs, newest first.
+ *
+ * @param {Object} params - { page, limit }
+ * @returns {Promise<Object>} { total, data }
+ */
+const getGenerationRuns = async ({ page = 1, limit = 20 }) => {
+    const [total, data] = await Promise.all([
+        RecurringGenerationRun.countDocuments(),
+        RecurringGenerationRun.find()
+            .sort({ startedAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .lean()
+    ]);
+
+    return { total, data };
+};
+
+module.exports = {
+    extendOpenEndedRules,
+    getGenerationRuns
+};
@@ -0,0 +1,409 @@
+const moment = require('moment');
+const RecurringBooking = require('../models/RecurringBooking.model');
+const Booking = require('../models/Booking.model');
+const BookingSlot = require('../models/BookingSlot.model');
+const Payment = require('../models/Payment.model');
+const PaymentTransaction = require('../models/PaymentTransaction.model');
+const Settings = require('../models/Settings.model');
+const PromoCode = require('../models/PromoCode.model');
+const { generateDates, getHorizonEnd, getOccurrenceKey, getOccurrences, bookOccurrence } = require('./recurringGenerator.service');
+const { getBookableCourt, priceBooking } = require('./bookingCore.service');
+const { generateSlots, getSlotDuration, validateSlotAlignment } = require('./slotGenerator.service');
+const { moveBooking } = require('./reschedule.service');
+const { applyCancellationPolicy } = require('./cancellation.service');
+const { syncPaymentFromLedger } = require('./paymentLedger.service');
+const { normalizeToMidnight } = require('../utils/dateUtils');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const dateKey = (date) => moment(date).format('YYYY-MM-DD');
+
+const hasStarted = (date, startTime) =>
+    !moment(dateKey(date) + ' ' + startTime, 'YYYY-MM-DD HH:mm').isAfter(moment());
+
+/**
+ * Loads a rule and checks that the date is one of its occurrences.
+ */
+const loadOccurrence = async (ruleId, date, session) => {
+    const rule = await RecurringBooking.findById(ruleId).session(session);
+    if (!rule) {
+        throw new Error('Rule not found');
+    }
+
+    const occurrenceDate = normalizeToMidnight(date);
+    if (!occurrenceDate || isNaN(occurrenceDate.getTime())) {
+        throw new Error('Please provide the occurrence date (YYYY-MM-DD)');
+    }
+    if (!generateDates(rule, { until: occurrenceDate }).some(d => dateKey(d) === dateKey(occurrenceDate))) {
+        throw new Error(`${dateKey(occurrenceDate)} is not a date of this recurring rule`);
+    }
+
+    const skipped = rule.skipDates.some(d => dateKey(d) === dateKey(occurrenceDate));
+    return { rule, occurrenceDate, skipped };
+};
+
+/**
+ * The booking of an occurrence. A rescheduled booking is found by its original date (first history entry).
+ */
+const findOccurrenceBooking = (rule, occurrenceDate, session) => Booking.findOne({
+    recurringId: rule._id,
+    $or: [
+        { bookingDate: occurrenceDate, 'history.0': { $exists: false } },
+        { 'history.0.bookingDate': occurrenceDate }
+    ]
+}).sort({ createdAt: -1 }).session(session);
+
+/**
+ * Re-prices an occurrence's booking with the rule's discount or the override price,
+ * keeping what has been collected on the payment. A booking that redeemed the rule's promo code
+ * keeps the promo's discount (its redemption is already recorded); otherwise a promo rule has none.
+ */
+const repriceOccurrenceBooking = async (booking, rule, occurrence, session) => {
+    const court = await getBookableCourt(booking.courtId, session);
+    const settings = await Settings.getSettings();
+    const slots = generateSlots(booking.startTime, booking.endTime, getSlotDuration(court, settings));
+
+    let discount = rule.promoCode
+        ? { discountType: 'NONE', discountValue: 0 }
+        : { discountType: rule.discountType || 'NONE', discountValue: rule.discountValue || 0 };
+    if (booking.promoCodeId) {
+        const promo = await PromoCode.findById(booking.promoCodeId).session(session).lean();
+        if (promo) discount = { discountType: promo.discountType, discountValue: promo.discountValue };
+    }
+
+    const pricing = await priceBooking(court, slots, booking.bookingDate, {
+        ...discount,
+        priceOverride: occurrence.priceOverride
+    }, session);
+
+    booking.baseAmount = pricing.baseAmount;
+    booking.priceBreakdown = pricing.priceBreakdown;
+    booking.discountType = pricing.discountType;
+    booking.discountValue = pricing.discountValue;
+    booking.finalAmount = pricing.finalAmount;
+    await booking.save({ session });
+
+    const payment = await Payment.findOne({ bookingId: booking._id }).session(session);
+    if (payment) {
+        payment.totalAmount = booking.finalAmount;
+        await syncPaymentFromLedger(payment, session);
+    }
+};
+
+/**
+ * Leaves one date out of a series. Its booking, if still active, is cancelled without a fee.
+ *
+ * @param {string} ruleId
+ * @param {Date|string} date - Occurrence date
+ * @param {string} skippedBy - User ID
+ * @param {Object} session
+ * @returns {Promise<Object>} { rule, cancelledBooking }
+ */
+const skipOccurrence = async (ruleId, date, skippedBy, session) => {
+    const { rule, occurrenceDate, skipped } = await loadOccurrence(ruleId, date, session);
+    if (skipped) {
+        throw new Error(`${dateKey(occurrenceDate)} is already skipped`);
+    }
+
+    const booking = await findOccurrenceBooking(rule, occurrenceDate, session);
+    let cancelledBooking = null;
+
+    if (booking && booking.status === 'BOOKED') {
+        if (hasStarted(booking.bookingDate, booking.startTime)) {
+            throw new Error('Cannot skip an occurrence that has already started');
+        }
+
+        booking.status = 'CANCELLED';
+        await booking.save({ session });
+        await BookingSlot.updateMany({ bookingId: booking._id }, { status: 'CANCELLED' }, { session });
+
+        // The venue is dropping the date, so the customer gets everything back
+        await applyCancellationPolicy(booking, { cancelledBy: skippedBy, waiveFee: true }, session);
+        cancelledBooking = booking;
+    }
+
+    rule.skipDates.push(occurrenceDate);
+    rule.overrides = rule.overrides.filter(override => dateKey(override.date) !== dateKey(occurrenceDate));
+    await rule.save({ session });
+
+    return { rule, cancelledBooking };
+};
+
+/**
+ * Puts a skipped date back into the series and books it again if it is still ahead.
+ * Fails (and stays skipped) if the time has been taken in the meantime.
+ *
+ * @param {string} ruleId
+ * @param {Date|string} date - Occurrence date
+ * @param {Object} session
+ * @returns {Promise<Object>} { rule, booking }
+ */
+const unskipOccurrence = async (ruleId, date, session) => {
+    const { rule, occurrenceDate, skipped } = await loadOccurrence(ruleId, date, session);
+    if (!skipped) {
+        throw new Error(`${dateKey(occurrenceDate)} is not skipped`);
+    }
+
+    rule.skipDates = rule.skipDates.filter(d => dateKey(d) !== dateKey(occurrenceDate));
+    await rule.save({ session });
+
+    let booking = null;
+    const occurrence = getOccurrences(rule, { until: occurrenceDate }).find(o => dateKey(o.date) === dateKey(occurrenceDate));
+    if (rule.status === 'ACTIVE' && !hasStarted(occurrence.date, occurrence.startTime)) {
+        booking = await bookOccurrence(rule, occurrence, session);
+    }
+
+    return { rule, booking };
+};
+
+/**
+ * Changes the court, times and/or price of a single occurrence. The rest of the series is untouched.
+ * An existing booking is moved (see reschedule.service) and re-priced; it keeps its recurringId.
+ * A price of null removes an earlier price override.
+ *
+ * @param {string} ruleId
+ * @param {Date|string} date - Occurrence date
+ * @param {Object} changes - { courtId, startTime, endTime, price }
+ * @param {string} changedBy - User ID
+ * @param {Object} session
+ * @returns {Promise<Object>} { rule, occurrence, booking, freed } - freed: the booking's old schedule if it was moved
+ */
+const overrideOccurrence = async (ruleId, date, changes, changedBy, session) => {
+    const { courtId, startTime, endTime, price } = changes;
+    if (courtId === undefined && startTime === undefined && endTime === undefined && price === undefined) {
+        throw new Error('Please provide a court, start time, end time or price');
+    }
+    [startTime, endTime].forEach(time => {
+        if (time && !TIME_PATTERN.test(time)) {
+            throw new Error('Please provide a valid time in HH:mm format');
+        }
+    });
+    if (price !== undefined && price !== null && !(Number(price) >= 0)) {
+        throw new Error('Price must be zero or more');
+    }
+
+    const { rule, occurrenceDate, skipped } = await loadOccurrence(ruleId, date, session);
+    if (skipped) {
+        throw new Error(`${dateKey(occurrenceDate)} is skipped; restore it first`);
+    }
+
+    // Merge with any earlier override of the same date
+    const existing = rule.overrides.find(override => dateKey(override.date) === dateKey(occurrenceDate));
+    const override = {
+        date: occurrenceDate,
+        courtId: existing ? existing.courtId : null,
+        startTime: existing ? existing.startTime : null,
+        endTime: existing ? existing.endTime : null,
+        price: existing ? existing.price : null
+    };
+    if (courtId !== undefined) override.courtId = courtId || null;
+    if (startTime !== undefined) override.startTime = startTime || null;
+    if (endTime !== undefined) override.endTime = endTime || null;
+    if (price !== undefined) override.price = price === null ? null : Number(price);
+
+    // An override with nothing left in it is dropped
+    const isEmpty = !override.courtId && !override.startTime && !override.endTime && override.price === null;
+    rule.overrides = [
+        ...rule.overrides.filter(o => dateKey(o.date) !== dateKey(occurrenceDate)),
+        ...(isEmpty ? [] : [override])
+    ];
+
+    const occurrence = getOccurrences(rule, { until: occurrenceDate }).find(o => dateKey(o.date) === dateKey(occurrenceDate));
+    if (hasStarted(occurrence.date, occurrence.startTime)) {
+        throw new Error('Cannot change an occurrence that has already started');
+    }
+
+    const court = await getBookableCourt(occurrence.courtId, session);
+    if (rule.sportType && court.sportType !== rule.sportType) {
+        throw new Error(`The court is not a ${rule.sportType} court`);
+    }
+    const settings = await Settings.getSettings();
+    validateSlotAlignment(occurrence.startTime, occurrence.endTime, getSlotDuration(court, settings));
+
+    await rule.save({ session });
+
+    let booking = await findOccurrenceBooking(rule, occurrenceDate, session);
+
+    if (!booking) {
+        // Not generated yet (or it failed on a conflict before): book it with the override
+        if (rule.status === 'ACTIVE') {
+            booking = await bookOccurrence(rule, occurrence, session);
+        }
+        return { rule, occurrence, booking, freed: null };
+    }
+
+    if (booking.status !== 'BOOKED') {
+        throw new Error(`The booking of this occurrence is already ${booking.status.toLowerCase()}`);
+    }
+
+    const isMoved =
+        booking.courtId.toString() !== occurrence.courtId.toString() ||
+        dateKey(booking.bookingDate) !== dateKey(occurrence.date) ||
+        booking.startTime !== occurrence.startTime ||
+        booking.endTime !== occurrence.endTime;
+
+    const freed = isMoved ? {
+        _id: booking._id,
+        courtId: booking.courtId,
+        bookingDate: booking.bookingDate,
+        startTime: booking.startTime,
+        endTime: booking.endTime
+    } : null;
+
+    if (isMoved) {
+        // Price is settled below from the rule and override
+        await moveBooking(booking._id, {
+            courtId: occurrence.courtId.toString(),
+            bookingDate: occurrence.date,
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            keepPrice: true,
+            reason: 'Recurring occurrence changed'
+        }, changedBy, session);
+        booking = await Booking.findById(booking._id).session(session);
+    }
+
+    await repriceOccurrenceBooking(booking, rule, occurrence, session);
+
+    return { rule, occurrence, booking, freed };
+};
+
+/**
+ * Why a booking of the series has to stay as it is on regeneration, or null if it may be replaced.
+ * MODIFIED: rescheduled, overridden or edited away from the previous rule's court and times.
+ * PAID: money recorded against the occurrence itself (the automatic full payment of a PAID rule does not count).
+ */
+const getKeepReason = (booking, previous, transactionCounts) => {
+    const overridden = (previous.overrides || []).some(override => dateKey(override.date) === getOccurrenceKey(booking));
+    if (
+        booking.history.length > 0 ||
+        overridden ||
+        booking.noShow ||
+        booking.courtId.toString() !== previous.courtId.toString() ||
+        booking.startTime !== previous.startTime ||
+        booking.endTime !== previous.endTime
+    ) {
+        return 'MODIFIED';
+    }
+
+    const automaticEntries = previous.paymentStatus === 'PAID' ? 1 : 0;
+    if ((transactionCounts.get(booking._id.toString()) || 0) > automaticEntries) {
+        return 'PAID';
+    }
+    return null;
+};
+
+/**
+ * Brings the future bookings of a rule in line with the rule after an edit of its schedule.
+ * Only bookings that have not started yet are touched, and of those only unpaid, unmodified ones:
+ * they are kept when they still match an occurrence and cancelled (without a fee) otherwise.
+ * Occurrences left without a booking are then booked; the ones that cannot be are reported as conflicts.
+ * Dates of the series that were cancelled, marked no-show or deleted are not booked again.
+ *
+ * @param {Object} rule - RecurringBooking document, already updated
+ * @param {Object} previous - The rule as it was before the edit (plain object)
+ * @param {string} changedBy - User ID
+ * @param {Object} session
+ * @returns {Promise<Object>} { removed, added, conflicts, kept, cancelledBookings }
+ *   removed/added: dates (YYYY-MM-DD); conflicts: [{ date, reason }]; kept: [{ date, reason }]
+ */
+const regenerateFutureOccurrences = async (rule, previous, changedBy, session) => {
+    const report = { removed: [], added: [], conflicts: [], kept: [], cancelledBookings: [] };
+
+    const bookings = (await Booking.find({
+        recurringId: rule._id,
+        status: 'BOOKED',
+        bookingDate: { $gte: moment().startOf('day').toDate() }
+    }).sort({ bookingDate: 1 }).session(session))
+        .filter(booking => !hasStarted(booking.bookingDate, booking.startTime));
+
+    const transactions = await PaymentTransaction.find({ bookingId: { $in: bookings.map(b => b._id) } })
+        .select('bookingId')
+        .session(session)
+        .lean();
+    const transactionCounts = transactions.reduce((counts, t) => {
+        const key = t.bookingId.toString();
+        counts.set(key, (counts.get(key) || 0) + 1);
+        return counts;
+    }, new Map());
+
+    // Occurrences the edited rule wants from now on (none while the rule is paused), up to its horizon
+    // or the last booking already made, whichever is later
+    const settings = await Settings.getSettings();
+    const lastBooking = bookings[bookings.length - 1];
+    const until = lastBooking
+        ? moment.max(moment(getHorizonEnd(rule, settings)), moment(lastBooking.bookingDate)).toDate()
+        : getHorizonEnd(rule, settings);
+    const wanted = new Map(
+        (rule.status === 'ACTIVE' ? getOccurrences(rule, { until }) : [])
+            .filter(occurrence => !hasStarted(occurrence.date, occurrence.startTime))
+            .map(occurrence => [dateKey(occurrence.date), occurrence])
+    );
+    const covered = new Set();
+
+    // Dates the series had already given up (cancelled, no-show or trashed). Only dates the previous
+    // rule booked count, so dates dropped by an earlier schedule edit can come back.
+    const previousKeys = new Set(getOccurrences(previous, { until }).map(occurrence => dateKey(occurrence.date)));
+    const settled = new Set((await Booking.find({
+        recurringId: rule._id,
+        bookingDate: { $gte: moment().startOf('day').toDate() },
+        $or: [{ status: { $ne: 'BOOKED' } }, { noShow: true }, { deletedAt: { $ne: null } }]
+    }).setOptions({ withDeleted: true }).select('bookingDate history').session(session).lean())
+        .map(getOccurrenceKey)
+        .filter(key => previousKeys.has(key)));
+    // A date that still had a live booking was not given up, whatever happened to it before
+    bookings.forEach(booking => settled.delete(getOccurrenceKey(booking)));
+
+    // 1. Keep what still matches or may not be touched; cancel the rest to free their time
+    for (const booking of bookings) {
+        const key = getOccurrenceKey(booking);
+        const keepReason = getKeepReason(booking, previous, transactionCounts);
+
+        if (keepReason) {
+            report.kept.push({ date: key, reason: keepReason });
+            covered.add(key);
+            continue;
+        }
+
+        const occurrence = wanted.get(key);
+        const stillMatches = occurrence && !covered.has(key) &&
+            booking.courtId.toString() === occurrence.courtId.toString() &&
+            dateKey(booking.bookingDate) === key &&
+            booking.startTime === occurrence.startTime &&
+            booking.endTime === occurrence.endTime;
+
+        if (stillMatches) {
+            covered.add(key);
+            continue;
+        }
+
+        booking.status = 'CANCELLED';
+        await booking.save({ session });
+        await BookingSlot.updateMany({ bookingId: booking._id }, { status: 'CANCELLED' }, { session });
+        await applyCancellationPolicy(booking, { cancelledBy: changedBy, waiveFee: true }, session);
+
+        report.removed.push(dateKey(booking.bookingDate));
+        report.cancelledBookings.push(booking);
+    }
+
+    // 2. Book the occurrences that have no booking now
+    for (const [key, occurrence] of wanted) {
+        if (covered.has(key) || settled.has(key)) continue;
+
+        try {
+            await bookOccurrence(rule, occurrence, session);
+            report.added.push(key);
+        } catch (error) {
+            report.conflicts.push({ date: key, reason: error.message });
+        }
+    }
+
+    return report;
+};
+
+module.exports = {
+    regenerateFutureOccurrences,
+    skipOccurrence,
+    unskipOccurrence,
+    overrideOccurrence
+};
@@ -0,0 +1,222 @@
+const moment = require('moment');
+const Booking = require('../models/Booking.model');
+const BookingSlot = require('../models/BookingSlot.model');
+const Settings = require('../models/Settings.model');
+const { generateDates, getHorizonEnd } = require('./recurringGenerator.service');
+const { getRRule } = require('./rrule.service');
+const { getBookableCourt, priceBooking } = require('./bookingCore.service');
+const { countCustomerRedemptions } = require('./promoCode.service');
+const { generateSlots, generateDatedSlots, buildSlotFilter, getSlotDuration, validateSlotAlignment } = require('./slotGenerator.service');
+const { findBlackouts, isRangeBlocked, formatBlackouts } = require('./blackout.service');
+const { isWithinOperatingHours } = require('./operatingHours.service');
+const { findAlternativeSlots } = require('./slotSuggestion.service');
+const { normalizeToMidnight } = require('../utils/dateUtils');
+
+// Alternative courts suggested per date that cannot be booked
+const MAX_ALTERNATIVES = 3;
+
+const dateKey = (date) => moment(date).format('YYYY-MM-DD');
+
+/**
+ * Who holds the slots of each date: bookings (with the customer) and unexpired holds.
+ *
+ * @returns {Promise<Map<string, Array<Object>>>} Keyed by occurrence date (YYYY-MM-DD)
+ */
+const findOccupants = async (courtId, dates, startTime, endTime) => {
+    const datedSlotsByDate = new Map(dates.map(date => [dateKey(date), generateDatedSlots(date, startTime, endTime)]));
+
+    const taken = await BookingSlot.find({
+        courtId,
+        $and: [
+            buildSlotFilter([...datedSlotsByDate.values()].flat()),
+            {
+                $or: [
+                    { status: 'BOOKED' },
+                    { status: 'HELD', holdExpiresAt: { $gt: new Date() } }
+                ]
+            }
+        ]
+    }).select('bookingId bookingDate slotTime holdId holdExpiresAt').lean();
+
+    const bookings = await Booking.find({ _id: { $in: taken.filter(slot => slot.bookingId).map(slot => slot.bookingId) } })
+        .select('customerName customerPhone startTime endTime source recurringId')
+        .lean();
+    const bookingMap = new Map(bookings.map(booking => [booking._id.toString(), booking]));
+
+    const occupants = new Map();
+    for (const [key, datedSlots] of datedSlotsByDate) {
+        const slotKeys = new Set(datedSlots.map(slot => `${dateKey(slot.bookingDate)} ${slot.slotTime}`));
+        const byOccupant = new Map();
+
+        taken
+            .filter(slot => slotKeys.has(`${dateKey(slot.bookingDate)} ${slot.slotTime}`))
+            .forEach(slot => {
+                const occupantKey = slot.bookingId ? slot.bookingId.toString() : `HOLD ${slot.holdId}`;
+                if (!byOccupant.has(occupantKey)) {
+                    const booking = slot.bookingId && bookingMap.get(slot.bookingId.toString());
+                    byOccupant.set(occupantKey, booking ? {
+                        type: 'BOOKING',
+                        bookingId: booking._id,
+                        customerName: booking.customerName,
+                        customerPhone: booking.customerPhone,
+                        startTime: booking.startTime,
+                        endTime: booking.endTime,
+                        source: booking.source,
+                        recurringId: booking.recurringId,
+                        slotTimes: []
+                    } : {
+                        type: 'HOLD',
+                        holdId: slot.holdId,
+                        holdExpiresAt: slot.holdExpiresAt,
+                        slotTimes: []
+                    });
+                }
+                byOccupant.get(occupantKey).slotTimes.push(slot.slotTime);
+            });
+
+        occupants.set(key, [...byOccupant.values()].map(occupant => ({ ...occupant, slotTimes: occupant.slotTimes.sort() })));
+    }
+
+    return occupants;
+};
+
+/**
+ * How many more times a customer can redeem a promo code (Infinity without limits).
+ */
+const getRemainingPromoUses = async (promo, customerPhone) => {
+    let left = promo.usageLimit !== null ? promo.usageLimit - promo.usageCount : Infinity;
+    if (promo.perCustomerLimit !== null) {
+        const customerUses = await countCustomerRedemptions(promo, customerPhone);
+        left = Math.min(left, promo.perCustomerLimit - customerUses);
+    }
+    return left;
+};
+
+/**
+ * Dry run of creating a recurring rule: the dates it would book, whether each one can be booked
+ * (and if not, what is in the way), its price and the total. Nothing is written.
+ * Open-ended rules are previewed up to the horizon they would be booked to on creation.
+ *
+ * @param {Object} params - Same body as POST /api/recurring-bookings: { courtId, recurrenceType, daysOfWeek,
+ *   fixedDate, rrule, startDate, endDate, startTime, endTime, discountType, discountValue, promoCode, customerPhone }
+ * @returns {Promise<Object>} { court, rrule, startDate, endDate, horizonEnd, startTime, endTime, totalDates,
+ *   bookableDates, canCreate, promoCode, totals: { baseAmount, discountAmount, finalAmount },
+ *   dates: [{ date, day, status, baseAmount, discountAmount, finalAmount, promoApplied, conflicts, blackouts, alternatives }] }
+ *   status: AVAILABLE, CONFLICT (booked or held), BLOCKED (blackout) or OUTSIDE_HOURS
+ */
+const previewRecurringRule = async (params) => {
+    const { courtId, startTime, endTime, promoCode, customerPhone } = params;
+    if (!courtId || !startTime || !endTime || !params.startDate) {
+        throw new Error('Court, start date, start time and end time are required');
+    }
+
+    const ruleMock = {
+        startDate: normalizeToMidnight(params.startDate),
+        endDate: normalizeToMidnight(params.endDate),
+        recurrenceType: params.rrule ? 'RRULE' : params.recurrenceType,
+        daysOfWeek: params.daysOfWeek,
+        fixedDate: params.fixedDate,
+        rrule: params.rrule
+    };
+
+    const settings = await Settings.getSettings();
+    const horizonEnd = ruleMock.endDate ? null : getHorizonEnd(ruleMock, settings);
+    const dates = generateDates(ruleMock, { until: horizonEnd });
+    if (dates.length === 0) {
+        throw new Error('No valid dates found in the specified range');
+    }
+
+    const court = await getBookableCourt(courtId);
+    const slotDuration = getSlotDuration(court, settings);
+    validateSlotAlignment(startTime, endTime, slotDuration);
+    const slots = generateSlots(startTime, endTime, slotDuration);
+
+    // As on creation, an unusable promo code is rejected up front. Each booking then redeems the code
+    // on its own (see bookOccurrence), so only as many bookable dates as it has uses left get it.
+    let { discountType = 'NONE', discountValue = 0 } = params;
+    let promo = null;
+    let promoUsesLeft = 0;
+    if (promoCode) {
+        ({ promo } = await priceBooking(court, slots, dates[0], { promoCode, customerPhone }));
+        discountType = 'NONE';
+        discountValue = 0;
+        promoUsesLeft = await getRemainingPromoUses(promo, customerPhone);
+    }
+
+    const occupants = await findOccupants(court._id, dates, startTime, endTime);
+    const blackouts = await findBlackouts(court._id, dates[0], moment(dates[dates.length - 1]).add(1, 'day').toDate());
+
+    const totals = { baseAmount: 0, discountAmount: 0, finalAmount: 0 };
+    const preview = [];
+
+    for (const date of dates) {
+        const datedSlots = generateDatedSlots(date, startTime, endTime);
+        const dateBlackouts = blackouts.filter(blackout => isRangeBlocked([blackout], court._id, datedSlots));
+        const conflicts = occupants.get(dateKey(date));
+
+        let status = 'AVAILABLE';
+        if (!isWithinOperatingHours(court, settings, date, startTime, endTime)) {
+            status = 'OUTSIDE_HOURS';
+        } else if (dateBlackouts.length > 0) {
+            status = 'BLOCKED';
+        } else if (conflicts.length > 0) {
+            status = 'CONFLICT';
+        }
+
+        let pricing = await priceBooking(court, slots, date, { discountType, discountValue });
+        const promoApplied = Boolean(promo) && status === 'AVAILABLE' && promoUsesLeft > 0 &&
+            pricing.baseAmount >= (promo.minSpend || 0);
+        if (promoApplied) {
+            promoUsesLeft--;
+            pricing = await priceBooking(court, slots, date, { discountType: promo.discountType, discountValue: promo.discountValue });
+        }
+        if (status === 'AVAILABLE') {
+            totals.baseAmount += pricing.baseAmount;
+            totals.discountAmount += pricing.discountAmount;
+            totals.finalAmount += pricing.finalAmount;
+        }
+
+        const alternatives = status === 'AVAILABLE' ? [] : (await findAlternativeSlots(
+            { courtId: court._id, bookingDate: date, startTime, endTime },
+            { includeOtherDays: false }
+        )).filter(alternative => alternative.type === 'OTHER_COURT').slice(0, MAX_ALTERNATIVES);
+
+        preview.push({
+            date: dateKey(date),
+            day: moment(date).format('ddd').toUpperCase(),
+            status,
+            baseAmount: pricing.baseAmount,
+            discountAmount: pricing.discountAmount,
+            finalAmount: pricing.finalAmount,
+            promoApplied,
+            conflicts,
+            blackouts: formatBlackouts(dateBlackouts),
+            alternatives
+        });
+    }
+
+    const bookableDates = preview.filter(entry => entry.status === 'AVAILABLE').length;
+
+    return {
+        court: { _id: court._id, name: court.name, sportType: court.sportType },
+        rrule: getRRule(ruleMock),
+        startDate: dateKey(ruleMock.startDate),
+        endDate: ruleMock.endDate ? dateKey(ruleMock.endDate) : null,
+        horizonEnd: horizonEnd ? dateKey(horizonEnd) : null,
+        startTime,
+        endTime,
+        totalDates: preview.length,
+        bookableDates,
+        // Creation is refused when no date at all can be booked
+        canCreate: bookableDates > 0,
+        promoCode: promo ? promo.code : null,
+        discountType,
+        discountValue,
+        totals,
+        dates: preview
+    };
+};
+
+module.exports = {
+    previewRecurringRule
+};
@@ -0,0 +1,152 @@
+const moment = require('moment');
+const Booking = require('../models/Booking.model');
+const BookingSlot = require('../models/BookingSlot.model');
+const Payment = require('../models/Payment.model');
+const Settings = require('../models/Settings.model');
+const { generateSlots, generateDatedSlots, buildSlotFilter, getSlotDuration, validateSlotAlignment } = require('./slotGenerator.service');
+const { getBookableCourt, priceBooking } = require('./bookingCore.service');
+const { checkSlotAvailability, throwConflictError } = require('./slotValidation.service');
+const { assertWithinOperatingHours } = require('./operatingHours.service');
+const { findAlternativeSlots } = require('./slotSuggestion.service');
+const { syncPaymentFromLedger } = require('./paymentLedger.service');
+const { normalizeToMidnight } = require('../utils/dateUtils');
+
+/**
+ * Moves an active booking to a new court, date and/or time. Anything not given stays as it is.
+ * The new time is checked like a new booking (court, grid, operating hours, availability), and the
+ * booking is re-priced with the current rules and its existing discount, unless keepPrice is set.
+ * Money already collected stays on the payment; its balance and status follow the new price.
+ * The old schedule is appended to booking.history. Run inside a transaction.
+ *
+ * @param {string} bookingId
+ * @param {Object} target - { courtId, bookingDate, startTime, endTime, keepPrice, reason }
+ * @param {string} rescheduledBy - User ID
+ * @param {Object} session
+ * @returns {Promise<Object>} { booking, payment, previous, priceDifference, refundDue }
+ */
+const moveBooking = async (bookingId, target, rescheduledBy, session) => {
+    const { keepPrice = false, reason } = target;
+
+    const booking = await Booking.findById(bookingId).session(session);
+    if (!booking) {
+        throw new Error('Booking not found');
+    }
+    if (booking.status !== 'BOOKED') {
+        throw new Error(`Only active bookings can be rescheduled (booking is ${booking.status.toLowerCase()})`);
+    }
+
+    const courtId = target.courtId || booking.courtId.toString();
+    const bookingDate = normalizeToMidnight(target.bookingDate || booking.bookingDate);
+    const startTime = target.startTime || booking.startTime;
+    const endTime = target.endTime || booking.endTime;
+
+    const previous = {
+        courtId: booking.courtId,
+        bookingDate: booking.bookingDate,
+        startTime: booking.startTime,
+        endTime: booking.endTime,
+        finalAmount: booking.finalAmount
+    };
+
+    if (
+        courtId === previous.courtId.toString() &&
+        bookingDate.getTime() === normalizeToMidnight(previous.bookingDate).getTime() &&
+        startTime === previous.startTime &&
+        endTime === previous.endTime
+    ) {
+        throw new Error('The new schedule is the same as the current one');
+    }
+
+    const newStart = moment(moment(bookingDate).format('YYYY-MM-DD') + ' ' + startTime, 'YYYY-MM-DD HH:mm');
+    if (!newStart.isAfter(moment())) {
+        throw new Error('Cannot move a booking to a time that has already started');
+    }
+
+    // 1. Validate the new schedule
+    const court = await getBookableCourt(courtId, session);
+    if (court.sportType !== booking.sportType) {
+        throw new Error(`The new court is not a ${booking.sportType} court`);
+    }
+    const settings = await Settings.getSettings();
+    const slotDuration = getSlotDuration(court, settings);
+    validateSlotAlignment(startTime, endTime, slotDuration);
+    await assertWithinOperatingHours(court, bookingDate, startTime, endTime, settings);
+
+    const slots = generateSlots(startTime, endTime, slotDuration);
+    const datedSlots = generateDatedSlots(bookingDate, startTime, endTime);
+    if (slots.length === 0) {
+        throw new Error('Invalid time range');
+    }
+
+    // 2. Check availability, ignoring the booking's own slots (it may move within its current time)
+    const availability = await checkSlotAvailability(courtId, bookingDate, startTime, endTime, session, booking._id);
+    if (!availability.available) {
+        const alternatives = await findAlternativeSlots({
+            courtId, bookingDate, startTime, endTime, excludeBookingId: booking._id
+        }, {}, session);
+        throwConflictError(availability.conflicts, availability.blackouts, alternatives);
+    }
+
+    // 3. Re-price with the booking's own discount (a promo code was already redeemed into it)
+    if (!keepPrice) {
+        const pricing = await priceBooking(court, slots, bookingDate, {
+            discountType: booking.discountType,
+            discountValue: booking.discountValue
+        }, session);
+        booking.baseAmount = pricing.baseAmount;
+        booking.priceBreakdown = pricing.priceBreakdown;
+        booking.finalAmount = pricing.finalAmount;
+    }
+
+    // 4. Record the old schedule and move the booking
+    booking.history.push({
+        type: 'RESCHEDULE',
+        ...previous,
+        priceKept: Boolean(keepPrice),
+        reason,
+        changedBy: rescheduledBy
+    });
+    booking.courtId = court._id;
+    booking.bookingDate = bookingDate;
+    booking.startTime = startTime;
+    booking.endTime = endTime;
+    booking.totalSlots = slots.length;
+    booking.slotDuration = slotDuration;
+    await booking.save({ session });
+
+    // 5. Move the slots (stale cancelled/completed/expired slots at the new time are cleared first)
+    await BookingSlot.deleteMany({ bookingId: booking._id }).session(session);
+    await BookingSlot.deleteMany({
+        courtId: court._id,
+        ...buildSlotFilter(datedSlots),
+        status: { $ne: 'BOOKED' }
+    }).session(session);
+    await BookingSlot.insertMany(datedSlots.map(slot => ({
+        bookingId: booking._id,
+        courtId: court._id,
+        bookingDate: slot.bookingDate,
+        slotTime: slot.slotTime,
+        status: 'BOOKED'
+    })), { session });
+
+    // 6. Carry the collected money over to the new price
+    const payment = await Payment.findOne({ bookingId: booking._id }).session(session);
+    if (payment) {
+        payment.totalAmount = booking.finalAmount;
+        await syncPaymentFromLedger(payment, session);
+    }
+    const collected = payment ? payment.advancePaid : 0;
+
+    return {
+        booking,
+        payment,
+        previous,
+        priceDifference: booking.finalAmount - previous.finalAmount,
+        // Collected more than the new price: the difference is owed to the customer
+        refundDue: Math.max(0, collected - booking.finalAmount)
+    };
+};
+
+module.exports = {
+    moveBooking
+};
@@ -0,0 +1,147 @@
+const Role = require('../models/Role.model');
+const User = require('../models/User.model');
+const { ALL_PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../config/permissions');
+
+// Role permissions are read on every request, so they are cached briefly.
+// Changes made through this service clear the cache immediately.
+const CACHE_TTL_MS = 60 * 1000;
+const cache = new Map();
+
+const clearRoleCache = () => cache.clear();
+
+/**
+ * Resolves the permissions of a role: ADMIN has all of them, saved roles use their document,
+ * and the built-in STAFF role falls back to its defaults until customised.
+ *
+ * @param {string} roleName
+ * @returns {Promise<string[]>}
+ */
+const getRolePermissions = async (roleName) => {
+    if (roleName === 'ADMIN') return ALL_PERMISSIONS;
+
+    const cached = cache.get(roleName);
+    if (cached && cached.expiresAt > Date.now()) return cached.permissions;
+
+    const role = await Role.findOne({ name: roleName }).lean();
+    const permissions = role ? role.permissions : (DEFAULT_ROLE_PERMISSIONS[roleName] || []);
+
+    cache.set(roleName, { permissions, expiresAt: Date.now() + CACHE_TTL_MS });
+    return permissions;
+};
+
+/**
+ * Lists every role (built-in and saved) with its permissions and number of users.
+ *
+ * @returns {Promise<Array<Object>>} [{ name, description, permissions, builtIn, editable, userCount }]
+ */
+const listRoles = async () => {
+    const saved = await Role.find().sort({ name: 1 }).lean();
+    const savedByName = new Map(saved.map(role => [role.name, role]));
+
+    const counts = await User.aggregate([{ $group: { _id: '$role', count: { $sum: 1 } } }]);
+    const countByRole = new Map(counts.map(c => [c._id, c.count]));
+
+    const names = [...new Set([...Object.keys(DEFAULT_ROLE_PERMISSIONS), ...saved.map(role => role.name)])];
+
+    return names.map(name => {
+        const role = savedByName.get(name);
+        return {
+            _id: role ? role._id : null,
+            name,
+            description: role ? role.description : undefined,
+            permissions: name === 'ADMIN' ? ALL_PERMISSIONS : (role ? role.permissions : DEFAULT_ROLE_PERMISSIONS[name]),
+            builtIn: name in DEFAULT_ROLE_PERMISSIONS,
+            editable: name !== 'ADMIN',
+            userCount: countByRole.get(name) || 0
+        };
+    });
+};
+
+/**
+ * Creates a custom role, or updates a saved one (the built-in STAFF role is saved on first edit).
+ *
+ * @param {string} name
+ * @param {Object} data - { description, permissions }
+ * @param {Object} [userId] - User ID of the admin
+ * @returns {Promise<Object>} Role document
+ */
+const saveRole = async (name, { description, permissions }, userId = null) => {
+    const roleName = String(name || '').trim().toUpperCase();
+    if (roleName === 'ADMIN') {
+        throw new Error('The ADMIN role always has every permission and cannot be changed');
+    }
+    if (permissions !== undefined && !Array.isArray(permissions)) {
+        throw new Error('Permissions must be a list');
+    }
+
+    let role = await Role.findOne({ name: roleName });
+    if (!role) {
+        role = new Role({
+            name: roleName,
+            permissions: DEFAULT_ROLE_PERMISSIONS[roleName] || [],
+            createdBy: userId
+        });
+    }
+
+    if (description !== undefined) role.description = description;
+    if (permissions !== undefined) role.permissions = [...new Set(permissions)];
+
+    await role.save();
+    clearRoleCache();
+    return role;
+};
+
+/**
+ * Deletes a custom role. Built-in roles and roles still assigned to users cannot be deleted;
+ * deleting a saved STAFF role restores its defaults.
+ *
+ * @param {string} name
+ */
+const deleteRole = async (name) => {
+    const roleName = String(name || '').trim().toUpperCase();
+    if (roleName === 'ADMIN') {
+        throw new Error('The ADMIN role cannot be deleted');
+    }
+
+    const role = await Role.findOne({ name: roleName });
+    if (!role) {
+        throw new Error('Role not found');
+    }
+
+    if (!(roleName in DEFAULT_ROLE_PERMISSIONS)) {
+        const assigned = await User.countDocuments({ role: roleName });
+        if (assigned > 0) {
+            throw new Error(`Role is assigned to ${assigned} user(s), reassign them first`);
+        }
+    }
+
+    await role.deleteOne();
+    clearRoleCache();
+};
+
+/**
+ * Ensures a role can be given to a user through the staff endpoints.
+ * ADMIN is not assignable there; any other built-in or saved role is.
+ *
+ * @param {string} name
+ * @returns {Promise<string>} The normalized role name
+ */
+const assertAssignableRole = async (name) => {
+    const roleName = String(name || '').trim().toUpperCase();
+    if (roleName === 'ADMIN') {
+        throw new Error('The ADMIN role cannot be assigned through staff management');
+    }
+    if (!(roleName in DEFAULT_ROLE_PERMISSIONS) && !(await Role.exists({ name: roleName }))) {
+        throw new Error(`Role ${roleName} does not exist`);
+    }
+    return roleName;
+};
+
+module.exports = {
+    getRolePermissions,
+    listRoles,
+    saveRole,
+    deleteRole,
+    assertAssignableRole,
+    clearRoleCache
+};
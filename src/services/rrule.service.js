@@ -0,0 +1,254 @@
+const moment = require('moment');
+
+// RRULE weekday codes indexed by JS day (0 = Sunday)
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+
+// Expansion stops this far after the start even without an end, so a rule that never matches
+// (e.g. FREQ=MONTHLY;INTERVAL=12;BYMONTHDAY=30 from February with a COUNT) cannot loop forever
+const MAX_YEARS = 10;
+
+const invalid = (message) => new Error(`Invalid recurrence rule: ${message}`);
+
+const parsePositive = (name, value) => {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 1) {
+        throw invalid(`${name} must be a positive whole number`);
+    }
+    return number;
+};
+
+// "2SA", "-1FR" or "MO"
+const parseByDay = (value) => {
+    const match = /^([+-]?\d{1,2})?(SU|MO|TU|WE|TH|FR|SA)$/.exec(value);
+    if (!match) {
+        throw invalid(`"${value}" is not a BYDAY value (e.g. MO, 2SA, -1FR)`);
+    }
+    const ordinal = match[1] ? Number(match[1]) : null;
+    if (ordinal !== null && (ordinal === 0 || Math.abs(ordinal) > 5)) {
+        throw invalid(`the week number in "${value}" must be 1 to 5 or -1 to -5`);
+    }
+    return { weekday: WEEKDAYS.indexOf(match[2]), ordinal };
+};
+
+const parseByMonthDay = (value) => {
+    const day = Number(value);
+    if (!Number.isInteger(day) || day === 0 || Math.abs(day) > 31) {
+        throw invalid(`"${value}" is not a BYMONTHDAY value (1 to 31, or -1 to -31 from the month end)`);
+    }
+    return day;
+};
+
+// Bookings are per calendar date, so only the date part of UNTIL (YYYYMMDD[THHmmss[Z]]) is used
+const parseUntil = (value) => {
+    if (!/^\d{8}(T\d{6}Z?)?$/.test(value)) {
+        throw invalid('UNTIL must be a date as YYYYMMDD or YYYYMMDDTHHmmssZ');
+    }
+    const until = moment(value.slice(0, 8), 'YYYYMMDD', true);
+    if (!until.isValid()) {
+        throw invalid(`UNTIL "${value}" is not a valid date`);
+    }
+    return until.toDate();
+};
+
+/**
+ * Parses an iCalendar (RFC 5545) RRULE, e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=TU,TH" or
+ * "RRULE:FREQ=MONTHLY;BYDAY=1SA". Supported parts: FREQ (DAILY, WEEKLY, MONTHLY), INTERVAL,
+ * BYDAY (with week numbers for MONTHLY), BYMONTHDAY, COUNT, UNTIL and WKST.
+ *
+ * @param {string} value
+ * @returns {Object} { freq, interval, byDay: [{ weekday, ordinal }], byMonthDay, count, until, wkst }
+ */
+const parseRRule = (value) => {
+    if (!value || typeof value !== 'string') {
+        throw invalid('please provide an RRULE such as FREQ=WEEKLY;BYDAY=MO');
+    }
+
+    const rule = { freq: null, interval: 1, byDay: [], byMonthDay: [], count: null, until: null, wkst: 1 };
+    const seen = new Set();
+
+    value.trim().replace(/^RRULE:/i, '').toUpperCase().split(';').filter(Boolean).forEach(part => {
+        const [name, partValue, ...rest] = part.split('=');
+        if (!partValue || rest.length > 0) {
+            throw invalid(`"${part}" is not NAME=VALUE`);
+        }
+        if (seen.has(name)) {
+            throw invalid(`${name} is given more than once`);
+        }
+        seen.add(name);
+
+        switch (name) {
+            case 'FREQ':
+                if (!FREQUENCIES.includes(partValue)) {
+                    throw invalid(`FREQ must be one of ${FREQUENCIES.join(', ')}`);
+                }
+                rule.freq = partValue;
+                break;
+            case 'INTERVAL':
+                rule.interval = parsePositive(name, partValue);
+                break;
+            case 'COUNT':
+                rule.count = parsePositive(name, partValue);
+                break;
+            case 'UNTIL':
+                rule.until = parseUntil(partValue);
+                break;
+            case 'BYDAY':
+                rule.byDay = partValue.split(',').map(parseByDay);
+                break;
+            case 'BYMONTHDAY':
+                rule.byMonthDay = partValue.split(',').map(parseByMonthDay);
+                break;
+            case 'WKST':
+                if (!WEEKDAYS.includes(partValue)) {
+                    throw invalid('WKST must be a weekday code (MO, TU, ...)');
+                }
+                rule.wkst = WEEKDAYS.indexOf(partValue);
+                break;
+            default:
+                throw invalid(`${name} is not supported`);
+        }
+    });
+
+    if (!rule.freq) {
+        throw invalid('FREQ is required');
+    }
+    if (rule.count && rule.until) {
+        throw invalid('COUNT and UNTIL cannot be used together');
+    }
+    if (rule.freq !== 'MONTHLY' && rule.byDay.some(day => day.ordinal !== null)) {
+        throw invalid('BYDAY week numbers (e.g. 1SA) are only allowed with FREQ=MONTHLY');
+    }
+    if (rule.freq === 'WEEKLY' && rule.byMonthDay.length > 0) {
+        throw invalid('BYMONTHDAY cannot be used with FREQ=WEEKLY');
+    }
+
+    return rule;
+};
+
+/**
+ * Whether a value is an RRULE that parseRRule accepts.
+ * @param {string} value
+ * @returns {boolean}
+ */
+const isValidRRule = (value) => {
+    try {
+        parseRRule(value);
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+// Days of the month a MONTHLY rule picks, in order
+const getMonthDays = (rule, month, start) => {
+    const daysInMonth = month.daysInMonth();
+    const days = [];
+
+    for (let day = 1; day <= daysInMonth; day++) {
+        const date = moment(month).date(day);
+        const matchesMonthDay = rule.byMonthDay.length === 0 ||
+            rule.byMonthDay.some(monthDay => monthDay === day || monthDay === day - daysInMonth - 1);
+        const matchesDay = rule.byDay.length === 0 || rule.byDay.some(({ weekday, ordinal }) =>
+            date.day() === weekday && (
+                ordinal === null ||
+                ordinal === Math.ceil(day / 7) ||
+                ordinal === -(Math.floor((daysInMonth - day) / 7) + 1)
+            )
+        );
+        // Without BYDAY or BYMONTHDAY the rule repeats on the start date's day of the month
+        const matchesStart = rule.byDay.length > 0 || rule.byMonthDay.length > 0 || day === start.date();
+
+        if (matchesMonthDay && matchesDay && matchesStart) {
+            days.push(date);
+        }
+    }
+    return days;
+};
+
+// Candidate dates of the n-th period (day, week or month) of the rule, in order
+const getPeriodDates = (rule, start, period) => {
+    if (rule.freq === 'DAILY') {
+        const date = moment(start).add(period * rule.interval, 'days');
+        const matchesDay = rule.byDay.length === 0 || rule.byDay.some(({ weekday }) => weekday === date.day());
+        const matchesMonthDay = rule.byMonthDay.length === 0 ||
+            rule.byMonthDay.some(monthDay => monthDay === date.date() || monthDay === date.date() - date.daysInMonth() - 1);
+        return { periodStart: date, dates: matchesDay && matchesMonthDay ? [date] : [] };
+    }
+
+    if (rule.freq === 'WEEKLY') {
+        const weekStart = moment(start)
+            .subtract((start.day() - rule.wkst + 7) % 7, 'days')
+            .add(period * rule.interval, 'weeks');
+        const weekdays = rule.byDay.length > 0 ? rule.byDay.map(day => day.weekday) : [start.day()];
+        const dates = [0, 1, 2, 3, 4, 5, 6]
+            .map(offset => moment(weekStart).add(offset, 'days'))
+            .filter(date => weekdays.includes(date.day()));
+        return { periodStart: weekStart, dates };
+    }
+
+    const month = moment(start).startOf('month').add(period * rule.interval, 'months');
+    return { periodStart: month, dates: getMonthDays(rule, month, start) };
+};
+
+/**
+ * Expands an RRULE into the dates it covers, starting at startDate (the DTSTART).
+ * COUNT counts occurrences from the start, so it holds however far the expansion runs.
+ *
+ * @param {string|Object} value - RRULE string, or the result of parseRRule
+ * @param {Date} startDate - First date of the series (midnight)
+ * @param {Date} [endDate] - Last date to expand to (midnight); the rule's own UNTIL/COUNT may end it earlier
+ * @returns {Array<Date>} Dates at midnight, in order
+ */
+const expandRRule = (value, startDate, endDate = null) => {
+    const rule = typeof value === 'string' ? parseRRule(value) : value;
+    const start = moment(startDate).startOf('day');
+
+    let last = moment(start).add(MAX_YEARS, 'years');
+    if (rule.until && moment(rule.until).isBefore(last)) last = moment(rule.until);
+    if (endDate && moment(endDate).isBefore(last)) last = moment(endDate).startOf('day');
+
+    const dates = [];
+    for (let period = 0; ; period++) {
+        const { periodStart, dates: candidates } = getPeriodDates(rule, start, period);
+        if (periodStart.isAfter(last)) return dates;
+
+        for (const date of candidates) {
+            if (date.isBefore(start)) continue;
+            if (date.isAfter(last)) return dates;
+
+            dates.push(date.toDate());
+            if (rule.count && dates.length >= rule.count) return dates;
+        }
+    }
+};
+
+/**
+ * The RRULE of a recurring rule. WEEKLY and MONTHLY rules are translated:
+ * WEEKLY on daysOfWeek becomes FREQ=WEEKLY;BYDAY=..., MONTHLY on fixedDate becomes FREQ=MONTHLY;BYMONTHDAY=...
+ *
+ * @param {Object} rule - RecurringBooking document (or { recurrenceType, daysOfWeek, fixedDate, rrule })
+ * @returns {string|null} null if the rule has no days to repeat on
+ */
+const getRRule = (rule) => {
+    if (rule.recurrenceType === 'RRULE') {
+        return rule.rrule || null;
+    }
+    if (rule.recurrenceType === 'WEEKLY') {
+        if (!rule.daysOfWeek || rule.daysOfWeek.length === 0) return null;
+        // MON -> MO, TUE -> TU, ...
+        return `FREQ=WEEKLY;BYDAY=${rule.daysOfWeek.map(day => day.slice(0, 2)).join(',')}`;
+    }
+    if (rule.recurrenceType === 'MONTHLY') {
+        if (!rule.fixedDate) return null;
+        return `FREQ=MONTHLY;BYMONTHDAY=${rule.fixedDate}`;
+    }
+    return null;
+};
+
+module.exports = {
+    parseRRule,
+    isValidRRule,
+    expandRRule,
+    getRRule
+};
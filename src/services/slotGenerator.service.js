@@ -1,30 +1,118 @@
 const moment = require('moment');
+const { normalizeToMidnight, toMinutes } = require('../utils/dateUtils');
+
+// Granularity of BookingSlot documents. Courts may sell coarser slots (30, 60 minutes),
+// but occupancy is always stored in 15-minute units so bookings made under different
+// slot durations still collide on the unique slot index.
+const BASE_SLOT_MINUTES = 15;
+
+/**
+ * Resolves the slot duration of a court: the court's own setting, else the venue default.
+ * @param {Object} court - Court document
+ * @param {Object} [settings] - Settings document
+ * @returns {number} Slot duration in minutes
+ */
+const getSlotDuration = (court, settings) => {
+    return (court && court.slotDuration) || (settings && settings.slotDuration) || BASE_SLOT_MINUTES;
+};
+
+/**
+ * Ensures a booking starts and ends on the slot grid (multiples of slotDuration from midnight).
+ * @param {string} startTime - "HH:mm"
+ * @param {string} endTime - "HH:mm"
+ * @param {number} slotDuration - Slot duration in minutes
+ */
+const validateSlotAlignment = (startTime, endTime, slotDuration) => {
+    if (toMinutes(startTime) % slotDuration !== 0 || toMinutes(endTime) % slotDuration !== 0) {
+        throw new Error(`Booking times must align to the ${slotDuration}-minute slot grid`);
+    }
+};
 
 /**
- * Generates 15-minute slots between startTime and endTime
+ * Generates slots of `slotDuration` minutes between startTime and endTime.
+ * An endTime earlier than startTime means the booking runs past midnight
+ * (e.g. 23:00 - 01:00), and slot generation continues into the next day.
  * @param {string} startTime - "HH:mm" (e.g., "06:00")
  * @param {string} endTime - "HH:mm" (e.g., "07:00")
+ * @param {number} [slotDuration] - Slot duration in minutes (default 15)
  * @returns {string[]} Array of slot start times (e.g., ["06:00", "06:15", "06:30", "06:45"])
  */
-const generateSlots = (startTime, endTime) => {
+const generateSlots = (startTime, endTime, slotDuration = BASE_SLOT_MINUTES) => {
     const slots = [];
     let current = moment(startTime, 'HH:mm');
     const end = moment(endTime, 'HH:mm');
 
-    // Ensure we are working with today's date to avoid issues with overnight logic if any,
-    // though for now we assume single day bookings.
-
-    // Validate that end time is after start time
-    if (!end.isAfter(current)) {
+    // Validate that end time differs from start time
+    if (end.isSame(current)) {
         throw new Error('End time must be after start time');
     }
 
+    validateSlotAlignment(startTime, endTime, slotDuration);
+
+    // Overnight booking: end time is on the next calendar day
+    if (end.isBefore(current)) {
+        end.add(1, 'day');
+    }
+
     while (current.isBefore(end)) {
         slots.push(current.format('HH:mm'));
-        current.add(15, 'minutes');
+        current.add(slotDuration, 'minutes');
     }
 
     return slots;
 };
 
-module.exports = { generateSlots };
+/**
+ * Generates the BookingSlot units of a booking together with the date each is stored under.
+ * Units are always BASE_SLOT_MINUTES long, whatever the court's slot duration.
+ * Slots after midnight of an overnight booking belong to the following bookingDate.
+ * @param {Date|string} bookingDate - The date the booking starts on
+ * @param {string} startTime - "HH:mm"
+ * @param {string} endTime - "HH:mm"
+ * @returns {Object[]} [{ bookingDate, slotTime }]
+ */
+const generateDatedSlots = (bookingDate, startTime, endTime) => {
+    const date = normalizeToMidnight(bookingDate);
+    const nextDate = moment(date).add(1, 'day').toDate();
+
+    return generateSlots(startTime, endTime).map(slotTime => ({
+        bookingDate: slotTime < startTime ? nextDate : date,
+        slotTime
+    }));
+};
+
+/**
+ * Builds a BookingSlot filter matching the given dated slots (one clause per date).
+ * @param {Object[]} datedSlots - Output of generateDatedSlots
+ * @returns {Object} - { $or: [{ bookingDate, slotTime: { $in } }] }
+ */
+const buildSlotFilter = (datedSlots) => {
+    const byDate = new Map();
+    datedSlots.forEach(({ bookingDate, slotTime }) => {
+        const key = bookingDate.getTime();
+        if (!byDate.has(key)) {
+            byDate.set(key, { bookingDate, slotTime: { $in: [] } });
+        }
+        byDate.get(key).slotTime.$in.push(slotTime);
+    });
+
+    return { $or: [...byDate.values()] };
+};
+
+/**
+ * Identifies a dated slot on a court, for looking up occupied slots in a Set.
+ * @param {string|Object} courtId
+ * @param {Object} slot - { bookingDate, slotTime }
+ * @returns {string} - "<courtId> YYYY-MM-DD HH:mm"
+ */
+const getSlotKey = (courtId, slot) => `${courtId} ${moment(slot.bookingDate).format('YYYY-MM-DD')} ${slot.slotTime}`;
+
+module.exports = {
+    BASE_SLOT_MINUTES,
+    getSlotDuration,
+    validateSlotAlignment,
+    generateSlots,
+    generateDatedSlots,
+    buildSlotFilter,
+    getSlotKey
+};
@@ -0,0 +1,201 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const BookingSlot = require('../models/BookingSlot.model');
+const Court = require('../models/Court.model');
+const Settings = require('../models/Settings.model');
+const { BASE_SLOT_MINUTES, getSlotDuration, validateSlotAlignment, generateDatedSlots, buildSlotFilter } = require('./slotGenerator.service');
+const { checkSlotAvailability, throwConflictError } = require('./slotValidation.service');
+const { createSingleBooking } = require('./bookingCore.service');
+const { assertWithinOperatingHours } = require('./operatingHours.service');
+const { findAlternativeSlots } = require('./slotSuggestion.service');
+const { normalizeToMidnight } = require('../utils/dateUtils');
+
+// Default time a hold keeps slots reserved (and the default extension)
+const HOLD_DURATION_MINUTES = 10;
+// Longest a single hold or extension may ask for
+const MAX_HOLD_MINUTES = HOLD_DURATION_MINUTES * 6;
+
+const validateHoldMinutes = (minutes) => {
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_HOLD_MINUTES) {
+        throw new Error(`Hold minutes must be a whole number from 1 to ${MAX_HOLD_MINUTES}`);
+    }
+};
+
+/**
+ * Loads the active (HELD) slots of a hold, sorted by date and time.
+ * Throws if the hold does not exist or has already expired.
+ */
+const getActiveHoldSlots = async (holdId, session = null) => {
+    if (!mongoose.Types.ObjectId.isValid(holdId)) {
+        throw new Error('Invalid hold ID');
+    }
+
+    const heldSlots = await BookingSlot.find({ holdId, status: 'HELD' })
+        .sort({ bookingDate: 1, slotTime: 1 })
+        .session(session);
+
+    if (heldSlots.length === 0) {
+        throw new Error('Hold not found or already released');
+    }
+    if (heldSlots[0].holdExpiresAt <= new Date()) {
+        throw new Error('Hold has expired');
+    }
+
+    return heldSlots;
+};
+
+/**
+ * Temporarily reserves slots on a court while a customer decides.
+ *
+ * @param {Object} holdData - { courtId, bookingDate, startTime, endTime, heldBy, minutes (1 to MAX_HOLD_MINUTES) }
+ * @param {Object} [session] - Mongoose session for atomic operations
+ * @returns {Promise<Object>} - { holdId, courtId, bookingDate, startTime, endTime, slots, expiresAt }
+ */
+const createHold = async (holdData, session = null) => {
+    const { courtId, bookingDate, startTime, endTime, heldBy, minutes = HOLD_DURATION_MINUTES } = holdData;
+    validateHoldMinutes(minutes);
+    const normalizedDate = normalizeToMidnight(bookingDate);
+
+    const court = await Court.findById(courtId).session(session);
+    if (!court) {
+        throw new Error('Court not found');
+    }
+    if (court.status !== 'ACTIVE') {
+        throw new Error('Court is not active');
+    }
+
+    const settings = await Settings.getSettings();
+    validateSlotAlignment(startTime, endTime, getSlotDuration(court, settings));
+    await assertWithinOperatingHours(court, normalizedDate, startTime, endTime, settings);
+
+    const datedSlots = generateDatedSlots(normalizedDate, startTime, endTime);
+    const slots = datedSlots.map(s => s.slotTime);
+    if (slots.length === 0) {
+        throw new Error('Invalid time range');
+    }
+
+    const availability = await checkSlotAvailability(courtId, normalizedDate, startTime, endTime, session);
+    if (!availability.available) {
+        const alternatives = await findAlternativeSlots({ courtId, bookingDate: normalizedDate, startTime, endTime }, {}, session);
+        throwConflictError(availability.conflicts, availability.blackouts, alternatives);
+    }
+
+    // Clean up slots that no longer occupy the time (cancelled, completed or expired holds)
+    await BookingSlot.deleteMany({
+        courtId,
+        ...buildSlotFilter(datedSlots),
+        status: { $ne: 'BOOKED' }
+    }).session(session);
+
+    const holdId = new mongoose.Types.ObjectId();
+    const expiresAt = moment().add(minutes, 'minutes').toDate();
+
+    await BookingSlot.insertMany(datedSlots.map(slot => ({
+        courtId,
+        bookingDate: slot.bookingDate,
+        slotTime: slot.slotTime,
+        status: 'HELD',
+        holdId,
+        holdExpiresAt: expiresAt,
+        heldBy
+    })), { session });
+
+    return {
+        holdId,
+        courtId,
+        bookingDate: moment(normalizedDate).format('YYYY-MM-DD'),
+        startTime,
+        endTime,
+        slots,
+        expiresAt
+    };
+};
+
+/**
+ * Pushes the expiry of an active hold further out.
+ *
+ * @param {string} holdId
+ * @param {number} [minutes] - Minutes to add to the current expiry (1 to MAX_HOLD_MINUTES)
+ * @param {Object} [session]
+ * @returns {Promise<Date>} The new expiry time
+ */
+const extendHold = async (holdId, minutes = HOLD_DURATION_MINUTES, session = null) => {
+    validateHoldMinutes(minutes);
+    const heldSlots = await getActiveHoldSlots(holdId, session);
+    const expiresAt = moment(heldSlots[0].holdExpiresAt).add(minutes, 'minutes').toDate();
+
+    await BookingSlot.updateMany(
+        { holdId, status: 'HELD' },
+        { holdExpiresAt: expiresAt },
+        { session }
+    );
+
+    return expiresAt;
+};
+
+/**
+ * Converts an active hold into a real booking.
+ * The held slots are released and the booking is created through createSingleBooking
+ * so pricing, payment and slot creation stay identical to a direct booking.
+ *
+ * @param {string} holdId
+ * @param {Object} bookingData - Customer, discount and payment fields accepted by createSingleBooking
+ * @param {Object} session - Mongoose session (required, confirm must be atomic)
+ * @returns {Promise<Object>} The created Booking document
+ */
+const confirmHold = async (holdId, bookingData, session) => {
+    const heldSlots = await getActiveHoldSlots(holdId, session);
+    const first = heldSlots[0];
+    const last = heldSlots[heldSlots.length - 1];
+
+    await BookingSlot.deleteMany({ holdId, status: 'HELD' }).session(session);
+
+    return createSingleBooking({
+        ...bookingData,
+        courtId: first.courtId,
+        bookingDate: first.bookingDate,
+        startTime: first.slotTime,
+        endTime: moment(last.slotTime, 'HH:mm').add(BASE_SLOT_MINUTES, 'minutes').format('HH:mm')
+    }, session);
+};
+
+/**
+ * Releases a hold so the slots become available again.
+ *
+ * @param {string} holdId
+ * @param {Object} [session]
+ * @returns {Promise<number>} Number of slots released
+ */
+const releaseHold = async (holdId, session = null) => {
+    if (!mongoose.Types.ObjectId.isValid(holdId)) {
+        throw new Error('Invalid hold ID');
+    }
+
+    const result = await BookingSlot.deleteMany({ holdId, status: 'HELD' }).session(session);
+    if (result.deletedCount === 0) {
+        throw new Error('Hold not found or already released');
+    }
+    return result.deletedCount;
+};
+
+/**
+ * Removes every hold whose expiry time has passed.
+ * @returns {Promise<number>} Number of slots released
+ */
+const releaseExpiredHolds = async () => {
+    const result = await BookingSlot.deleteMany({
+        status: 'HELD',
+        holdExpiresAt: { $lte: new Date() }
+    });
+    return result.deletedCount;
+};
+
+module.exports = {
+    HOLD_DURATION_MINUTES,
+    MAX_HOLD_MINUTES,
+    createHold,
+    extendHold,
+    confirmHold,
+    releaseHold,
+    releaseExpiredHolds
+};
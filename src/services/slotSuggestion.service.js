@@ -0,0 +1,173 @@
+const moment = require('moment');
+const BookingSlot = require('../models/BookingSlot.model');
+const Court = require('../models/Court.model');
+const Settings = require('../models/Settings.model');
+const { generateDatedSlots, buildSlotFilter, getSlotDuration, getSlotKey } = require('./slotGenerator.service');
+const { findBlackouts, isRangeBlocked } = require('./blackout.service');
+const { isWithinOperatingHours } = require('./operatingHours.service');
+const { normalizeToMidnight, toMinutes, toTime } = require('../utils/dateUtils');
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// How far the search looks: earlier/later start times on the same court, and days ahead
+const SEARCH_WINDOW_MINUTES = 4 * 60;
+const SEARCH_DAYS = 7;
+const MAX_ALTERNATIVES = 8;
+
+// Ranking cost of each kind of alternative, in minutes of inconvenience. Moving the booking on the
+// same court costs the shift itself; another court counts like a one-hour shift; another day a full day per day.
+const OTHER_COURT_COST = 60;
+const OTHER_DAY_COST = MINUTES_PER_DAY;
+
+/**
+ * Loads which of the candidate slots are taken, in a single query on the
+ * { courtId, bookingDate, slotTime } index (only the candidate slot times are requested).
+ *
+ * @returns {Promise<Set<string>>} Keys of occupied slots ("courtId YYYY-MM-DD HH:mm")
+ */
+const findOccupiedSlots = async (courtIds, datedSlots, excludeBookingId = null, session = null) => {
+    const unique = new Map(datedSlots.map(slot => [getSlotKey('', slot), slot]));
+
+    const query = {
+        courtId: { $in: courtIds },
+        $and: [
+            buildSlotFilter([...unique.values()]),
+            {
+                $or: [
+                    { status: 'BOOKED' },
+                    { status: 'HELD', holdExpiresAt: { $gt: new Date() } }
+                ]
+            }
+        ]
+    };
+    if (excludeBookingId) {
+        query.bookingId = { $ne: excludeBookingId };
+    }
+
+    const occupied = await BookingSlot.find(query)
+        .select('courtId bookingDate slotTime')
+        .session(session)
+        .lean();
+
+    return new Set(occupied.map(slot => getSlotKey(slot.courtId, slot)));
+};
+
+/**
+ * Suggests free alternatives for a requested booking that conflicts, ranked by how close they are
+ * to the request: the same duration on the same court at the nearest free times, the same time on
+ * other active courts of the same sport, and the same time on the following days.
+ * Alternatives respect operating hours, blackouts and each court's slot grid.
+ *
+ * @param {Object} request - { courtId, bookingDate, startTime, endTime, excludeBookingId }
+ * @param {Object} [options] - { includeOtherDays, limit }
+ * @param {Object} [session]
+ * @returns {Promise<Array<Object>>} [{ rank, type, courtId, courtName, bookingDate, startTime, endTime }]
+ */
+const findAlternativeSlots = async (request, { includeOtherDays = true, limit = MAX_ALTERNATIVES } = {}, session = null) => {
+    const { courtId, startTime, endTime, excludeBookingId = null } = request;
+    const bookingDate = normalizeToMidnight(request.bookingDate);
+
+    const court = await Court.findById(courtId).session(session).lean();
+    if (!court) return [];
+
+    const settings = await Settings.getSettings();
+    const start = toMinutes(startTime);
+    const duration = (toMinutes(endTime) - start + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+    const candidates = [];
+
+    // 1. Same court, nearest start times on the court's grid (earlier first on ties)
+    const step = getSlotDuration(court, settings);
+    for (let shift = step; shift <= SEARCH_WINDOW_MINUTES; shift += step) {
+        [-shift, shift].forEach(offset => {
+            const candidateStart = start + offset;
+            if (candidateStart < 0 || candidateStart >= MINUTES_PER_DAY) return;
+            candidates.push({
+                type: 'SAME_COURT',
+                court,
+                bookingDate,
+                startTime: toTime(candidateStart),
+                endTime: toTime(candidateStart + duration),
+                cost: shift
+            });
+        });
+    }
+
+    // 2. Same time on other courts of the same sport, where the time fits their grid
+    const otherCourts = await Court.find({
+        _id: { $ne: court._id },
+        sportType: court.sportType,
+        status: 'ACTIVE'
+    }).session(session).lean();
+
+    otherCourts
+        .filter(other => {
+            const grid = getSlotDuration(other, settings);
+            return start % grid === 0 && duration % grid === 0;
+        })
+        .forEach(other => candidates.push({
+            type: 'OTHER_COURT',
+            court: other,
+            bookingDate,
+            startTime,
+            endTime,
+            cost: OTHER_COURT_COST
+        }));
+
+    // 3. Same time on the same court on the following days
+    if (includeOtherDays) {
+        for (let day = 1; day <= SEARCH_DAYS; day++) {
+            candidates.push({
+                type: 'OTHER_DAY',
+                court,
+                bookingDate: moment(bookingDate).add(day, 'days').toDate(),
+                startTime,
+                endTime,
+                cost: day * OTHER_DAY_COST
+            });
+        }
+    }
+
+    candidates.forEach(candidate => {
+        candidate.datedSlots = generateDatedSlots(candidate.bookingDate, candidate.startTime, candidate.endTime);
+    });
+
+    const courtIds = [court._id, ...otherCourts.map(other => other._id)];
+    const occupied = await findOccupiedSlots(
+        courtIds,
+        candidates.flatMap(candidate => candidate.datedSlots),
+        excludeBookingId,
+        session
+    );
+    const blackouts = await findBlackouts(
+        null,
+        bookingDate,
+        moment(bookingDate).add(SEARCH_DAYS + 1, 'days').toDate(),
+        session
+    );
+
+    const now = moment();
+
+    return candidates
+        .filter(candidate => {
+            const candidateStart = moment(moment(candidate.bookingDate).format('YYYY-MM-DD') + ' ' + candidate.startTime, 'YYYY-MM-DD HH:mm');
+            return candidateStart.isAfter(now) &&
+                isWithinOperatingHours(candidate.court, settings, candidate.bookingDate, candidate.startTime, candidate.endTime) &&
+                !isRangeBlocked(blackouts, candidate.court._id, candidate.datedSlots) &&
+                !candidate.datedSlots.some(slot => occupied.has(getSlotKey(candidate.court._id, slot)));
+        })
+        .sort((a, b) => a.cost - b.cost)
+        .slice(0, limit)
+        .map((candidate, index) => ({
+            rank: index + 1,
+            type: candidate.type,
+            courtId: candidate.court._id,
+            courtName: candidate.court.name,
+            bookingDate: moment(candidate.bookingDate).format('YYYY-MM-DD'),
+            startTime: candidate.startTime,
+            endTime: candidate.endTime
+        }));
+};
+
+module.exports = {
+    findAlternativeSlots
+};
@@ -1,10 +1,12 @@
 const BookingSlot = require('../models/BookingSlot.model');
-const { generateSlots } = require('./slotGenerator.service');
-const { normalizeToMidnight } = require('../utils/dateUtils');
+const { generateDatedSlots, buildSlotFilter } = require('./slotGenerator.service');
+const { getBlackoutConflicts, formatBlackouts } = require('./blackout.service');
 
 /**
  * Checks if the requested slots are available for a given court and date.
  * Excludes a specific booking ID if provided (useful for updates).
+ * Overnight bookings are checked against the next day's slots after midnight.
+ * Court blackouts and venue closures also make the time unavailable.
  * 
  * @param {string} courtId - The ID of the court
  * @param {Date|string} bookingDate - The date of the booking
@@ -12,17 +14,23 @@ const { normalizeToMidnight } = require('../utils/dateUtils');
  * @param {string} endTime - "HH:mm" format
  * @param {Object} [session] - Mongoose session for atomic operations
  * @param {string} [excludeBookingId] - (Optional) ID to exclude from conflict check
- * @returns {Promise<Object>} - { available: boolean, conflicts: Array }
+ * @returns {Promise<Object>} - { available: boolean, conflicts: Array, blackouts: Array }
  */
 const checkSlotAvailability = async (courtId, bookingDate, startTime, endTime, session = null, excludeBookingId = null) => {
-    const slots = generateSlots(startTime, endTime);
-    const normalizedDate = normalizeToMidnight(bookingDate);
+    const datedSlots = generateDatedSlots(bookingDate, startTime, endTime);
 
     const query = {
         courtId,
-        bookingDate: normalizedDate,
-        slotTime: { $in: slots },
-        status: 'BOOKED' // Only check against slots that are currently BOOKED
+        $and: [
+            buildSlotFilter(datedSlots),
+            // Only check against slots that are currently BOOKED or held by an unexpired hold
+            {
+                $or: [
+                    { status: 'BOOKED' },
+                    { status: 'HELD', holdExpiresAt: { $gt: new Date() } }
+                ]
+            }
+        ]
     };
 
     if (excludeBookingId) {
@@ -30,31 +38,42 @@ const checkSlotAvailability = async (courtId, bookingDate, startTime, endTime, s
     }
 
     const conflicts = await BookingSlot.find(query).session(session).lean();
+    const blackouts = await getBlackoutConflicts(courtId, bookingDate, startTime, endTime, session);
 
-    if (conflicts.length > 0) {
+    if (conflicts.length > 0 || blackouts.length > 0) {
         const uniqueConflictingTimes = [...new Set(conflicts.map(c => c.slotTime))].sort();
         return {
             available: false,
-            conflicts: uniqueConflictingTimes
+            conflicts: uniqueConflictingTimes,
+            blackouts: formatBlackouts(blackouts)
         };
     }
 
     return {
         available: true,
-        conflicts: []
+        conflicts: [],
+        blackouts: []
     };
 };
 
 /**
- * Standard conflict error message
+ * Standard conflict error message.
+ * Blackouts take precedence, since the time cannot be booked at all.
+ * Suggested alternatives (from findAlternativeSlots) travel on the error as `error.alternatives`.
  */
-const throwConflictError = (conflictingSlots = []) => {
-    const message = conflictingSlots.length > 0
-        ? `This slot is already booked. Please select another time. (Conflicts: ${conflictingSlots.join(', ')})`
-        : "This slot is already booked. Please select another time.";
+const throwConflictError = (conflictingSlots = [], blackouts = [], alternatives = []) => {
+    let message;
+    if (blackouts.length > 0) {
+        message = `This time is blocked and cannot be booked. (${blackouts.map(b => b.reason).join(', ')})`;
+    } else {
+        message = conflictingSlots.length > 0
+            ? `This slot is already booked. Please select another time. (Conflicts: ${conflictingSlots.join(', ')})`
+            : "This slot is already booked. Please select another time.";
+    }
 
     const error = new Error(message);
     error.status = 409;
+    error.alternatives = alternatives;
     throw error;
 };
 
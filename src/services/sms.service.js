@@ -0,0 +1,54 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Outgoing SMS, behind a pluggable provider.
+ *
+ * A provider is an async function (to, message) => void. Two stand-ins ship with the app:
+ *   - console: prints the message (default, for development)
+ *   - file: appends the message to SMS_LOG_FILE (default logs/sms.log), e.g. for staging
+ * A real gateway is added with registerSmsProvider('name', fn) and selected with SMS_PROVIDER=name.
+ */
+const providers = {
+    console: async (to, message) => {
+        console.log(`[SMS] to ${to}: ${message}`);
+    },
+    file: async (to, message) => {
+        const file = process.env.SMS_LOG_FILE || path.join(__dirname, '../../logs/sms.log');
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${new Date().toISOString()}\t${to}\t${message}\n`);
+    }
+};
+
+/**
+ * Registers (or replaces) an SMS provider.
+ *
+ * @param {string} name - Value of SMS_PROVIDER that selects it
+ * @param {Function} send - async (to, message) => void
+ */
+const registerSmsProvider = (name, send) => {
+    if (typeof send !== 'function') {
+        throw new Error('SMS provider must be a function');
+    }
+    providers[name] = send;
+};
+
+/**
+ * Sends an SMS through the provider selected by SMS_PROVIDER.
+ *
+ * @param {string} to - Phone number
+ * @param {string} message
+ */
+const sendSms = async (to, message) => {
+    const name = process.env.SMS_PROVIDER || 'console';
+    const provider = providers[name];
+    if (!provider) {
+        throw new Error(`Unknown SMS provider: ${name}`);
+    }
+    await provider(to, message);
+};
+
+module.exports = {
+    registerSmsProvider,
+    sendSms
+};
@@ -0,0 +1,256 @@
+const moment = require('moment');
+const Booking = require('../models/Booking.model');
+const BookingSlot = require('../models/BookingSlot.model');
+const Payment = require('../models/Payment.model');
+const PaymentTransaction = require('../models/PaymentTransaction.model');
+const RecurringBooking = require('../models/RecurringBooking.model');
+const Settings = require('../models/Settings.model');
+const { checkSlotAvailability, throwConflictError } = require('./slotValidation.service');
+const { generateDatedSlots, buildSlotFilter } = require('./slotGenerator.service');
+
+const DELETED = { $ne: null };
+
+/**
+ * Bookings that belong to a recurring rule: linked by recurringId, or (for legacy bookings made
+ * before the link existed) matching the rule's customer, court and times.
+ */
+const getRuleBookingsFilter = (rule) => ({
+    $or: [
+        { recurringId: rule._id },
+        {
+            source: 'RECURRING',
+            customerPhone: rule.customerPhone,
+            courtId: rule.courtId,
+            startTime: rule.startTime,
+            endTime: rule.endTime
+        }
+    ]
+});
+
+/**
+ * Moves bookings and their payments to the trash and frees their slots.
+ * Everything deleted together shares the same deletedAt, so it can be restored together.
+ *
+ * @param {Array<string>} bookingIds
+ * @param {string} deletedBy - User ID
+ * @param {Object} session
+ * @param {Date} [deletedAt]
+ */
+const softDeleteBookings = async (bookingIds, deletedBy, session, deletedAt = new Date()) => {
+    if (bookingIds.length === 0) return;
+
+    const trashed = { deletedAt, deletedBy };
+    await Booking.updateMany({ _id: { $in: bookingIds } }, trashed, { session });
+    await BookingSlot.updateMany(
+        { bookingId: { $in: bookingIds }, status: 'BOOKED' },
+        { status: 'CANCELLED' },
+        { session }
+    );
+    await Payment.updateMany({ bookingId: { $in: bookingIds } }, trashed, { session });
+    await PaymentTransaction.updateMany({ bookingId: { $in: bookingIds } }, trashed, { session });
+};
+
+/**
+ * Moves a recurring rule and all of its bookings to the trash.
+ */
+const softDeleteRecurringRule = async (rule, deletedBy, session) => {
+    const deletedAt = new Date();
+
+    const bookings = await Booking.find(getRuleBookingsFilter(rule)).select('_id').session(session).lean();
+    await softDeleteBookings(bookings.map(b => b._id), deletedBy, session, deletedAt);
+
+    rule.deletedAt = deletedAt;
+    rule.deletedBy = deletedBy;
+    await rule.save({ session });
+
+    return bookings.length;
+};
+
+/**
+ * Brings trashed bookings and their payments back. Active (BOOKED) bookings get their slots rebuilt,
+ * since the cancelled ones may have been cleared by another booking or hold in the meantime;
+ * callers check availability first.
+ */
+const restoreBookingRecords = async (bookings, session) => {
+    const bookingIds = bookings.map(b => b._id);
+    const restored = { deletedAt: null, deletedBy: null };
+
+    await Booking.updateMany({ _id: { $in: bookingIds }, deletedAt: DELETED }, restored, { session });
+
+    for (const booking of bookings.filter(b => b.status === 'BOOKED')) {
+        const datedSlots = generateDatedSlots(booking.bookingDate, booking.startTime, booking.endTime);
+
+        // Stale cancelled/completed/expired slots at the time are cleared first, as in createSingleBooking
+        await BookingSlot.deleteMany({ bookingId: booking._id }).session(session);
+        await BookingSlot.deleteMany({
+            courtId: booking.courtId,
+            ...buildSlotFilter(datedSlots),
+            status: { $ne: 'BOOKED' }
+        }).session(session);
+        await BookingSlot.insertMany(datedSlots.map(slot => ({
+            bookingId: booking._id,
+            courtId: booking.courtId,
+            bookingDate: slot.bookingDate,
+            slotTime: slot.slotTime,
+            status: 'BOOKED'
+        })), { session });
+    }
+
+    await Payment.updateMany({ bookingId: { $in: bookingIds }, deletedAt: DELETED }, restored, { session });
+    await PaymentTransaction.updateMany({ bookingId: { $in: bookingIds }, deletedAt: DELETED }, restored, { session });
+};
+
+// Active bookings need their time back; cancelled and completed ones hold no slots
+const getRestoreConflicts = async (booking, session) => {
+    if (booking.status !== 'BOOKED') return null;
+
+    const availability = await checkSlotAvailability(
+        booking.courtId,
+        booking.bookingDate,
+        booking.startTime,
+        booking.endTime,
+        session,
+        booking._id
+    );
+    return availability.available ? null : availability;
+};
+
+/**
+ * Restores a trashed booking. Fails with a 409 if its time has been booked or blocked since.
+ *
+ * @param {string} bookingId
+ * @param {Object} session
+ * @returns {Promise<Object>} The restored booking
+ */
+const restoreBooking = async (bookingId, session) => {
+    const booking = await Booking.findOne({ _id: bookingId, deletedAt: DELETED }).session(session);
+    if (!booking) {
+        throw new Error('Deleted booking not found');
+    }
+
+    if (booking.recurringId) {
+        const rule = await RecurringBooking.findOne({ _id: booking.recurringId, deletedAt: DELETED }).session(session);
+        if (rule && rule.deletedAt.getTime() === booking.deletedAt.getTime()) {
+            throw new Error('This booking was deleted with its recurring rule. Restore the rule instead');
+        }
+    }
+
+    const conflict = await getRestoreConflicts(booking, session);
+    if (conflict) {
+        throwConflictError(conflict.conflicts, conflict.blackouts);
+    }
+
+    await restoreBookingRecords([booking], session);
+    return Booking.findById(booking._id).session(session);
+};
+
+/**
+ * Restores a trashed recurring rule with the bookings deleted along with it.
+ * Fails with a 409 listing the dates whose time has been booked or blocked since.
+ *
+ * @param {string} ruleId
+ * @param {Object} session
+ * @returns {Promise<Object>} { rule, restoredBookings }
+ */
+const restoreRecurringRule = async (ruleId, session) => {
+    const rule = await RecurringBooking.findOne({ _id: ruleId, deletedAt: DELETED }).session(session);
+    if (!rule) {
+        throw new Error('Deleted recurring rule not found');
+    }
+
+    const bookings = await Booking.find({
+        ...getRuleBookingsFilter(rule),
+        deletedAt: rule.deletedAt
+    }).session(session);
+
+    const conflictDates = [];
+    for (const booking of bookings) {
+        if (await getRestoreConflicts(booking, session)) {
+            conflictDates.push(moment(booking.bookingDate).format('YYYY-MM-DD'));
+        }
+    }
+    if (conflictDates.length > 0) {
+        const error = new Error(`Cannot restore: these dates have been booked or blocked since (${conflictDates.join(', ')})`);
+        error.status = 409;
+        error.conflictDates = conflictDates;
+        throw error;
+    }
+
+    await restoreBookingRecords(bookings, session);
+
+    rule.deletedAt = null;
+    rule.deletedBy = null;
+    await rule.save({ session });
+
+    return { rule, restoredBookings: bookings.length };
+};
+
+/**
+ * Lists the trash, most recently deleted first, with the date each item will be purged.
+ *
+ * @param {Object} params - { type: 'BOOKING'|'RECURRING', page, limit }
+ * @returns {Promise<Object>} { total, data }
+ */
+const getTrash = async ({ type = 'BOOKING', page = 1, limit = 20 }) => {
+    const Model = type === 'RECURRING' ? RecurringBooking : Booking;
+    const query = { deletedAt: DELETED };
+    const skip = (page - 1) * limit;
+
+    const [items, total, settings] = await Promise.all([
+        Model.find(query)
+            .populate('courtId', 'name')
+            .populate('deletedBy', 'name')
+            .sort({ deletedAt: -1 })
+            .skip(skip)
+            .limit(limit)
+            .lean(),
+        Model.countDocuments(query),
+        Settings.getSettings()
+    ]);
+
+    const data = items.map(item => ({
+        ...item,
+        purgeAt: moment(item.deletedAt).add(settings.trashRetentionDays, 'days').toDate()
+    }));
+
+    return { total, data };
+};
+
+/**
+ * Permanently removes trashed bookings (with their slots and payments) and recurring rules
+ * that have been in the trash longer than Settings.trashRetentionDays.
+ *
+ * @param {Object} session
+ * @returns {Promise<Object>} { bookings, recurringRules } - number purged
+ */
+const purgeTrash = async (session) => {
+    const settings = await Settings.getSettings();
+    const cutoff = moment().subtract(settings.trashRetentionDays, 'days').toDate();
+
+    const bookings = await Booking.find({ deletedAt: { $ne: null, $lte: cutoff } })
+        .select('_id')
+        .session(session)
+        .lean();
+    const bookingIds = bookings.map(b => b._id);
+
+    if (bookingIds.length > 0) {
+        await BookingSlot.deleteMany({ bookingId: { $in: bookingIds } }).session(session);
+        await Payment.deleteMany({ bookingId: { $in: bookingIds } }).session(session);
+        await PaymentTransaction.deleteMany({ bookingId: { $in: bookingIds } }).session(session);
+        await Booking.deleteMany({ _id: { $in: bookingIds } }).session(session);
+    }
+
+    const rules = await RecurringBooking.deleteMany({ deletedAt: { $ne: null, $lte: cutoff } }).session(session);
+
+    return { bookings: bookingIds.length, recurringRules: rules.deletedCount };
+};
+
+module.exports = {
+    getRuleBookingsFilter,
+    softDeleteBookings,
+    softDeleteRecurringRule,
+    restoreBooking,
+    restoreRecurringRule,
+    getTrash,
+    purgeTrash
+};
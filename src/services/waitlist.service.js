@@ -0,0 +1,336 @@
+const mongoose = require('mongoose');
+const moment = require('moment');
+const WaitlistEntry = require('../models/WaitlistEntry.model');
+const BookingSlot = require('../models/BookingSlot.model');
+const Court = require('../models/Court.model');
+const Settings = require('../models/Settings.model');
+const { generateDatedSlots, getSlotDuration, validateSlotAlignment } = require('./slotGenerator.service');
+const { checkSlotAvailability } = require('./slotValidation.service');
+const { createHold, confirmHold } = require('./slotHold.service');
+const { assertWithinOperatingHours } = require('./operatingHours.service');
+const { resolveCustomer } = require('./customer.service');
+const { normalizeToMidnight } = require('../utils/dateUtils');
+
+// Time a customer has to take up an offer before it passes to the next entry
+const OFFER_DURATION_MINUTES = 30;
+
+/**
+ * Keys ("YYYY-MM-DD HH:mm") of the 15-minute slots a time range occupies, after midnight on the next day.
+ */
+const getSlotKeys = (bookingDate, startTime, endTime) =>
+    generateDatedSlots(bookingDate, startTime, endTime)
+        .map(slot => `${moment(slot.bookingDate).format('YYYY-MM-DD')} ${slot.slotTime}`);
+
+const getStartMoment = (entry) =>
+    moment(moment(entry.bookingDate).format('YYYY-MM-DD') + ' ' + entry.startTime, 'YYYY-MM-DD HH:mm');
+
+/**
+ * Loads a waitlist entry, throwing if it does not exist.
+ */
+const getEntry = async (entryId, session = null) => {
+    if (!mongoose.Types.ObjectId.isValid(entryId)) {
+        throw new Error('Invalid waitlist entry ID');
+    }
+    const entry = await WaitlistEntry.findById(entryId).session(session);
+    if (!entry) {
+        throw new Error('Waitlist entry not found');
+    }
+    return entry;
+};
+
+/**
+ * Releases the hold behind an entry's offer and closes the offer with the given response.
+ */
+const closeOffer = async (entry, response, session = null) => {
+    await BookingSlot.deleteMany({ holdId: entry.offer.holdId, status: 'HELD' }).session(session);
+    entry.offer.response = response;
+    entry.offer.respondedAt = new Date();
+};
+
+/**
+ * Passes the slots of a closed offer on to the next waiting entries.
+ */
+const passOnOffer = (entry, offeredBy = null, session = null) => offerFreedSlots({
+    courtId: entry.courtId,
+    bookingDate: entry.bookingDate,
+    startTime: entry.startTime,
+    endTime: entry.endTime
+}, offeredBy, session);
+
+/**
+ * Adds a customer to the waitlist of a court/date/time range that is currently taken.
+ *
+ * @param {Object} entryData - { courtId, bookingDate, startTime, endTime, customerName, customerPhone, notes, createdBy }
+ * @param {Object} [session]
+ * @returns {Promise<Object>} WaitlistEntry document
+ */
+const createWaitlistEntry = async (entryData, session = null) => {
+    const { courtId, bookingDate, startTime, endTime, customerName, customerPhone, notes, createdBy } = entryData;
+    const normalizedDate = normalizeToMidnight(bookingDate);
+
+    const court = await Court.findById(courtId).session(session);
+    if (!court) {
+        throw new Error('Court not found');
+    }
+    if (court.status !== 'ACTIVE') {
+        throw new Error('Court is not active');
+    }
+
+    const settings = await Settings.getSettings();
+    validateSlotAlignment(startTime, endTime, getSlotDuration(court, settings));
+    await assertWithinOperatingHours(court, normalizedDate, startTime, endTime, settings);
+
+    if (!getStartMoment({ bookingDate: normalizedDate, startTime }).isAfter(moment())) {
+        throw new Error('Cannot join the waitlist for a time that has already started');
+    }
+
+    const availability = await checkSlotAvailability(courtId, normalizedDate, startTime, endTime, session);
+    if (availability.available) {
+        throw new Error('These slots are available, book them directly');
+    }
+    if (availability.blackouts.length > 0) {
+        throw new Error('This time is blocked and cannot be booked');
+    }
+
+    const customer = await resolveCustomer({ name: customerName, phone: customerPhone }, createdBy, session);
+
+    const existing = await WaitlistEntry.findOne({
+        courtId,
+        bookingDate: normalizedDate,
+        startTime,
+        endTime,
+        customerId: customer._id,
+        status: { $in: ['WAITING', 'OFFERED', 'ACCEPTED'] }
+    }).session(session);
+    if (existing) {
+        throw new Error('Customer is already on the waitlist for this time');
+    }
+
+    const [entry] = await WaitlistEntry.create([{
+        courtId,
+        bookingDate: normalizedDate,
+        startTime,
+        endTime,
+        customerName,
+        customerPhone,
+        customerId: customer._id,
+        notes,
+        createdBy
+    }], { session });
+
+    return entry;
+};
+
+/**
+ * Offers slots that were just released to the waiting entries they overlap, oldest entry first.
+ * An entry is only offered if its whole range is now free; the offer holds those slots for
+ * OFFER_DURATION_MINUTES, so later entries competing for the same slots are skipped.
+ *
+ * @param {Object} freed - Booking (or range) whose slots were released: { _id, courtId, bookingDate, startTime, endTime }
+ * @param {Object} [offeredBy] - User ID
+ * @param {Object} [session]
+ * @returns {Promise<Array<Object>>} Offers made: { waitlistId, customerName, customerPhone, bookingDate, startTime, endTime, expiresAt },
+ *   and entries that could not be offered: { waitlistId, customerName, customerPhone, bookingDate, startTime, endTime, skipped: true, reason }
+ */
+const offerFreedSlots = async (freed, offeredBy = null, session = null) => {
+    const { courtId, startTime, endTime } = freed;
+    const bookingDate = normalizeToMidnight(freed.bookingDate);
+    const freedKeys = new Set(getSlotKeys(bookingDate, startTime, endTime));
+
+    // Overnight ranges can overlap entries of the previous or next day
+    const candidates = await WaitlistEntry.find({
+        courtId,
+        status: 'WAITING',
+        bookingDate: {
+            $gte: moment(bookingDate).subtract(1, 'day').toDate(),
+            $lte: moment(bookingDate).add(1, 'day').toDate()
+        }
+    }).sort({ createdAt: 1 }).session(session);
+
+    const offers = [];
+
+    for (const entry of candidates) {
+        const overlaps = getSlotKeys(entry.bookingDate, entry.startTime, entry.endTime).some(key => freedKeys.has(key));
+        if (!overlaps || !getStartMoment(entry).isAfter(moment())) continue;
+
+        const availability = await checkSlotAvailability(courtId, entry.bookingDate, entry.startTime, entry.endTime, session);
+        if (!availability.available) continue;
+
+        let hold;
+        try {
+            hold = await createHold({
+                courtId,
+                bookingDate: entry.bookingDate,
+                startTime: entry.startTime,
+                endTime: entry.endTime,
+                heldBy: offeredBy,
+                minutes: OFFER_DURATION_MINUTES
+            }, session);
+        } catch (error) {
+            // Database errors abort the caller's transaction, so only validation errors are skipped
+            // (e.g. the court was deactivated or its hours changed since the entry was made)
+            if (error instanceof mongoose.Error || error instanceof mongoose.mongo.MongoError) {
+                throw error;
+            }
+            offers.push({
+                waitlistId: entry._id,
+                customerName: entry.customerName,
+                customerPhone: entry.customerPhone,
+                bookingDate: moment(entry.bookingDate).format('YYYY-MM-DD'),
+                startTime: entry.startTime,
+                endTime: entry.endTime,
+                skipped: true,
+                reason: error.message
+            });
+            continue;
+        }
+
+        entry.status = 'OFFERED';
+        entry.offer = {
+            holdId: hold.holdId,
+            triggeredBy: freed._id || null,
+            expiresAt: hold.expiresAt
+        };
+        await entry.save({ session });
+
+        offers.push({
+            waitlistId: entry._id,
+            customerName: entry.customerName,
+            customerPhone: entry.customerPhone,
+            bookingDate: hold.bookingDate,
+            startTime: entry.startTime,
+            endTime: entry.endTime,
+            expiresAt: hold.expiresAt
+        });
+    }
+
+    return offers;
+};
+
+/**
+ * Records the customer's answer to an open offer. A declined offer is passed to the next entry.
+ *
+ * @param {string} entryId
+ * @param {boolean} accept
+ * @param {Object} [respondedBy] - User ID
+ * @param {Object} [session]
+ * @returns {Promise<Object>} - { entry, offers } (offers made to the next entries on decline)
+ */
+const respondToOffer = async (entryId, accept, respondedBy = null, session = null) => {
+    const entry = await getEntry(entryId, session);
+
+    if (entry.status !== 'OFFERED') {
+        throw new Error('This entry has no open offer');
+    }
+    if (entry.offer.expiresAt <= new Date()) {
+        throw new Error('Offer has expired');
+    }
+
+    let offers = [];
+    if (accept) {
+        entry.status = 'ACCEPTED';
+        entry.offer.response = 'ACCEPTED';
+        entry.offer.respondedAt = new Date();
+        await entry.save({ session });
+    } else {
+        entry.status = 'DECLINED';
+        await closeOffer(entry, 'DECLINED', session);
+        await entry.save({ session });
+        offers = await passOnOffer(entry, respondedBy, session);
+    }
+
+    return { entry, offers };
+};
+
+/**
+ * Converts an accepted offer into a booking through the offer's hold.
+ *
+ * @param {string} entryId
+ * @param {Object} bookingData - Discount and payment fields accepted by createSingleBooking, plus createdBy
+ * @param {Object} session - Mongoose session (required, conversion must be atomic)
+ * @returns {Promise<Object>} The created Booking document
+ */
+const convertOffer = async (entryId, bookingData, session) => {
+    const entry = await getEntry(entryId, session);
+
+    if (entry.status !== 'ACCEPTED') {
+        throw new Error('Only an accepted offer can be converted into a booking');
+    }
+    if (entry.offer.expiresAt <= new Date()) {
+        throw new Error('Offer has expired');
+    }
+
+    const court = await Court.findById(entry.courtId).session(session);
+
+    const booking = await confirmHold(entry.offer.holdId, {
+        ...bookingData,
+        customerName: entry.customerName,
+        customerPhone: entry.customerPhone,
+        sportType: bookingData.sportType || court.sportType
+    }, session);
+
+    entry.status = 'BOOKED';
+    entry.bookingId = booking._id;
+    await entry.save({ session });
+
+    return booking;
+};
+
+/**
+ * Removes a customer from the waitlist. An open offer is released and passed to the next entry.
+ *
+ * @param {string} entryId
+ * @param {Object} [withdrawnBy] - User ID
+ * @param {Object} [session]
+ * @returns {Promise<Object>} - { entry, offers }
+ */
+const withdrawEntry = async (entryId, withdrawnBy = null, session = null) => {
+    const entry = await getEntry(entryId, session);
+
+    if (!['WAITING', 'OFFERED', 'ACCEPTED'].includes(entry.status)) {
+        throw new Error(`Waitlist entry is already ${entry.status.toLowerCase()}`);
+    }
+
+    const hadOffer = entry.status !== 'WAITING';
+    entry.status = 'CANCELLED';
+    if (hadOffer) {
+        await closeOffer(entry, 'WITHDRAWN', session);
+    }
+    await entry.save({ session });
+
+    const offers = hadOffer ? await passOnOffer(entry, withdrawnBy, session) : [];
+    return { entry, offers };
+};
+
+/**
+ * Expires offers that were not taken up in time and passes the slots to the next entries.
+ *
+ * @param {Object} [session]
+ * @returns {Promise<Object>} - { expired, offers }
+ */
+const expireOffers = async (session = null) => {
+    const lapsed = await WaitlistEntry.find({
+        status: { $in: ['OFFERED', 'ACCEPTED'] },
+        'offer.expiresAt': { $lte: new Date() }
+    }).sort({ createdAt: 1 }).session(session);
+
+    const offers = [];
+    for (const entry of lapsed) {
+        entry.status = 'EXPIRED';
+        await closeOffer(entry, 'EXPIRED', session);
+        await entry.save({ session });
+        offers.push(...await passOnOffer(entry, null, session));
+    }
+
+    return { expired: lapsed.length, offers };
+};
+
+module.exports = {
+    OFFER_DURATION_MINUTES,
+    createWaitlistEntry,
+    offerFreedSlots,
+    respondToOffer,
+    convertOffer,
+    withdrawEntry,
+    expireOffers
+};
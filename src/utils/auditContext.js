@@ -0,0 +1,34 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Who is making the current change and from where. Set per request by the audit middleware,
+// filled in with the actor by the auth middlewares, and read by the audit plugin on every write.
+const storage = new AsyncLocalStorage();
+
+/**
+ * Runs fn with a fresh audit context. Code outside any context (cron jobs, scripts) is audited as SYSTEM.
+ *
+ * @param {Object} context - { requestId, ip, userAgent, method, path }
+ * @param {Function} fn
+ */
+const runWithAuditContext = (context, fn) => storage.run({ actorType: 'PUBLIC', ...context }, fn);
+
+/**
+ * @returns {Object|undefined} The current audit context, if any
+ */
+const getAuditContext = () => storage.getStore();
+
+/**
+ * Records the authenticated actor on the current context.
+ *
+ * @param {Object} actor - { actorType: 'USER'|'CUSTOMER', actorId, actorName, actorRole }
+ */
+const setAuditActor = (actor) => {
+    const context = storage.getStore();
+    if (context) Object.assign(context, actor);
+};
+
+module.exports = {
+    runWithAuditContext,
+    getAuditContext,
+    setAuditActor
+};
@@ -1,5 +1,10 @@
 const moment = require('moment');
 
+// Day codes indexed by JS day (0 = Sunday), as stored in Settings.weekendDays / daysOfWeek
+const DAY_CODES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const MINUTES_PER_DAY = 24 * 60;
+
 /**
  * Normalizes a date to 00:00:00.000 (Midnight) in local time.
  * This is critical for consistent calendar and slot management.
@@ -12,6 +17,64 @@ const normalizeToMidnight = (date) => {
     return moment(date).startOf('day').toDate();
 };
 
+/**
+ * Returns the day code ('MON', 'TUE', ...) of a date.
+ *
+ * @param {Date|string} date
+ * @returns {string}
+ */
+const getDayCode = (date) => DAY_CODES[moment(date).day()];
+
+/**
+ * Converts "HH:mm" to minutes since midnight ("24:00" gives 1440).
+ *
+ * @param {string} time - "HH:mm"
+ * @returns {number}
+ */
+const toMinutes = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+};
+
+/**
+ * Converts minutes since midnight to "HH:mm", wrapping past midnight (1500 gives "01:00").
+ *
+ * @param {number} minutes
+ * @returns {string}
+ */
+const toTime = (minutes) => {
+    const wrapped = minutes % MINUTES_PER_DAY;
+    return `${String(Math.floor(wrapped / 60)).padStart(2, '0')}:${String(wrapped % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Whether a booking runs past midnight (end time earlier than start time).
+ *
+ * @param {string} startTime - "HH:mm"
+ * @param {string} endTime - "HH:mm"
+ * @returns {boolean}
+ */
+const isOvernight = (startTime, endTime) => endTime < startTime;
+
+/**
+ * Returns the moment a booking ends, rolling over to the next day for overnight bookings.
+ *
+ * @param {Date|string} bookingDate
+ * @param {string} startTime - "HH:mm"
+ * @param {string} endTime - "HH:mm"
+ * @returns {moment.Moment}
+ */
+const getBookingEnd = (bookingDate, startTime, endTime) => {
+    const end = moment(moment(bookingDate).format('YYYY-MM-DD') + ' ' + endTime, 'YYYY-MM-DD HH:mm');
+    return isOvernight(startTime, endTime) ? end.add(1, 'day') : end;
+};
+
 module.exports = {
-    normalizeToMidnight
+    DAY_CODES,
+    normalizeToMidnight,
+    getDayCode,
+    toMinutes,
+    toTime,
+    isOvernight,
+    getBookingEnd
 };